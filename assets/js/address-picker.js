@@ -0,0 +1,154 @@
+// ===== TinyStepsBD Address Picker =====
+
+/**
+ * Cascading division → district → upazila/thana selects backed by
+ * `BD_LOCATIONS`. Select values are English names; labels are Bangla.
+ */
+class AddressPicker {
+    constructor(locations = BD_LOCATIONS) {
+        this.locations = locations;
+    }
+
+    /**
+     * Normalize a place name for comparison
+     * @param {string} value - Place name
+     * @returns {string} Normalized name
+     */
+    normalizeName(value) {
+        return String(value || '').trim().toLowerCase();
+    }
+
+    /**
+     * Find a place in a list by its English or Bangla name
+     * @param {Array} places - Places with `en` and `bn` names
+     * @param {string} name - Name to look up
+     * @returns {Object|null} Place
+     */
+    findPlace(places, name) {
+        const normalized = this.normalizeName(name);
+        if (!normalized) return null;
+
+        return places.find(place =>
+            this.normalizeName(place.en) === normalized || place.bn === String(name).trim()
+        ) || null;
+    }
+
+    /**
+     * Get all divisions
+     * @returns {Array} Divisions
+     */
+    getDivisions() {
+        return this.locations;
+    }
+
+    /**
+     * Get the districts of a division
+     * @param {string} division - Division name
+     * @returns {Array} Districts
+     */
+    getDistricts(division) {
+        const found = this.findPlace(this.locations, division);
+        return found ? found.districts : [];
+    }
+
+    /**
+     * Get the upazilas/thanas of a district
+     * @param {string} division - Division name
+     * @param {string} district - District name
+     * @returns {Array} Upazilas as `{ en, bn }`
+     */
+    getUpazilas(division, district) {
+        const found = this.findPlace(this.getDistricts(division), district);
+        return found ? found.upazilas.map(([en, bn]) => ({ en, bn })) : [];
+    }
+
+    /**
+     * Resolve a location to its place records
+     * @param {Object} location - `{ division, district, upazila }`
+     * @returns {Object} `{ division, district, upazila }` records (null when unknown)
+     */
+    resolve(location = {}) {
+        return {
+            division: this.findPlace(this.locations, location.division),
+            district: this.findPlace(this.getDistricts(location.division), location.district),
+            upazila: this.findPlace(this.getUpazilas(location.division, location.district), location.upazila)
+        };
+    }
+
+    /**
+     * Fill a select with places
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Array} places - Places with `en` and `bn` names
+     * @param {string} placeholder - Placeholder option text
+     * @param {string} selected - Selected value
+     */
+    renderOptions(select, places, placeholder, selected = '') {
+        if (!select) return;
+
+        select.innerHTML = `
+            <option value="">${placeholder}</option>
+            ${places.map(place => `
+                <option value="${sanitizeHTML(place.en)}" ${place.en === selected ? 'selected' : ''}>
+                    ${place.bn} (${sanitizeHTML(place.en)})
+                </option>
+            `).join('')}
+        `;
+        select.disabled = places.length === 0;
+    }
+
+    /**
+     * Wire up a set of cascading selects
+     * @param {Object} selects - `{ division, district, upazila }` select elements
+     * @param {Object} initial - Initial `{ division, district, upazila }` values
+     */
+    attach(selects, initial = {}) {
+        const { division, district, upazila } = selects;
+        if (!division || !district || !upazila) return;
+
+        this.setValue(selects, initial);
+
+        division.addEventListener('change', () => {
+            this.renderOptions(district, this.getDistricts(division.value), 'জেলা নির্বাচন করুন');
+            this.renderOptions(upazila, [], 'উপজেলা/থানা নির্বাচন করুন');
+        });
+
+        district.addEventListener('change', () => {
+            this.renderOptions(upazila, this.getUpazilas(division.value, district.value), 'উপজেলা/থানা নির্বাচন করুন');
+        });
+    }
+
+    /**
+     * Set the values of a set of cascading selects
+     * @param {Object} selects - `{ division, district, upazila }` select elements
+     * @param {Object} location - `{ division, district, upazila }` values
+     */
+    setValue(selects, location = {}) {
+        const places = this.resolve(location);
+        const divisionName = places.division ? places.division.en : '';
+        const districtName = places.district ? places.district.en : '';
+
+        this.renderOptions(selects.division, this.getDivisions(), 'বিভাগ নির্বাচন করুন', divisionName);
+        this.renderOptions(selects.district, this.getDistricts(divisionName), 'জেলা নির্বাচন করুন', districtName);
+        this.renderOptions(selects.upazila, this.getUpazilas(divisionName, districtName),
+            'উপজেলা/থানা নির্বাচন করুন', places.upazila ? places.upazila.en : '');
+    }
+
+    /**
+     * Format a structured address as a single line for couriers and invoices
+     * @param {Object} location - `{ address, division, district, upazila }` where
+     *     `address` is the house/road line
+     * @returns {string} Formatted address
+     */
+    formatAddress(location = {}) {
+        const places = this.resolve(location);
+
+        return [
+            String(location.address || '').trim(),
+            places.upazila ? places.upazila.bn : location.upazila,
+            places.district ? places.district.bn : location.district
+        ].filter(Boolean).join(', ');
+    }
+}
+
+// Create global address picker instance
+const addressPicker = new AddressPicker();
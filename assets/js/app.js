@@ -4,6 +4,7 @@ class TinyStepsBDApp {
     constructor() {
         this.isInitialized = false;
         this.currentPage = '';
+        this.categoryGrid = null;
         this.init();
     }
 
@@ -42,6 +43,29 @@ class TinyStepsBDApp {
         
         // Initialize lazy loading
         initLazyLoading();
+
+        // Enable offline support
+        this.registerServiceWorker().then(() => dataManager.resumeOrderQueue());
+    }
+
+    /**
+     * Register the service worker for offline support
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            await navigator.serviceWorker.register('sw.js');
+
+            // Orders replayed by background sync
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'ordersSynced') {
+                    dataManager.dispatchOrdersSyncedEvent(event.data.outcomes);
+                }
+            });
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+        }
     }
 
     /**
@@ -50,7 +74,9 @@ class TinyStepsBDApp {
     bindGlobalEvents() {
         // Page visibility changes
         document.addEventListener('visibilitychange', () => {
-            if (!document.hidden) {
+            if (document.hidden) {
+                sessionStorage.setItem('pageHiddenTime', String(Date.now()));
+            } else {
                 this.handlePageVisible();
             }
         });
@@ -59,6 +85,9 @@ class TinyStepsBDApp {
         window.addEventListener('online', () => {
             showNotification('ইন্টারনেট কানেকশন পুনরুদ্ধার হয়েছে।', 'success');
             this.syncData();
+
+            // Send orders queued while offline
+            dataManager.resumeOrderQueue();
         });
 
         window.addEventListener('offline', () => {
@@ -75,6 +104,11 @@ class TinyStepsBDApp {
             this.handleProductsLoaded(event.detail);
         });
 
+        // Offline orders sent
+        window.addEventListener('ordersSynced', (event) => {
+            this.handleOrdersSynced(event.detail);
+        });
+
         // Error handling
         window.addEventListener('error', this.handleGlobalError.bind(this));
         window.addEventListener('unhandledrejection', this.handlePromiseRejection.bind(this));
@@ -110,6 +144,7 @@ class TinyStepsBDApp {
         if (path.includes('product.html')) return 'product';
         if (path.includes('shop.html')) return 'shop';
         if (path.includes('cart.html')) return 'cart';
+        if (path.includes('wishlist.html')) return 'wishlist';
         if (path.includes('checkout.html')) return 'checkout';
         if (path.includes('success.html')) return 'success';
         if (path.includes('about.html')) return 'about';
@@ -125,6 +160,7 @@ class TinyStepsBDApp {
             case 'home':
             case 'shop':
             case 'product':
+            case 'wishlist':
                 await dataManager.fetchAllProducts();
                 break;
                 
@@ -140,12 +176,10 @@ class TinyStepsBDApp {
      * Handle page becomes visible
      */
     handlePageVisible() {
-        // Refresh data if page was hidden for a while
-        if (document.hidden) {
-            const hiddenTime = parseInt(sessionStorage.getItem('pageHiddenTime') || '0');
-            if (Date.now() - hiddenTime > 5 * 60 * 1000) { // 5 minutes
-                this.syncData();
-            }
+        // Pick up catalog changes if page was hidden for a while
+        const hiddenTime = parseInt(sessionStorage.getItem('pageHiddenTime') || '0');
+        if (hiddenTime && Date.now() - hiddenTime > 5 * 60 * 1000) { // 5 minutes
+            this.syncData();
         }
     }
 
@@ -169,6 +203,22 @@ class TinyStepsBDApp {
         }
     }
 
+    /**
+     * Handle queued offline orders being sent
+     * @param {Object} data - Replay outcomes
+     */
+    handleOrdersSynced(data) {
+        const sent = data.outcomes.filter(outcome => outcome.success).length;
+        const failed = data.outcomes.length - sent;
+
+        if (sent > 0) {
+            showNotification(`অফলাইনে দেওয়া ${formatNumber(sent)} টি অর্ডার পাঠানো হয়েছে।`, 'success');
+        }
+        if (failed > 0) {
+            showNotification(`${formatNumber(failed)} টি অফলাইন অর্ডার পাঠানো যায়নি। আমাদের সাথে যোগাযোগ করুন।`, 'error', 6000);
+        }
+    }
+
     /**
      * Handle global errors
      * @param {ErrorEvent} event - Error event
@@ -259,27 +309,40 @@ class TinyStepsBDApp {
      * Initialize search functionality
      */
     initializeSearch() {
-        const searchInput = document.querySelector('.search-input');
-        const searchResults = document.querySelector('.search-results');
+        const searchInput = document.querySelector('.header-search .search-input');
+        const searchResults = document.querySelector('.header-search .search-results');
 
         if (searchInput && searchResults) {
-            searchInput.addEventListener('input', debounce((e) => {
+            searchInput.addEventListener('input', debounce(async (e) => {
                 const query = e.target.value.trim();
                 
-                if (query.length < 2) {
-                    searchResults.style.display = 'none';
+                if (query.length < searchEngine.minQueryLength) {
+                    this.hideSearchResults(searchInput, searchResults);
                     return;
                 }
 
+                // Pages without a product list load the catalog on first search
+                if (!dataManager.isProductsLoaded()) {
+                    await dataManager.fetchAllProducts();
+                }
+
+                // Skip results for a query that has since been edited
+                if (searchInput.value.trim() !== query) return;
+
                 const results = dataManager.searchProducts(query);
-                this.displaySearchResults(results, searchResults);
+                this.displaySearchResults(results, searchResults, query);
+                searchInput.setAttribute('aria-expanded', 'true');
                 
             }, 300));
 
+            searchInput.addEventListener('keydown', (e) => {
+                this.handleSearchKeydown(e, searchInput, searchResults);
+            });
+
             // Hide results when clicking outside
             document.addEventListener('click', (e) => {
                 if (!e.target.closest('.search-container')) {
-                    searchResults.style.display = 'none';
+                    this.hideSearchResults(searchInput, searchResults);
                 }
             });
         }
@@ -289,26 +352,82 @@ class TinyStepsBDApp {
      * Display search results
      * @param {Array} results - Search results
      * @param {Element} container - Results container
+     * @param {string} query - Query to highlight
      */
-    displaySearchResults(results, container) {
+    displaySearchResults(results, container, query = '') {
         if (results.length === 0) {
             container.innerHTML = '<div class="no-results">কোনো প্রোডাক্ট পাওয়া যায়নি</div>';
         } else {
-            container.innerHTML = results.slice(0, 5).map(product => `
-                <a href="product.html?id=${product.id}" class="search-result-item">
-                    <img src="${product.mainImage}" alt="${product.name}" 
+            container.innerHTML = results.slice(0, searchEngine.maxSuggestions).map((product, index) => `
+                <a href="product.html?id=${encodeURIComponent(product.id)}" class="search-result-item"
+                   id="search-result-${index}" role="option" aria-selected="false">
+                    <img src="${dataManager.getProductImage(product)}" alt="${sanitizeHTML(product.name)}" 
                          onerror="this.src='assets/images/placeholder.jpg'">
                     <div class="search-result-info">
-                        <div class="search-result-name">${product.name}</div>
+                        <div class="search-result-name">${searchEngine.highlight(product.name, query)}</div>
+                        <div class="search-result-category">${searchEngine.highlight(product.category, query)}</div>
                         <div class="search-result-price">${formatPrice(product.price)}</div>
                     </div>
                 </a>
             `).join('');
+
+            if (results.length > searchEngine.maxSuggestions) {
+                container.innerHTML += `
+                    <a href="shop.html?search=${encodeURIComponent(query)}" class="search-result-all"
+                       id="search-result-all" role="option" aria-selected="false">
+                        সব ফলাফল দেখুন (${formatNumber(results.length)})
+                    </a>
+                `;
+            }
         }
         
         container.style.display = 'block';
     }
 
+    /**
+     * Move through the search suggestions with the arrow keys
+     * @param {KeyboardEvent} e - Keydown event
+     * @param {Element} input - Search input
+     * @param {Element} container - Results container
+     */
+    handleSearchKeydown(e, input, container) {
+        const options = [...container.querySelectorAll('[role="option"]')];
+        const isOpen = container.style.display === 'block';
+        const active = options.findIndex(option => option.classList.contains('active'));
+
+        if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && isOpen && options.length > 0) {
+            e.preventDefault();
+
+            const next = e.key === 'ArrowDown' ?
+                (active + 1) % options.length :
+                (active <= 0 ? options.length - 1 : active - 1);
+
+            options.forEach((option, index) => {
+                option.classList.toggle('active', index === next);
+                option.setAttribute('aria-selected', String(index === next));
+            });
+            input.setAttribute('aria-activedescendant', options[next].id);
+        } else if (e.key === 'Enter' && isOpen && active !== -1) {
+            // Otherwise Enter submits the form to the shop page
+            e.preventDefault();
+            window.location.href = options[active].href;
+        } else if (e.key === 'Escape' && isOpen) {
+            e.preventDefault();
+            this.hideSearchResults(input, container);
+        }
+    }
+
+    /**
+     * Hide the search suggestions
+     * @param {Element} input - Search input
+     * @param {Element} container - Results container
+     */
+    hideSearchResults(input, container) {
+        container.style.display = 'none';
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+
     /**
      * Initialize theme toggle
      */
@@ -431,11 +550,11 @@ class TinyStepsBDApp {
             dataManager.getProductsByCategory(category) : 
             dataManager.products;
 
-        productsGrid.innerHTML = products.map(product => 
-            productManager.generateProductCard(product)
-        ).join('');
-        
-        initLazyLoading();
+        if (!this.categoryGrid || this.categoryGrid.container !== productsGrid) {
+            this.categoryGrid = new ProductGrid(productsGrid, { mode: 'infinite' });
+        }
+
+        this.categoryGrid.setProducts(products);
     }
 
     /**
@@ -0,0 +1,803 @@
+// ===== TinyStepsBD Backend Adapters =====
+
+/**
+ * Base backend adapter.
+ *
+ * Every adapter exposes the same two calls and resolves with the backend's
+ * response envelope (`{ success, data, error }`), so DataManager never needs
+ * to know which backend it is talking to. Adapters that go over the network
+ * send through `requestClient`, so failures reject with its typed errors.
+ *
+ * The `products` action also carries a catalog `version`. Given the version
+ * of an earlier response as `since`, a backend may answer with only what
+ * changed: `{ success, delta: true, data: [changed rows], deleted: [IDs], version }`.
+ * Backends that cannot do this simply return the full catalog again.
+ *
+ * Orders queued offline carry a `client_ref`, and a queued order can reach
+ * the backend more than once. A backend that already has an order with that
+ * `client_ref` must answer with it instead of creating another. It must also
+ * check the order's `coupon_code` itself and refuse the order with
+ * `code: 'coupon_invalid'`, since a coupon kept offline was never re-checked.
+ */
+class BackendAdapter {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    /**
+     * Read data from the backend
+     * @param {string} action - Action name (e.g. 'products', 'product')
+     * @param {Object} params - Query parameters
+     * @returns {Promise<Object>} Response envelope
+     */
+    async get(action, params = {}) {
+        throw new Error(`${this.constructor.name} does not support GET "${action}"`);
+    }
+
+    /**
+     * Send data to the backend
+     * @param {string} action - Action name (e.g. 'order')
+     * @param {Object} body - Request payload
+     * @returns {Promise<Object>} Response envelope
+     */
+    async post(action, body = {}) {
+        throw new Error(`${this.constructor.name} does not support POST "${action}"`);
+    }
+
+    /**
+     * Describe a POST as a plain `{ url, options }` pair so it can be stored
+     * and replayed later (e.g. by the service worker when back online)
+     * @param {string} action - Action name
+     * @param {Object} body - Request payload
+     * @returns {Object|null} Replayable request, or null if not replayable
+     */
+    buildPostRequest(action, body = {}) {
+        return null;
+    }
+
+    /**
+     * Parse a fetch response into a response envelope
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Object>} Response envelope
+     * @throws {HttpError} When the response is not a success
+     */
+    async parseResponse(response) {
+        if (!response.ok) {
+            throw new HttpError(response);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Parse a catalog response. 304 Not Modified becomes an empty delta and
+     * the ETag header stands in for a version the body does not give.
+     * @param {Response} response - Fetch response
+     * @param {string|null} since - Version the request was made against
+     * @returns {Promise<Object>} Response envelope
+     */
+    async parseCatalogResponse(response, since = null) {
+        if (response.status === 304 && since) {
+            return { success: true, delta: true, data: [], deleted: [], version: since };
+        }
+
+        const json = await this.parseResponse(response);
+        const envelope = Array.isArray(json) ? { success: true, data: json } : { success: true, ...json };
+
+        return { ...envelope, version: envelope.version || response.headers.get('ETag') || null };
+    }
+
+    /**
+     * Build a query string from params, skipping empty values
+     * @param {Object} params - Query parameters
+     * @returns {string} Query string without leading "?"
+     */
+    buildQuery(params) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.set(key, value);
+            }
+        });
+        return query.toString();
+    }
+}
+
+/**
+ * Google Apps Script web app backend (the production sheet)
+ */
+class AppsScriptAdapter extends BackendAdapter {
+    constructor(options = {}) {
+        super(options);
+
+        if (!options.url) {
+            throw new Error('AppsScriptAdapter requires a "url" option');
+        }
+
+        this.url = options.url;
+    }
+
+    async get(action, params = {}) {
+        const query = this.buildQuery({ action, ...params });
+        const response = await requestClient.request(`${this.url}?${query}`);
+        return action === 'products' ?
+            this.parseCatalogResponse(response, params.since) :
+            this.parseResponse(response);
+    }
+
+    buildPostRequest(action, body = {}) {
+        return {
+            url: this.url,
+            options: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ action, ...body })
+            }
+        };
+    }
+
+    async post(action, body = {}) {
+        const { url, options } = this.buildPostRequest(action, body);
+        const response = await requestClient.request(url, options);
+        return this.parseResponse(response);
+    }
+}
+
+/**
+ * Generic REST backend.
+ *
+ * Actions map to routes such as `GET /products/:id`. Path placeholders are
+ * filled from params and the remaining params become the query string.
+ * Actions without a route fall back to `/<action>`.
+ */
+class RestAdapter extends BackendAdapter {
+    constructor(options = {}) {
+        super(options);
+
+        if (!options.baseUrl) {
+            throw new Error('RestAdapter requires a "baseUrl" option');
+        }
+
+        this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+        this.headers = options.headers || {};
+        this.routes = {
+            products: '/products',
+            product: '/products/:id',
+            order: '/orders',
+            order_lookup: '/orders/:id',
+            order_status: '/orders/:id/status',
+            order_update: '/orders/update',
+            return_request: '/returns',
+            ...(options.routes || {})
+        };
+    }
+
+    /**
+     * Resolve action and params into a URL
+     * @param {string} action - Action name
+     * @param {Object} params - Params, consumed by path placeholders first
+     * @returns {string} Absolute URL
+     */
+    resolveUrl(action, params = {}) {
+        const remaining = { ...params };
+        const route = this.routes[action] || `/${action}`;
+        const path = route.replace(/:(\w+)/g, (match, key) => {
+            const value = remaining[key];
+            delete remaining[key];
+            return encodeURIComponent(value ?? '');
+        });
+
+        const query = this.buildQuery(remaining);
+        return `${this.baseUrl}${path}${query ? `?${query}` : ''}`;
+    }
+
+    async get(action, params = {}) {
+        if (action === 'products') {
+            // An unchanged catalog can be answered with 304 Not Modified
+            const response = await requestClient.request(this.resolveUrl(action, params), {
+                headers: params.since ? { ...this.headers, 'If-None-Match': params.since } : this.headers
+            });
+            return this.parseCatalogResponse(response, params.since);
+        }
+
+        const response = await requestClient.request(this.resolveUrl(action, params), {
+            headers: this.headers
+        });
+        return this.parseResponse(response);
+    }
+
+    buildPostRequest(action, body = {}) {
+        return {
+            url: this.resolveUrl(action),
+            options: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.headers,
+                    // Lets the API recognise a repeated order
+                    ...(body.client_ref ? { 'Idempotency-Key': body.client_ref } : {})
+                },
+                body: JSON.stringify(body)
+            }
+        };
+    }
+
+    async post(action, body = {}) {
+        const { url, options } = this.buildPostRequest(action, body);
+        const response = await requestClient.request(url, options);
+        return this.parseResponse(response);
+    }
+}
+
+/**
+ * Read-only backend serving a static JSON export of the sheet.
+ *
+ * The file may hold either an array of sheet rows or an envelope
+ * `{ data: [...] }`. Its ETag is the catalog version, so an unchanged file
+ * costs a 304 instead of a download.
+ */
+class StaticJsonAdapter extends BackendAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.url = options.url || 'data/products.json';
+        this.rows = null;
+    }
+
+    /**
+     * Load and memoise the sheet rows
+     * @returns {Promise<Array>} Sheet rows
+     */
+    async loadRows() {
+        if (!this.rows) {
+            const response = await requestClient.request(this.url);
+            const json = await this.parseResponse(response);
+            this.rows = Array.isArray(json) ? json : (json.data || []);
+        }
+        return this.rows;
+    }
+
+    /**
+     * Fetch the file again, unless it has not changed since a version
+     * @param {string|null} since - ETag of an earlier copy
+     * @returns {Promise<Object>} Response envelope
+     */
+    async loadCatalog(since = null) {
+        const response = await requestClient.request(this.url, {
+            cache: 'no-cache',
+            headers: since ? { 'If-None-Match': since } : {}
+        });
+        const envelope = await this.parseCatalogResponse(response, since);
+
+        if (!envelope.delta) {
+            this.rows = envelope.data || [];
+        }
+
+        return envelope;
+    }
+
+    async get(action, params = {}) {
+        if (action === 'products') {
+            return this.loadCatalog(params.since);
+        }
+
+        const rows = await this.loadRows();
+
+        switch (action) {
+            case 'product': {
+                const row = rows.find(r => String(r['Product ID']) === String(params.id));
+                return row ?
+                    { success: true, data: row } :
+                    { success: false, error: 'Product not found' };
+            }
+
+            default:
+                return super.get(action, params);
+        }
+    }
+
+    async post(action) {
+        return { success: false, error: `Static backend is read-only ("${action}")` };
+    }
+}
+
+/**
+ * In-memory backend for local development and tests
+ */
+class MockAdapter extends BackendAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.rows = options.products || MockAdapter.defaultProducts();
+        this.coupons = options.coupons || MockAdapter.defaultCoupons();
+        this.deliveryRules = options.deliveryRules || null;
+        this.ordersKey = options.ordersKey || 'tinystepsbd_mock_orders';
+        this.orders = this.loadOrders();
+        this.lookupLimit = options.lookupLimit ?? 10;
+        this.failedLookups = [];
+        this.latency = options.latency ?? 200;
+
+        // Catalog versions are `<revision>-<hash of the starting rows>`, so a
+        // version from another page load only matches the same starting data
+        this.catalogId = MockAdapter.hash(JSON.stringify(this.rows));
+        this.revision = 0;
+        this.rowRevisions = new Map();
+        this.deletedRows = new Map();
+    }
+
+    /**
+     * Short, stable hash of a string
+     * @param {string} text - Text
+     * @returns {string} Hash in base 36
+     */
+    static hash(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+        }
+        return hash.toString(36);
+    }
+
+    /**
+     * Get the current catalog version
+     * @returns {string} Version
+     */
+    getCatalogVersion() {
+        return `${this.revision}-${this.catalogId}`;
+    }
+
+    /**
+     * Add or replace a product row, as an edit in the sheet would
+     * @param {Object} row - Sheet row
+     */
+    updateProduct(row) {
+        const id = String(row['Product ID']);
+        const index = this.rows.findIndex(r => String(r['Product ID']) === id);
+
+        if (index === -1) {
+            this.rows.push(row);
+        } else {
+            this.rows[index] = row;
+        }
+
+        this.revision++;
+        this.rowRevisions.set(id, this.revision);
+        this.deletedRows.delete(id);
+    }
+
+    /**
+     * Delete a product row
+     * @param {string} productId - Product ID
+     */
+    removeProduct(productId) {
+        const id = String(productId);
+        this.rows = this.rows.filter(r => String(r['Product ID']) !== id);
+
+        this.revision++;
+        this.deletedRows.set(id, this.revision);
+        this.rowRevisions.delete(id);
+    }
+
+    /**
+     * Answer a catalog request, with only the changes when possible
+     * @param {string} since - Version the client already has
+     * @returns {Object} Response envelope
+     */
+    getCatalog(since) {
+        const version = this.getCatalogVersion();
+        const [revision, catalogId] = String(since || '').split('-');
+        const from = Number(revision);
+
+        if (catalogId !== this.catalogId || !Number.isInteger(from) || from > this.revision) {
+            return { success: true, data: this.rows, version: version };
+        }
+
+        const changedSince = (revisions) => [...revisions.entries()]
+            .filter(([, changedAt]) => changedAt > from)
+            .map(([id]) => id);
+        const changed = new Set(changedSince(this.rowRevisions));
+
+        return {
+            success: true,
+            delta: true,
+            data: this.rows.filter(r => changed.has(String(r['Product ID']))),
+            deleted: changedSince(this.deletedRows),
+            version: version
+        };
+    }
+
+    /**
+     * Sample sheet rows used when no products are supplied
+     * @returns {Array} Sheet rows
+     */
+    static defaultProducts() {
+        return [
+            {
+                'Product ID': 'MOCK-001',
+                'Name': 'Soft Sole Baby Shoe',
+                'Description': 'নরম সোলের আরামদায়ক বেবি জুতা',
+                'Price (BDT)': '850',
+                'Category': 'boys',
+                'Size': '1-2 বছর',
+                'Color': 'Blue',
+                'Main Image': 'assets/images/placeholder.jpg'
+            },
+            {
+                'Product ID': 'MOCK-002',
+                'Name': 'Princess Sandal',
+                'Description': 'মেয়েদের জন্য হালকা স্যান্ডেল',
+                'Price (BDT)': '690',
+                'Category': 'girls',
+                'Size': '2-3 বছর',
+                'Color': 'Pink',
+                'Main Image': 'assets/images/placeholder.jpg'
+            },
+            {
+                'Product ID': 'MOCK-003',
+                'Name': 'First Steps Sandal',
+                'Description': 'প্রথম হাঁটার জন্য স্যান্ডেল',
+                'Price (BDT)': '550',
+                'Category': 'sandals',
+                'Size': '6-12 মাস',
+                'Color': 'White',
+                'Main Image': 'assets/images/placeholder.jpg'
+            }
+        ];
+    }
+
+    /**
+     * Sample coupons used when none are supplied
+     * @returns {Array} Coupon records
+     */
+    static defaultCoupons() {
+        return [
+            { code: 'WELCOME10', type: 'percentage', value: 10, min_order: 500, max_discount: 200 },
+            { code: 'FLAT100', type: 'fixed', value: 100, min_order: 1000 },
+            { code: 'FREESHIP', type: 'free_delivery', value: 0, min_order: 800 },
+            { code: 'SANDAL15', type: 'percentage', value: 15, categories: 'sandals' },
+            { code: 'EXPIRED', type: 'fixed', value: 50, expires_at: '2020-01-01T00:00:00.000Z' },
+            { code: 'USEDUP', type: 'fixed', value: 50, usage_limit: 10, used_count: 10 }
+        ];
+    }
+
+    /**
+     * Load orders placed against the mock backend in earlier page loads
+     * @returns {Array} Order records
+     */
+    loadOrders() {
+        try {
+            return JSON.parse(localStorage.getItem(this.ordersKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Persist mock orders so they can be looked up from other pages
+     */
+    saveOrders() {
+        try {
+            localStorage.setItem(this.ordersKey, JSON.stringify(this.orders));
+        } catch (error) {
+            console.warn('Failed to save mock orders:', error);
+        }
+    }
+
+    /**
+     * Find an order by ID, checking the phone number it was placed with
+     * @param {string} id - Order ID
+     * @param {string} phone - Phone number
+     * @returns {Object|undefined} Order record
+     */
+    findOrder(id, phone) {
+        return this.orders.find(order =>
+            order.order_id === String(id) && normalizePhone(order.phone) === normalizePhone(phone)
+        );
+    }
+
+    /**
+     * Apply a customer's cancel or modify request to a pending order
+     * @param {Object} request - `{ order_id, phone, type, reason, changes }`
+     * @returns {Object} Response envelope with the updated order
+     */
+    updateOrder(request) {
+        const order = this.findOrder(request.order_id, request.phone);
+        if (!order) {
+            return { success: false, error: 'Order not found' };
+        }
+
+        if (order.status !== 'pending') {
+            return { success: false, code: 'order_locked', error: 'Order is already being processed' };
+        }
+
+        const now = new Date().toISOString();
+        const changes = request.changes || {};
+
+        if (request.type === 'cancel') {
+            order.status = 'cancelled';
+            order.status_history = [...(order.status_history || []),
+                { status: 'cancelled', timestamp: now, note: request.reason || '' }];
+        } else {
+            this.applyOrderChanges(order, changes);
+        }
+
+        order.updated_at = now;
+        order.audit_log = [...(order.audit_log || []),
+            { type: request.type, reason: request.reason || '', changes: changes, timestamp: now }];
+        this.saveOrders();
+
+        return { success: true, data: order };
+    }
+
+    /**
+     * Apply the changes a customer may make to a pending order: the phone
+     * number, the address and the quantities of lines already ordered.
+     * Anything else in the request is ignored, and prices, delivery fee and
+     * total are worked out here rather than taken from the request.
+     * @param {Object} order - Order record
+     * @param {Object} changes - Requested changes
+     */
+    applyOrderChanges(order, changes) {
+        if (changes.phone && validatePhone(String(changes.phone))) {
+            order.phone = String(changes.phone);
+        }
+
+        ['address', 'address_line', 'division', 'district', 'upazila'].forEach(key => {
+            if (typeof changes[key] === 'string' && changes[key].trim()) {
+                order[key] = changes[key].trim();
+            }
+        });
+
+        if (Array.isArray(changes.products)) {
+            const sameLine = (a, b) => String(a.product_id) === String(b.product_id) &&
+                (a.size || null) === (b.size || null) && (a.color || null) === (b.color || null);
+            const products = order.products
+                .map(line => {
+                    const requested = changes.products.find(item => sameLine(item, line));
+                    const quantity = requested ? parseInt(requested.quantity) || 0 : 0;
+                    return { ...line, quantity: Math.max(0, quantity), price: this.getCatalogPrice(line) };
+                })
+                .filter(line => line.quantity > 0);
+
+            if (products.length > 0) {
+                order.products = products;
+            }
+        }
+
+        const subtotal = order.products.reduce((total, item) => total + (item.price * item.quantity), 0);
+        if (typeof deliveryZones !== 'undefined') {
+            order.delivery_fee = deliveryZones.quote({
+                location: { division: order.division, district: order.district, upazila: order.upazila, address: order.address_line },
+                items: order.products.map(item => ({ id: item.product_id, quantity: item.quantity })),
+                subtotal: subtotal,
+                speed: order.delivery_speed
+            }).fee;
+        }
+        order.total_amount = Math.max(0, subtotal + (order.delivery_fee || 0) - (order.coupon_discount || 0));
+    }
+
+    /**
+     * Get the current catalog price of an order line
+     * @param {Object} line - Order line
+     * @returns {number} Price, or the line's own price if the product is gone
+     */
+    getCatalogPrice(line) {
+        const row = this.rows.find(r => String(r['Product ID']) === String(line.product_id));
+        if (!row) return line.price;
+
+        return dataManager.getVariantPrice(dataManager.processProduct(row), line.size || null, line.color || null);
+    }
+
+    /**
+     * Open a return or exchange request on a delivered order
+     * @param {Object} request - `{ order_id, phone, type, reason, note, items, photos }`
+     * @returns {Object} Response envelope with the return request
+     */
+    createReturnRequest(request) {
+        const order = this.findOrder(request.order_id, request.phone);
+        if (!order) {
+            return { success: false, error: 'Order not found' };
+        }
+
+        const delivered = (order.status_history || []).find(entry => entry.status === 'delivered');
+        const deliveredAt = new Date(delivered ? delivered.timestamp : order.updated_at).getTime();
+        const windowMs = APP_CONFIG.returns.windowDays * 24 * 60 * 60 * 1000;
+
+        if (order.status !== 'delivered' || Date.now() > deliveredAt + windowMs) {
+            return { success: false, code: 'return_window_closed', error: 'Return window has closed' };
+        }
+
+        if (order.return_request) {
+            return { success: false, code: 'return_exists', error: 'A return was already requested' };
+        }
+
+        const now = new Date().toISOString();
+        order.return_request = {
+            return_id: `RET-${Date.now()}`,
+            type: request.type,
+            status: 'requested',
+            reason: request.reason,
+            note: request.note || '',
+            items: request.items || [],
+            photo_count: (request.photos || []).length,
+            created_at: now,
+            updated_at: now
+        };
+        order.audit_log = [...(order.audit_log || []),
+            { type: 'return_request', reason: request.reason, changes: { return_id: order.return_request.return_id }, timestamp: now }];
+        this.saveOrders();
+
+        return { success: true, data: order.return_request };
+    }
+
+    /**
+     * Resolve a value after the configured latency
+     * @param {*} value - Value to resolve
+     * @returns {Promise<*>} Delayed value
+     */
+    respond(value) {
+        return new Promise(resolve => setTimeout(() => resolve(value), this.latency));
+    }
+
+    /**
+     * Check if a coupon can still be redeemed
+     * @param {string} code - Coupon code
+     * @returns {boolean} True if it exists, has not expired and is not used up
+     */
+    isCouponUsable(code) {
+        const coupon = this.coupons.find(c => c.code === String(code).toUpperCase());
+        if (!coupon) return false;
+
+        if (coupon.expires_at && new Date(coupon.expires_at).getTime() < Date.now()) return false;
+        return !(coupon.usage_limit && (coupon.used_count || 0) >= coupon.usage_limit);
+    }
+
+    async get(action, params = {}) {
+        switch (action) {
+            case 'products':
+                return this.respond(this.getCatalog(params.since));
+
+            case 'product': {
+                const row = this.rows.find(r => String(r['Product ID']) === String(params.id));
+                return this.respond(row ?
+                    { success: true, data: row } :
+                    { success: false, error: 'Product not found' });
+            }
+
+            case 'coupon': {
+                const coupon = this.coupons.find(c => c.code === String(params.code).toUpperCase());
+                return this.respond(coupon ?
+                    { success: true, data: coupon } :
+                    { success: false, error: 'Coupon not found' });
+            }
+
+            case 'delivery_rules':
+                return this.respond(this.deliveryRules ?
+                    { success: true, data: this.deliveryRules } :
+                    { success: false, error: 'No delivery rules configured' });
+
+            case 'order_lookup': {
+                // Refuse lookups after too many misses in the last 15 minutes
+                const since = Date.now() - 15 * 60 * 1000;
+                this.failedLookups = this.failedLookups.filter(time => time > since);
+                if (this.failedLookups.length >= this.lookupLimit) {
+                    return this.respond({ success: false, code: 'rate_limited', error: 'Too many lookups' });
+                }
+
+                const order = this.findOrder(params.id, params.phone);
+                if (!order) {
+                    this.failedLookups.push(Date.now());
+                }
+
+                return this.respond(order ?
+                    { success: true, data: order } :
+                    { success: false, error: 'Order not found' });
+            }
+
+            case 'order_status': {
+                const order = this.findOrder(params.id, params.phone);
+                return this.respond(order ?
+                    {
+                        success: true,
+                        data: {
+                            order_id: order.order_id,
+                            status: order.status,
+                            history: order.status_history ||
+                                [{ status: order.status, timestamp: order.updated_at || order.created_at }],
+                            consignment_id: order.consignment_id || '',
+                            courier: order.courier || '',
+                            updated_at: order.updated_at,
+                            return_request: order.return_request || null
+                        }
+                    } :
+                    { success: false, error: 'Order not found' });
+            }
+
+            default:
+                return super.get(action, params);
+        }
+    }
+
+    async post(action, body = {}) {
+        if (action === 'order_update') {
+            return this.respond(this.updateOrder(body));
+        }
+
+        if (action === 'return_request') {
+            return this.respond(this.createReturnRequest(body));
+        }
+
+        if (action !== 'order') {
+            return super.post(action, body);
+        }
+
+        // A queued order sent again gets the order it created the first time
+        const existing = body.client_ref && this.orders.find(order => order.client_ref === body.client_ref);
+        if (existing) {
+            return this.respond({
+                success: true,
+                data: {
+                    order_id: existing.order_id,
+                    total_amount: existing.total_amount,
+                    delivery_fee: existing.delivery_fee || 0
+                }
+            });
+        }
+
+        if (body.coupon_code && !this.isCouponUsable(body.coupon_code)) {
+            return this.respond({ success: false, code: 'coupon_invalid', error: 'Coupon is no longer valid' });
+        }
+
+        const subtotal = (body.products || []).reduce(
+            (total, item) => total + (item.price * item.quantity), 0
+        );
+        const now = new Date().toISOString();
+        const order = {
+            ...body,
+            order_id: `MOCK-${Date.now()}`,
+            total_amount: subtotal + (body.delivery_fee || 0) - (body.coupon_discount || 0),
+            status: 'pending',
+            status_history: [{ status: 'pending', timestamp: now }],
+            consignment_id: '',
+            created_at: now,
+            updated_at: now
+        };
+        this.orders.push(order);
+        this.saveOrders();
+
+        return this.respond({
+            success: true,
+            data: {
+                order_id: order.order_id,
+                total_amount: order.total_amount,
+                delivery_fee: body.delivery_fee || 0
+            }
+        });
+    }
+}
+
+/**
+ * Registered adapter types, keyed by the `type` used in config
+ */
+const BACKEND_ADAPTERS = {
+    'apps-script': AppsScriptAdapter,
+    'rest': RestAdapter,
+    'static-json': StaticJsonAdapter,
+    'mock': MockAdapter
+};
+
+/**
+ * Create a backend adapter from configuration
+ * @param {Object} config - Backend config (`{ type, ...options }`)
+ * @returns {BackendAdapter} Adapter instance
+ */
+function createBackendAdapter(config = {}) {
+    const { type = 'apps-script', ...options } = config;
+    const Adapter = BACKEND_ADAPTERS[type];
+
+    if (!Adapter) {
+        throw new Error(`Unknown backend type: ${type}`);
+    }
+
+    return new Adapter(options);
+}
@@ -0,0 +1,540 @@
+// ===== TinyStepsBD Bangladesh Locations =====
+// Offline list of divisions, districts and upazilas/thanas used by the
+// checkout address picker. English names are the stored values (they are what
+// delivery zones match on); Bangla names are shown to the customer.
+// City corporation thanas are listed alongside the upazilas of their district.
+
+const BD_LOCATIONS = [
+    {
+        en: 'Barishal', bn: 'বরিশাল',
+        districts: [
+            {
+                en: 'Barguna', bn: 'বরগুনা',
+                upazilas: [
+                    ['Amtali', 'আমতলী'], ['Bamna', 'বামনা'], ['Barguna Sadar', 'বরগুনা সদর'], ['Betagi', 'বেতাগী'],
+                    ['Patharghata', 'পাথরঘাটা'], ['Taltali', 'তালতলী']
+                ]
+            },
+            {
+                en: 'Barishal', bn: 'বরিশাল',
+                upazilas: [
+                    ['Agailjhara', 'আগৈলঝাড়া'], ['Babuganj', 'বাবুগঞ্জ'], ['Bakerganj', 'বাকেরগঞ্জ'], ['Banaripara', 'বানারীপাড়া'],
+                    ['Barishal Sadar', 'বরিশাল সদর'], ['Gournadi', 'গৌরনদী'], ['Hizla', 'হিজলা'], ['Mehendiganj', 'মেহেন্দিগঞ্জ'],
+                    ['Muladi', 'মুলাদী'], ['Wazirpur', 'উজিরপুর']
+                ]
+            },
+            {
+                en: 'Bhola', bn: 'ভোলা',
+                upazilas: [
+                    ['Bhola Sadar', 'ভোলা সদর'], ['Burhanuddin', 'বোরহানউদ্দিন'], ['Char Fasson', 'চরফ্যাশন'], ['Daulatkhan', 'দৌলতখান'],
+                    ['Lalmohan', 'লালমোহন'], ['Manpura', 'মনপুরা'], ['Tazumuddin', 'তজুমদ্দিন']
+                ]
+            },
+            {
+                en: 'Jhalokati', bn: 'ঝালকাঠি',
+                upazilas: [
+                    ['Jhalokati Sadar', 'ঝালকাঠি সদর'], ['Kathalia', 'কাঠালিয়া'], ['Nalchity', 'নলছিটি'], ['Rajapur', 'রাজাপুর']
+                ]
+            },
+            {
+                en: 'Patuakhali', bn: 'পটুয়াখালী',
+                upazilas: [
+                    ['Bauphal', 'বাউফল'], ['Dashmina', 'দশমিনা'], ['Dumki', 'দুমকি'], ['Galachipa', 'গলাচিপা'],
+                    ['Kalapara', 'কলাপাড়া'], ['Mirzaganj', 'মির্জাগঞ্জ'], ['Patuakhali Sadar', 'পটুয়াখালী সদর'], ['Rangabali', 'রাঙ্গাবালী']
+                ]
+            },
+            {
+                en: 'Pirojpur', bn: 'পিরোজপুর',
+                upazilas: [
+                    ['Bhandaria', 'ভান্ডারিয়া'], ['Indurkani', 'ইন্দুরকানী'], ['Kawkhali', 'কাউখালী'], ['Mathbaria', 'মঠবাড়িয়া'],
+                    ['Nazirpur', 'নাজিরপুর'], ['Nesarabad', 'নেছারাবাদ'], ['Pirojpur Sadar', 'পিরোজপুর সদর']
+                ]
+            }
+        ]
+    },
+    {
+        en: 'Chattogram', bn: 'চট্টগ্রাম',
+        districts: [
+            {
+                en: 'Bandarban', bn: 'বান্দরবান',
+                upazilas: [
+                    ['Ali Kadam', 'আলীকদম'], ['Bandarban Sadar', 'বান্দরবান সদর'], ['Lama', 'লামা'], ['Naikhongchhari', 'নাইক্ষ্যংছড়ি'],
+                    ['Rowangchhari', 'রোয়াংছড়ি'], ['Ruma', 'রুমা'], ['Thanchi', 'থানচি']
+                ]
+            },
+            {
+                en: 'Brahmanbaria', bn: 'ব্রাহ্মণবাড়িয়া',
+                upazilas: [
+                    ['Akhaura', 'আখাউড়া'], ['Ashuganj', 'আশুগঞ্জ'], ['Bancharampur', 'বাঞ্ছারামপুর'], ['Bijoynagar', 'বিজয়নগর'],
+                    ['Brahmanbaria Sadar', 'ব্রাহ্মণবাড়িয়া সদর'], ['Kasba', 'কসবা'], ['Nabinagar', 'নবীনগর'], ['Nasirnagar', 'নাসিরনগর'],
+                    ['Sarail', 'সরাইল']
+                ]
+            },
+            {
+                en: 'Chandpur', bn: 'চাঁদপুর',
+                upazilas: [
+                    ['Chandpur Sadar', 'চাঁদপুর সদর'], ['Faridganj', 'ফরিদগঞ্জ'], ['Haimchar', 'হাইমচর'], ['Hajiganj', 'হাজীগঞ্জ'],
+                    ['Kachua', 'কচুয়া'], ['Matlab Dakshin', 'মতলব দক্ষিণ'], ['Matlab Uttar', 'মতলব উত্তর'], ['Shahrasti', 'শাহরাস্তি']
+                ]
+            },
+            {
+                en: 'Chattogram', bn: 'চট্টগ্রাম',
+                upazilas: [
+                    ['Akbar Shah', 'আকবর শাহ'], ['Anwara', 'আনোয়ারা'], ['Bakalia', 'বাকলিয়া'], ['Bandar', 'বন্দর'],
+                    ['Banshkhali', 'বাঁশখালী'], ['Bayazid Bostami', 'বায়েজিদ বোস্তামী'], ['Boalkhali', 'বোয়ালখালী'], ['Chandanaish', 'চন্দনাইশ'],
+                    ['Chandgaon', 'চান্দগাঁও'], ['Chawkbazar', 'চকবাজার'], ['Double Mooring', 'ডবলমুরিং'], ['EPZ', 'ইপিজেড'],
+                    ['Fatikchhari', 'ফটিকছড়ি'], ['Halishahar', 'হালিশহর'], ['Hathazari', 'হাটহাজারী'], ['Karnaphuli', 'কর্ণফুলী'],
+                    ['Khulshi', 'খুলশী'], ['Kotwali', 'কোতোয়ালী'], ['Lohagara', 'লোহাগাড়া'], ['Mirsharai', 'মীরসরাই'],
+                    ['Pahartali', 'পাহাড়তলী'], ['Panchlaish', 'পাঁচলাইশ'], ['Patenga', 'পতেঙ্গা'], ['Patiya', 'পটিয়া'],
+                    ['Rangunia', 'রাঙ্গুনিয়া'], ['Raozan', 'রাউজান'], ['Sadarghat', 'সদরঘাট'], ['Sandwip', 'সন্দ্বীপ'],
+                    ['Satkania', 'সাতকানিয়া'], ['Sitakunda', 'সীতাকুণ্ড']
+                ]
+            },
+            {
+                en: 'Cox\'s Bazar', bn: 'কক্সবাজার',
+                upazilas: [
+                    ['Chakaria', 'চকরিয়া'], ['Cox\'s Bazar Sadar', 'কক্সবাজার সদর'], ['Eidgaon', 'ঈদগাঁও'], ['Kutubdia', 'কুতুবদিয়া'],
+                    ['Maheshkhali', 'মহেশখালী'], ['Pekua', 'পেকুয়া'], ['Ramu', 'রামু'], ['Teknaf', 'টেকনাফ'],
+                    ['Ukhia', 'উখিয়া']
+                ]
+            },
+            {
+                en: 'Cumilla', bn: 'কুমিল্লা',
+                upazilas: [
+                    ['Barura', 'বরুড়া'], ['Brahmanpara', 'ব্রাহ্মণপাড়া'], ['Burichang', 'বুড়িচং'], ['Chandina', 'চান্দিনা'],
+                    ['Chauddagram', 'চৌদ্দগ্রাম'], ['Cumilla Adarsha Sadar', 'কুমিল্লা আদর্শ সদর'], ['Cumilla Sadar Dakshin', 'কুমিল্লা সদর দক্ষিণ'], ['Daudkandi', 'দাউদকান্দি'],
+                    ['Debidwar', 'দেবিদ্বার'], ['Homna', 'হোমনা'], ['Laksam', 'লাকসাম'], ['Lalmai', 'লালমাই'],
+                    ['Meghna', 'মেঘনা'], ['Monohargonj', 'মনোহরগঞ্জ'], ['Muradnagar', 'মুরাদনগর'], ['Nangalkot', 'নাঙ্গলকোট'],
+                    ['Titas', 'তিতাস']
+                ]
+            },
+            {
+                en: 'Feni', bn: 'ফেনী',
+                upazilas: [
+                    ['Chhagalnaiya', 'ছাগলনাইয়া'], ['Daganbhuiyan', 'দাগনভূঞা'], ['Feni Sadar', 'ফেনী সদর'], ['Fulgazi', 'ফুলগাজী'],
+                    ['Parshuram', 'পরশুরাম'], ['Sonagazi', 'সোনাগাজী']
+                ]
+            },
+            {
+                en: 'Khagrachhari', bn: 'খাগড়াছড়ি',
+                upazilas: [
+                    ['Dighinala', 'দীঘিনালা'], ['Guimara', 'গুইমারা'], ['Khagrachhari Sadar', 'খাগড়াছড়ি সদর'], ['Lakshmichhari', 'লক্ষ্মীছড়ি'],
+                    ['Mahalchhari', 'মহালছড়ি'], ['Manikchhari', 'মানিকছড়ি'], ['Matiranga', 'মাটিরাঙ্গা'], ['Panchhari', 'পানছড়ি'],
+                    ['Ramgarh', 'রামগড়']
+                ]
+            },
+            {
+                en: 'Lakshmipur', bn: 'লক্ষ্মীপুর',
+                upazilas: [
+                    ['Kamalnagar', 'কমলনগর'], ['Lakshmipur Sadar', 'লক্ষ্মীপুর সদর'], ['Raipur', 'রায়পুর'], ['Ramganj', 'রামগঞ্জ'],
+                    ['Ramgati', 'রামগতি']
+                ]
+            },
+            {
+                en: 'Noakhali', bn: 'নোয়াখালী',
+                upazilas: [
+                    ['Begumganj', 'বেগমগঞ্জ'], ['Chatkhil', 'চাটখিল'], ['Companiganj', 'কোম্পানীগঞ্জ'], ['Hatiya', 'হাতিয়া'],
+                    ['Kabirhat', 'কবিরহাট'], ['Noakhali Sadar', 'নোয়াখালী সদর'], ['Senbagh', 'সেনবাগ'], ['Sonaimuri', 'সোনাইমুড়ী'],
+                    ['Subarnachar', 'সুবর্ণচর']
+                ]
+            },
+            {
+                en: 'Rangamati', bn: 'রাঙ্গামাটি',
+                upazilas: [
+                    ['Baghaichhari', 'বাঘাইছড়ি'], ['Barkal', 'বরকল'], ['Belaichhari', 'বিলাইছড়ি'], ['Juraichhari', 'জুরাছড়ি'],
+                    ['Kaptai', 'কাপ্তাই'], ['Kawkhali', 'কাউখালী'], ['Langadu', 'লংগদু'], ['Naniarchar', 'নানিয়ারচর'],
+                    ['Rajasthali', 'রাজস্থলী'], ['Rangamati Sadar', 'রাঙ্গামাটি সদর']
+                ]
+            }
+        ]
+    },
+    {
+        en: 'Dhaka', bn: 'ঢাকা',
+        districts: [
+            {
+                en: 'Dhaka', bn: 'ঢাকা',
+                upazilas: [
+                    ['Adabor', 'আদাবর'], ['Badda', 'বাড্ডা'], ['Banani', 'বনানী'], ['Bangshal', 'বংশাল'],
+                    ['Bhasantek', 'ভাসানটেক'], ['Bimanbandar', 'বিমানবন্দর'], ['Cantonment', 'ক্যান্টনমেন্ট'], ['Chawkbazar', 'চকবাজার'],
+                    ['Dakshinkhan', 'দক্ষিণখান'], ['Darus Salam', 'দারুস সালাম'], ['Demra', 'ডেমরা'], ['Dhamrai', 'ধামরাই'],
+                    ['Dhanmondi', 'ধানমন্ডি'], ['Dohar', 'দোহার'], ['Gendaria', 'গেন্ডারিয়া'], ['Gulshan', 'গুলশান'],
+                    ['Hatirjheel', 'হাতিরঝিল'], ['Hazaribagh', 'হাজারীবাগ'], ['Jatrabari', 'যাত্রাবাড়ী'], ['Kadamtali', 'কদমতলী'],
+                    ['Kafrul', 'কাফরুল'], ['Kalabagan', 'কলাবাগান'], ['Kamrangirchar', 'কামরাঙ্গীরচর'], ['Keraniganj', 'কেরানীগঞ্জ'],
+                    ['Khilgaon', 'খিলগাঁও'], ['Khilkhet', 'খিলক্ষেত'], ['Kotwali', 'কোতোয়ালী'], ['Lalbagh', 'লালবাগ'],
+                    ['Mirpur', 'মিরপুর'], ['Mohammadpur', 'মোহাম্মদপুর'], ['Motijheel', 'মতিঝিল'], ['Mugda', 'মুগদা'],
+                    ['Nawabganj', 'নবাবগঞ্জ'], ['New Market', 'নিউ মার্কেট'], ['Pallabi', 'পল্লবী'], ['Paltan', 'পল্টন'],
+                    ['Ramna', 'রমনা'], ['Rampura', 'রামপুরা'], ['Rupnagar', 'রূপনগর'], ['Sabujbagh', 'সবুজবাগ'],
+                    ['Savar', 'সাভার'], ['Shah Ali', 'শাহ আলী'], ['Shahbagh', 'শাহবাগ'], ['Sher-e-Bangla Nagar', 'শেরেবাংলা নগর'],
+                    ['Shyampur', 'শ্যামপুর'], ['Sutrapur', 'সূত্রাপুর'], ['Tejgaon', 'তেজগাঁও'], ['Turag', 'তুরাগ'],
+                    ['Uttara', 'উত্তরা'], ['Uttarkhan', 'উত্তরখান'], ['Vatara', 'ভাটারা'], ['Wari', 'ওয়ারী']
+                ]
+            },
+            {
+                en: 'Faridpur', bn: 'ফরিদপুর',
+                upazilas: [
+                    ['Alfadanga', 'আলফাডাঙ্গা'], ['Bhanga', 'ভাঙ্গা'], ['Boalmari', 'বোয়ালমারী'], ['Charbhadrasan', 'চরভদ্রাসন'],
+                    ['Faridpur Sadar', 'ফরিদপুর সদর'], ['Madhukhali', 'মধুখালী'], ['Nagarkanda', 'নগরকান্দা'], ['Sadarpur', 'সদরপুর'],
+                    ['Saltha', 'সালথা']
+                ]
+            },
+            {
+                en: 'Gazipur', bn: 'গাজীপুর',
+                upazilas: [
+                    ['Gazipur Sadar', 'গাজীপুর সদর'], ['Kaliakair', 'কালিয়াকৈর'], ['Kaliganj', 'কালীগঞ্জ'], ['Kapasia', 'কাপাসিয়া'],
+                    ['Sreepur', 'শ্রীপুর'], ['Tongi', 'টঙ্গী']
+                ]
+            },
+            {
+                en: 'Gopalganj', bn: 'গোপালগঞ্জ',
+                upazilas: [
+                    ['Gopalganj Sadar', 'গোপালগঞ্জ সদর'], ['Kashiani', 'কাশিয়ানী'], ['Kotalipara', 'কোটালীপাড়া'], ['Muksudpur', 'মুকসুদপুর'],
+                    ['Tungipara', 'টুঙ্গিপাড়া']
+                ]
+            },
+            {
+                en: 'Kishoreganj', bn: 'কিশোরগঞ্জ',
+                upazilas: [
+                    ['Austagram', 'অষ্টগ্রাম'], ['Bajitpur', 'বাজিতপুর'], ['Bhairab', 'ভৈরব'], ['Hossainpur', 'হোসেনপুর'],
+                    ['Itna', 'ইটনা'], ['Karimganj', 'করিমগঞ্জ'], ['Katiadi', 'কটিয়াদী'], ['Kishoreganj Sadar', 'কিশোরগঞ্জ সদর'],
+                    ['Kuliarchar', 'কুলিয়ারচর'], ['Mithamain', 'মিঠামইন'], ['Nikli', 'নিকলী'], ['Pakundia', 'পাকুন্দিয়া'],
+                    ['Tarail', 'তাড়াইল']
+                ]
+            },
+            {
+                en: 'Madaripur', bn: 'মাদারীপুর',
+                upazilas: [
+                    ['Dasar', 'ডাসার'], ['Kalkini', 'কালকিনি'], ['Madaripur Sadar', 'মাদারীপুর সদর'], ['Rajoir', 'রাজৈর'],
+                    ['Shibchar', 'শিবচর']
+                ]
+            },
+            {
+                en: 'Manikganj', bn: 'মানিকগঞ্জ',
+                upazilas: [
+                    ['Daulatpur', 'দৌলতপুর'], ['Ghior', 'ঘিওর'], ['Harirampur', 'হরিরামপুর'], ['Manikganj Sadar', 'মানিকগঞ্জ সদর'],
+                    ['Saturia', 'সাটুরিয়া'], ['Shivalaya', 'শিবালয়'], ['Singair', 'সিংগাইর']
+                ]
+            },
+            {
+                en: 'Munshiganj', bn: 'মুন্সীগঞ্জ',
+                upazilas: [
+                    ['Gazaria', 'গজারিয়া'], ['Lohajang', 'লৌহজং'], ['Munshiganj Sadar', 'মুন্সীগঞ্জ সদর'], ['Sirajdikhan', 'সিরাজদিখান'],
+                    ['Sreenagar', 'শ্রীনগর'], ['Tongibari', 'টংগিবাড়ী']
+                ]
+            },
+            {
+                en: 'Narayanganj', bn: 'নারায়ণগঞ্জ',
+                upazilas: [
+                    ['Araihazar', 'আড়াইহাজার'], ['Bandar', 'বন্দর'], ['Narayanganj Sadar', 'নারায়ণগঞ্জ সদর'], ['Rupganj', 'রূপগঞ্জ'],
+                    ['Siddhirganj', 'সিদ্ধিরগঞ্জ'], ['Sonargaon', 'সোনারগাঁও']
+                ]
+            },
+            {
+                en: 'Narsingdi', bn: 'নরসিংদী',
+                upazilas: [
+                    ['Belabo', 'বেলাবো'], ['Monohardi', 'মনোহরদী'], ['Narsingdi Sadar', 'নরসিংদী সদর'], ['Palash', 'পলাশ'],
+                    ['Raipura', 'রায়পুরা'], ['Shibpur', 'শিবপুর']
+                ]
+            },
+            {
+                en: 'Rajbari', bn: 'রাজবাড়ী',
+                upazilas: [
+                    ['Baliakandi', 'বালিয়াকান্দি'], ['Goalanda', 'গোয়ালন্দ'], ['Kalukhali', 'কালুখালী'], ['Pangsha', 'পাংশা'],
+                    ['Rajbari Sadar', 'রাজবাড়ী সদর']
+                ]
+            },
+            {
+                en: 'Shariatpur', bn: 'শরীয়তপুর',
+                upazilas: [
+                    ['Bhedarganj', 'ভেদরগঞ্জ'], ['Damudya', 'ডামুড্যা'], ['Gosairhat', 'গোসাইরহাট'], ['Naria', 'নড়িয়া'],
+                    ['Shariatpur Sadar', 'শরীয়তপুর সদর'], ['Zajira', 'জাজিরা']
+                ]
+            },
+            {
+                en: 'Tangail', bn: 'টাঙ্গাইল',
+                upazilas: [
+                    ['Basail', 'বাসাইল'], ['Bhuapur', 'ভুয়াপুর'], ['Delduar', 'দেলদুয়ার'], ['Dhanbari', 'ধনবাড়ী'],
+                    ['Ghatail', 'ঘাটাইল'], ['Gopalpur', 'গোপালপুর'], ['Kalihati', 'কালিহাতী'], ['Madhupur', 'মধুপুর'],
+                    ['Mirzapur', 'মির্জাপুর'], ['Nagarpur', 'নাগরপুর'], ['Sakhipur', 'সখিপুর'], ['Tangail Sadar', 'টাঙ্গাইল সদর']
+                ]
+            }
+        ]
+    },
+    {
+        en: 'Khulna', bn: 'খুলনা',
+        districts: [
+            {
+                en: 'Bagerhat', bn: 'বাগেরহাট',
+                upazilas: [
+                    ['Bagerhat Sadar', 'বাগেরহাট সদর'], ['Chitalmari', 'চিতলমারী'], ['Fakirhat', 'ফকিরহাট'], ['Kachua', 'কচুয়া'],
+                    ['Mollahat', 'মোল্লাহাট'], ['Mongla', 'মোংলা'], ['Morrelganj', 'মোরেলগঞ্জ'], ['Rampal', 'রামপাল'],
+                    ['Sarankhola', 'শরণখোলা']
+                ]
+            },
+            {
+                en: 'Chuadanga', bn: 'চুয়াডাঙ্গা',
+                upazilas: [
+                    ['Alamdanga', 'আলমডাঙ্গা'], ['Chuadanga Sadar', 'চুয়াডাঙ্গা সদর'], ['Damurhuda', 'দামুড়হুদা'], ['Jibannagar', 'জীবননগর']
+                ]
+            },
+            {
+                en: 'Jashore', bn: 'যশোর',
+                upazilas: [
+                    ['Abhaynagar', 'অভয়নগর'], ['Bagherpara', 'বাঘারপাড়া'], ['Chaugachha', 'চৌগাছা'], ['Jashore Sadar', 'যশোর সদর'],
+                    ['Jhikargachha', 'ঝিকরগাছা'], ['Keshabpur', 'কেশবপুর'], ['Manirampur', 'মণিরামপুর'], ['Sharsha', 'শার্শা']
+                ]
+            },
+            {
+                en: 'Jhenaidah', bn: 'ঝিনাইদহ',
+                upazilas: [
+                    ['Harinakunda', 'হরিণাকুণ্ডু'], ['Jhenaidah Sadar', 'ঝিনাইদহ সদর'], ['Kaliganj', 'কালীগঞ্জ'], ['Kotchandpur', 'কোটচাঁদপুর'],
+                    ['Maheshpur', 'মহেশপুর'], ['Shailkupa', 'শৈলকুপা']
+                ]
+            },
+            {
+                en: 'Khulna', bn: 'খুলনা',
+                upazilas: [
+                    ['Batiaghata', 'বটিয়াঘাটা'], ['Dacope', 'দাকোপ'], ['Daulatpur', 'দৌলতপুর'], ['Dighalia', 'দিঘলিয়া'],
+                    ['Dumuria', 'ডুমুরিয়া'], ['Khalishpur', 'খালিশপুর'], ['Khulna Sadar', 'খুলনা সদর'], ['Koyra', 'কয়রা'],
+                    ['Paikgachha', 'পাইকগাছা'], ['Phultala', 'ফুলতলা'], ['Rupsha', 'রূপসা'], ['Sonadanga', 'সোনাডাঙ্গা'],
+                    ['Terokhada', 'তেরখাদা']
+                ]
+            },
+            {
+                en: 'Kushtia', bn: 'কুষ্টিয়া',
+                upazilas: [
+                    ['Bheramara', 'ভেড়ামারা'], ['Daulatpur', 'দৌলতপুর'], ['Khoksa', 'খোকসা'], ['Kumarkhali', 'কুমারখালী'],
+                    ['Kushtia Sadar', 'কুষ্টিয়া সদর'], ['Mirpur', 'মিরপুর']
+                ]
+            },
+            {
+                en: 'Magura', bn: 'মাগুরা',
+                upazilas: [
+                    ['Magura Sadar', 'মাগুরা সদর'], ['Mohammadpur', 'মহম্মদপুর'], ['Shalikha', 'শালিখা'], ['Sreepur', 'শ্রীপুর']
+                ]
+            },
+            {
+                en: 'Meherpur', bn: 'মেহেরপুর',
+                upazilas: [
+                    ['Gangni', 'গাংনী'], ['Meherpur Sadar', 'মেহেরপুর সদর'], ['Mujibnagar', 'মুজিবনগর']
+                ]
+            },
+            {
+                en: 'Narail', bn: 'নড়াইল',
+                upazilas: [
+                    ['Kalia', 'কালিয়া'], ['Lohagara', 'লোহাগড়া'], ['Narail Sadar', 'নড়াইল সদর']
+                ]
+            },
+            {
+                en: 'Satkhira', bn: 'সাতক্ষীরা',
+                upazilas: [
+                    ['Assasuni', 'আশাশুনি'], ['Debhata', 'দেবহাটা'], ['Kalaroa', 'কলারোয়া'], ['Kaliganj', 'কালীগঞ্জ'],
+                    ['Satkhira Sadar', 'সাতক্ষীরা সদর'], ['Shyamnagar', 'শ্যামনগর'], ['Tala', 'তালা']
+                ]
+            }
+        ]
+    },
+    {
+        en: 'Mymensingh', bn: 'ময়মনসিংহ',
+        districts: [
+            {
+                en: 'Jamalpur', bn: 'জামালপুর',
+                upazilas: [
+                    ['Bakshiganj', 'বকশীগঞ্জ'], ['Dewanganj', 'দেওয়ানগঞ্জ'], ['Islampur', 'ইসলামপুর'], ['Jamalpur Sadar', 'জামালপুর সদর'],
+                    ['Madarganj', 'মাদারগঞ্জ'], ['Melandaha', 'মেলান্দহ'], ['Sarishabari', 'সরিষাবাড়ী']
+                ]
+            },
+            {
+                en: 'Mymensingh', bn: 'ময়মনসিংহ',
+                upazilas: [
+                    ['Bhaluka', 'ভালুকা'], ['Dhobaura', 'ধোবাউড়া'], ['Fulbaria', 'ফুলবাড়িয়া'], ['Gafargaon', 'গফরগাঁও'],
+                    ['Gauripur', 'গৌরীপুর'], ['Haluaghat', 'হালুয়াঘাট'], ['Ishwarganj', 'ঈশ্বরগঞ্জ'], ['Muktagachha', 'মুক্তাগাছা'],
+                    ['Mymensingh Sadar', 'ময়মনসিংহ সদর'], ['Nandail', 'নান্দাইল'], ['Phulpur', 'ফুলপুর'], ['Tarakanda', 'তারাকান্দা'],
+                    ['Trishal', 'ত্রিশাল']
+                ]
+            },
+            {
+                en: 'Netrokona', bn: 'নেত্রকোণা',
+                upazilas: [
+                    ['Atpara', 'আটপাড়া'], ['Barhatta', 'বারহাট্টা'], ['Durgapur', 'দুর্গাপুর'], ['Kalmakanda', 'কলমাকান্দা'],
+                    ['Kendua', 'কেন্দুয়া'], ['Khaliajuri', 'খালিয়াজুরী'], ['Madan', 'মদন'], ['Mohanganj', 'মোহনগঞ্জ'],
+                    ['Netrokona Sadar', 'নেত্রকোণা সদর'], ['Purbadhala', 'পূর্বধলা']
+                ]
+            },
+            {
+                en: 'Sherpur', bn: 'শেরপুর',
+                upazilas: [
+                    ['Jhenaigati', 'ঝিনাইগাতী'], ['Nakla', 'নকলা'], ['Nalitabari', 'নালিতাবাড়ী'], ['Sherpur Sadar', 'শেরপুর সদর'],
+                    ['Sreebardi', 'শ্রীবরদী']
+                ]
+            }
+        ]
+    },
+    {
+        en: 'Rajshahi', bn: 'রাজশাহী',
+        districts: [
+            {
+                en: 'Bogura', bn: 'বগুড়া',
+                upazilas: [
+                    ['Adamdighi', 'আদমদীঘি'], ['Bogura Sadar', 'বগুড়া সদর'], ['Dhunat', 'ধুনট'], ['Dhupchanchia', 'দুপচাঁচিয়া'],
+                    ['Gabtali', 'গাবতলী'], ['Kahaloo', 'কাহালু'], ['Nandigram', 'নন্দীগ্রাম'], ['Sariakandi', 'সারিয়াকান্দি'],
+                    ['Shajahanpur', 'শাজাহানপুর'], ['Sherpur', 'শেরপুর'], ['Shibganj', 'শিবগঞ্জ'], ['Sonatala', 'সোনাতলা']
+                ]
+            },
+            {
+                en: 'Chapainawabganj', bn: 'চাঁপাইনবাবগঞ্জ',
+                upazilas: [
+                    ['Bholahat', 'ভোলাহাট'], ['Chapainawabganj Sadar', 'চাঁপাইনবাবগঞ্জ সদর'], ['Gomastapur', 'গোমস্তাপুর'], ['Nachole', 'নাচোল'],
+                    ['Shibganj', 'শিবগঞ্জ']
+                ]
+            },
+            {
+                en: 'Joypurhat', bn: 'জয়পুরহাট',
+                upazilas: [
+                    ['Akkelpur', 'আক্কেলপুর'], ['Joypurhat Sadar', 'জয়পুরহাট সদর'], ['Kalai', 'কালাই'], ['Khetlal', 'ক্ষেতলাল'],
+                    ['Panchbibi', 'পাঁচবিবি']
+                ]
+            },
+            {
+                en: 'Naogaon', bn: 'নওগাঁ',
+                upazilas: [
+                    ['Atrai', 'আত্রাই'], ['Badalgachhi', 'বদলগাছী'], ['Dhamoirhat', 'ধামইরহাট'], ['Manda', 'মান্দা'],
+                    ['Mohadevpur', 'মহাদেবপুর'], ['Naogaon Sadar', 'নওগাঁ সদর'], ['Niamatpur', 'নিয়ামতপুর'], ['Patnitala', 'পত্নীতলা'],
+                    ['Porsha', 'পোরশা'], ['Raninagar', 'রাণীনগর'], ['Sapahar', 'সাপাহার']
+                ]
+            },
+            {
+                en: 'Natore', bn: 'নাটোর',
+                upazilas: [
+                    ['Bagatipara', 'বাগাতিপাড়া'], ['Baraigram', 'বড়াইগ্রাম'], ['Gurudaspur', 'গুরুদাসপুর'], ['Lalpur', 'লালপুর'],
+                    ['Naldanga', 'নলডাঙ্গা'], ['Natore Sadar', 'নাটোর সদর'], ['Singra', 'সিংড়া']
+                ]
+            },
+            {
+                en: 'Pabna', bn: 'পাবনা',
+                upazilas: [
+                    ['Atgharia', 'আটঘরিয়া'], ['Bera', 'বেড়া'], ['Bhangura', 'ভাঙ্গুড়া'], ['Chatmohar', 'চাটমোহর'],
+                    ['Faridpur', 'ফরিদপুর'], ['Ishwardi', 'ঈশ্বরদী'], ['Pabna Sadar', 'পাবনা সদর'], ['Santhia', 'সাঁথিয়া'],
+                    ['Sujanagar', 'সুজানগর']
+                ]
+            },
+            {
+                en: 'Rajshahi', bn: 'রাজশাহী',
+                upazilas: [
+                    ['Bagha', 'বাঘা'], ['Bagmara', 'বাগমারা'], ['Boalia', 'বোয়ালিয়া'], ['Charghat', 'চারঘাট'],
+                    ['Durgapur', 'দুর্গাপুর'], ['Godagari', 'গোদাগাড়ী'], ['Mohanpur', 'মোহনপুর'], ['Motihar', 'মতিহার'],
+                    ['Paba', 'পবা'], ['Puthia', 'পুঠিয়া'], ['Rajpara', 'রাজপাড়া'], ['Shah Makhdum', 'শাহ মখদুম'],
+                    ['Tanore', 'তানোর']
+                ]
+            },
+            {
+                en: 'Sirajganj', bn: 'সিরাজগঞ্জ',
+                upazilas: [
+                    ['Belkuchi', 'বেলকুচি'], ['Chauhali', 'চৌহালি'], ['Kamarkhanda', 'কামারখন্দ'], ['Kazipur', 'কাজীপুর'],
+                    ['Raiganj', 'রায়গঞ্জ'], ['Shahjadpur', 'শাহজাদপুর'], ['Sirajganj Sadar', 'সিরাজগঞ্জ সদর'], ['Tarash', 'তাড়াশ'],
+                    ['Ullahpara', 'উল্লাপাড়া']
+                ]
+            }
+        ]
+    },
+    {
+        en: 'Rangpur', bn: 'রংপুর',
+        districts: [
+            {
+                en: 'Dinajpur', bn: 'দিনাজপুর',
+                upazilas: [
+                    ['Biral', 'বিরল'], ['Birampur', 'বিরামপুর'], ['Birganj', 'বীরগঞ্জ'], ['Bochaganj', 'বোচাগঞ্জ'],
+                    ['Chirirbandar', 'চিরিরবন্দর'], ['Dinajpur Sadar', 'দিনাজপুর সদর'], ['Fulbari', 'ফুলবাড়ী'], ['Ghoraghat', 'ঘোড়াঘাট'],
+                    ['Hakimpur', 'হাকিমপুর'], ['Kaharole', 'কাহারোল'], ['Khansama', 'খানসামা'], ['Nawabganj', 'নবাবগঞ্জ'],
+                    ['Parbatipur', 'পার্বতীপুর']
+                ]
+            },
+            {
+                en: 'Gaibandha', bn: 'গাইবান্ধা',
+                upazilas: [
+                    ['Fulchhari', 'ফুলছড়ি'], ['Gaibandha Sadar', 'গাইবান্ধা সদর'], ['Gobindaganj', 'গোবিন্দগঞ্জ'], ['Palashbari', 'পলাশবাড়ী'],
+                    ['Sadullapur', 'সাদুল্লাপুর'], ['Saghata', 'সাঘাটা'], ['Sundarganj', 'সুন্দরগঞ্জ']
+                ]
+            },
+            {
+                en: 'Kurigram', bn: 'কুড়িগ্রাম',
+                upazilas: [
+                    ['Bhurungamari', 'ভূরুঙ্গামারী'], ['Char Rajibpur', 'চর রাজিবপুর'], ['Chilmari', 'চিলমারী'], ['Kurigram Sadar', 'কুড়িগ্রাম সদর'],
+                    ['Nageshwari', 'নাগেশ্বরী'], ['Phulbari', 'ফুলবাড়ী'], ['Rajarhat', 'রাজারহাট'], ['Raumari', 'রৌমারী'],
+                    ['Ulipur', 'উলিপুর']
+                ]
+            },
+            {
+                en: 'Lalmonirhat', bn: 'লালমনিরহাট',
+                upazilas: [
+                    ['Aditmari', 'আদিতমারী'], ['Hatibandha', 'হাতীবান্ধা'], ['Kaliganj', 'কালীগঞ্জ'], ['Lalmonirhat Sadar', 'লালমনিরহাট সদর'],
+                    ['Patgram', 'পাটগ্রাম']
+                ]
+            },
+            {
+                en: 'Nilphamari', bn: 'নীলফামারী',
+                upazilas: [
+                    ['Dimla', 'ডিমলা'], ['Domar', 'ডোমার'], ['Jaldhaka', 'জলঢাকা'], ['Kishoreganj', 'কিশোরগঞ্জ'],
+                    ['Nilphamari Sadar', 'নীলফামারী সদর'], ['Saidpur', 'সৈয়দপুর']
+                ]
+            },
+            {
+                en: 'Panchagarh', bn: 'পঞ্চগড়',
+                upazilas: [
+                    ['Atwari', 'আটোয়ারী'], ['Boda', 'বোদা'], ['Debiganj', 'দেবীগঞ্জ'], ['Panchagarh Sadar', 'পঞ্চগড় সদর'],
+                    ['Tetulia', 'তেঁতুলিয়া']
+                ]
+            },
+            {
+                en: 'Rangpur', bn: 'রংপুর',
+                upazilas: [
+                    ['Badarganj', 'বদরগঞ্জ'], ['Gangachara', 'গংগাচড়া'], ['Kaunia', 'কাউনিয়া'], ['Mithapukur', 'মিঠাপুকুর'],
+                    ['Pirgachha', 'পীরগাছা'], ['Pirganj', 'পীরগঞ্জ'], ['Rangpur Sadar', 'রংপুর সদর'], ['Taraganj', 'তারাগঞ্জ']
+                ]
+            },
+            {
+                en: 'Thakurgaon', bn: 'ঠাকুরগাঁও',
+                upazilas: [
+                    ['Baliadangi', 'বালিয়াডাঙ্গী'], ['Haripur', 'হরিপুর'], ['Pirganj', 'পীরগঞ্জ'], ['Ranisankail', 'রাণীশংকৈল'],
+                    ['Thakurgaon Sadar', 'ঠাকুরগাঁও সদর']
+                ]
+            }
+        ]
+    },
+    {
+        en: 'Sylhet', bn: 'সিলেট',
+        districts: [
+            {
+                en: 'Habiganj', bn: 'হবিগঞ্জ',
+                upazilas: [
+                    ['Ajmiriganj', 'আজমিরীগঞ্জ'], ['Bahubal', 'বাহুবল'], ['Baniachong', 'বানিয়াচং'], ['Chunarughat', 'চুনারুঘাট'],
+                    ['Habiganj Sadar', 'হবিগঞ্জ সদর'], ['Lakhai', 'লাখাই'], ['Madhabpur', 'মাধবপুর'], ['Nabiganj', 'নবীগঞ্জ'],
+                    ['Shayestaganj', 'শায়েস্তাগঞ্জ']
+                ]
+            },
+            {
+                en: 'Moulvibazar', bn: 'মৌলভীবাজার',
+                upazilas: [
+                    ['Barlekha', 'বড়লেখা'], ['Juri', 'জুড়ী'], ['Kamalganj', 'কমলগঞ্জ'], ['Kulaura', 'কুলাউড়া'],
+                    ['Moulvibazar Sadar', 'মৌলভীবাজার সদর'], ['Rajnagar', 'রাজনগর'], ['Sreemangal', 'শ্রীমঙ্গল']
+                ]
+            },
+            {
+                en: 'Sunamganj', bn: 'সুনামগঞ্জ',
+                upazilas: [
+                    ['Bishwamvarpur', 'বিশ্বম্ভরপুর'], ['Chhatak', 'ছাতক'], ['Derai', 'দিরাই'], ['Dharampasha', 'ধর্মপাশা'],
+                    ['Dowarabazar', 'দোয়ারাবাজার'], ['Jagannathpur', 'জগন্নাথপুর'], ['Jamalganj', 'জামালগঞ্জ'], ['Madhyanagar', 'মধ্যনগর'],
+                    ['Shantiganj', 'শান্তিগঞ্জ'], ['Sullah', 'শাল্লা'], ['Sunamganj Sadar', 'সুনামগঞ্জ সদর'], ['Tahirpur', 'তাহিরপুর']
+                ]
+            },
+            {
+                en: 'Sylhet', bn: 'সিলেট',
+                upazilas: [
+                    ['Balaganj', 'বালাগঞ্জ'], ['Beanibazar', 'বিয়ানীবাজার'], ['Bishwanath', 'বিশ্বনাথ'], ['Companiganj', 'কোম্পানীগঞ্জ'],
+                    ['Dakshin Surma', 'দক্ষিণ সুরমা'], ['Fenchuganj', 'ফেঞ্চুগঞ্জ'], ['Golapganj', 'গোলাপগঞ্জ'], ['Gowainghat', 'গোয়াইনঘাট'],
+                    ['Jaintiapur', 'জৈন্তাপুর'], ['Kanaighat', 'কানাইঘাট'], ['Osmani Nagar', 'ওসমানী নগর'], ['Sylhet Sadar', 'সিলেট সদর'],
+                    ['Zakiganj', 'জকিগঞ্জ']
+                ]
+            }
+        ]
+    }
+];
@@ -0,0 +1,432 @@
+// ===== TinyStepsBD Local Cache Database =====
+
+/**
+ * Schema history of the cache database. For every version the browser has
+ * not seen yet, `upgrade` changes the IndexedDB stores and `migrate` moves
+ * existing data, oldest first. Add new versions at the end and never edit
+ * released ones.
+ */
+const CACHE_DB_MIGRATIONS = [
+    {
+        version: 1,
+        // Catalog, image metadata, order history and bookkeeping
+        upgrade(db) {
+            ['products', 'images', 'orders', 'meta'].forEach(name => {
+                db.createObjectStore(name, { keyPath: 'key' });
+            });
+        },
+        // Earlier releases kept the catalog and the order history in localStorage
+        async migrate(cache) {
+            const catalog = JSON.parse(localStorage.getItem('tinystepsbd_products_cache') || 'null');
+            if (catalog && Array.isArray(catalog.data)) {
+                await cache.writeRecords('products', catalog.data.map(product =>
+                    cache.createRecord(String(product.id), product, catalog.timestamp)));
+                await cache.writeRecords('meta', [cache.createRecord('catalog', {
+                    version: catalog.version || null,
+                    timestamp: catalog.timestamp,
+                    ids: catalog.data.map(product => String(product.id))
+                })]);
+            }
+
+            const orders = JSON.parse(localStorage.getItem('tinystepsbd_orders') || 'null');
+            if (Array.isArray(orders)) {
+                await cache.writeRecords('orders', orders.map(order => cache.createRecord(order.orderId, order)));
+            }
+
+            localStorage.removeItem('tinystepsbd_products_cache');
+            localStorage.removeItem('tinystepsbd_orders');
+        }
+    }
+];
+
+class CacheDatabase {
+    constructor(config = APP_CONFIG.storage) {
+        this.dbName = 'tinystepsbd-cache';
+        this.version = CACHE_DB_MIGRATIONS[CACHE_DB_MIGRATIONS.length - 1].version;
+        this.fallbackPrefix = 'tinystepsbd_cache_';
+        this.budgets = config.budgets || {};
+        this.dbPromise = null;
+        this.readyPromise = null;
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('tinystepsbd-cache') : null;
+        this.init();
+    }
+
+    /**
+     * Initialize cache database
+     */
+    init() {
+        // Writes from other tabs are announced as `cacheChanged` with the store name
+        if (this.channel) {
+            this.channel.onmessage = (event) => {
+                window.dispatchEvent(new CustomEvent('cacheChanged', {
+                    detail: { store: event.data.store }
+                }));
+            };
+        }
+    }
+
+    /**
+     * Check if IndexedDB is available in this context
+     * @returns {boolean} True if supported
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create or upgrade if needed) the database
+     * @returns {Promise<IDBDatabase|null>} Database handle, or null when
+     *     records are kept in localStorage instead
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (!this.isSupported()) {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, this.version);
+
+                request.onupgradeneeded = (event) => {
+                    CACHE_DB_MIGRATIONS
+                        .filter(migration => migration.version > event.oldVersion)
+                        .forEach(migration => migration.upgrade(request.result, request.transaction));
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let a newer version in another tab upgrade the schema
+                    db.onversionchange = () => db.close();
+                    resolve(db);
+                };
+                // Private browsing can refuse IndexedDB outright
+                request.onerror = () => {
+                    console.warn('IndexedDB unavailable, caching in localStorage:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Open the database and bring its data up to the current schema
+     * @returns {Promise} Resolves once the cache can be used
+     */
+    ready() {
+        if (!this.readyPromise) {
+            this.readyPromise = this.migrate().catch(error => {
+                console.warn('Cache migration failed:', error);
+            });
+        }
+        return this.readyPromise;
+    }
+
+    /**
+     * Run the data migrations this browser has not run yet
+     */
+    async migrate() {
+        const schema = await this.readRecord('meta', 'schema');
+        const current = schema ? schema.value : 0;
+
+        for (const migration of CACHE_DB_MIGRATIONS) {
+            if (migration.version <= current) continue;
+
+            await migration.migrate(this);
+            await this.writeRecords('meta', [this.createRecord('schema', migration.version)]);
+        }
+    }
+
+    /**
+     * Wrap a value in a cache record
+     * @param {string} key - Record key
+     * @param {*} value - Value to store
+     * @param {number} now - Timestamp for the record
+     * @returns {Object} `{ key, value, size, updatedAt, accessedAt }`
+     */
+    createRecord(key, value, now = Date.now()) {
+        return {
+            key: key,
+            value: value,
+            // Characters of JSON, close enough to bytes for budgeting
+            size: JSON.stringify(value).length,
+            updatedAt: now,
+            accessedAt: now
+        };
+    }
+
+    /**
+     * Run requests against one store in a single transaction
+     * @param {string} storeName - Object store
+     * @param {string} mode - Transaction mode
+     * @param {Function} operation - Receives the object store, may return an IDBRequest
+     * @returns {Promise<*>} Result of the returned request
+     */
+    async withStore(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Read a store from the localStorage fallback
+     * @param {string} storeName - Store name
+     * @returns {Object} Records by key
+     */
+    readFallback(storeName) {
+        try {
+            return JSON.parse(localStorage.getItem(this.fallbackPrefix + storeName)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Read one record
+     * @param {string} storeName - Store name
+     * @param {string} key - Record key
+     * @returns {Promise<Object|null>} Record
+     */
+    async readRecord(storeName, key) {
+        if (!await this.open()) {
+            return this.readFallback(storeName)[key] || null;
+        }
+
+        return (await this.withStore(storeName, 'readonly', store => store.get(key))) || null;
+    }
+
+    /**
+     * Read every record of a store
+     * @param {string} storeName - Store name
+     * @returns {Promise<Array>} Records
+     */
+    async readRecords(storeName) {
+        if (!await this.open()) {
+            return Object.values(this.readFallback(storeName));
+        }
+
+        return this.withStore(storeName, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Store records as they are
+     * @param {string} storeName - Store name
+     * @param {Array} records - Records to put
+     */
+    async writeRecords(storeName, records) {
+        if (records.length === 0) return;
+
+        if (!await this.open()) {
+            const stored = this.readFallback(storeName);
+            records.forEach(record => {
+                stored[record.key] = record;
+            });
+            localStorage.setItem(this.fallbackPrefix + storeName, JSON.stringify(stored));
+            return;
+        }
+
+        await this.withStore(storeName, 'readwrite', store => {
+            records.forEach(record => store.put(record));
+        });
+    }
+
+    /**
+     * Delete records
+     * @param {string} storeName - Store name
+     * @param {Array} keys - Keys to delete
+     */
+    async deleteRecords(storeName, keys) {
+        if (keys.length === 0) return;
+
+        if (!await this.open()) {
+            const stored = this.readFallback(storeName);
+            keys.forEach(key => delete stored[key]);
+            localStorage.setItem(this.fallbackPrefix + storeName, JSON.stringify(stored));
+            return;
+        }
+
+        await this.withStore(storeName, 'readwrite', store => {
+            keys.forEach(key => store.delete(key));
+        });
+    }
+
+    /**
+     * Get a value and mark it as recently used
+     * @param {string} storeName - Store name
+     * @param {string} key - Record key
+     * @returns {Promise<*>} Value, or null when missing
+     */
+    async get(storeName, key) {
+        await this.ready();
+
+        const record = await this.readRecord(storeName, key);
+        if (!record) return null;
+
+        await this.writeRecords(storeName, [{ ...record, accessedAt: Date.now() }]);
+        return record.value;
+    }
+
+    /**
+     * Get every record of a store
+     * @param {string} storeName - Store name
+     * @returns {Promise<Array>} `{ key, value, updatedAt, accessedAt }` records
+     */
+    async getAll(storeName) {
+        await this.ready();
+        return this.readRecords(storeName);
+    }
+
+    /**
+     * Mark records as recently used so eviction spares them
+     * @param {string} storeName - Store name
+     * @param {Array} keys - Record keys
+     */
+    async touch(storeName, keys) {
+        await this.ready();
+
+        const now = Date.now();
+        const records = await Promise.all(keys.map(key => this.readRecord(storeName, key)));
+
+        await this.writeRecords(storeName, records
+            .filter(record => record !== null)
+            .map(record => ({ ...record, accessedAt: now })));
+    }
+
+    /**
+     * Store a value
+     * @param {string} storeName - Store name
+     * @param {string} key - Record key
+     * @param {*} value - Value
+     */
+    async put(storeName, key, value) {
+        await this.ready();
+        await this.write(storeName, [this.createRecord(key, value)]);
+    }
+
+    /**
+     * Make a store hold exactly the given values. Unchanged records keep
+     * their timestamps; records not listed are deleted.
+     * @param {string} storeName - Store name
+     * @param {Array} entries - `{ key, value }` pairs
+     */
+    async replaceAll(storeName, entries) {
+        await this.ready();
+
+        const existing = new Map((await this.readRecords(storeName)).map(record => [record.key, record]));
+        const now = Date.now();
+        const changed = [];
+
+        entries.forEach(({ key, value }) => {
+            const previous = existing.get(key);
+            const record = this.createRecord(key, value, now);
+            existing.delete(key);
+
+            if (previous && previous.size === record.size &&
+                JSON.stringify(previous.value) === JSON.stringify(value)) {
+                return;
+            }
+            changed.push(record);
+        });
+
+        await this.deleteRecords(storeName, [...existing.keys()]);
+        await this.write(storeName, changed);
+    }
+
+    /**
+     * Delete values
+     * @param {string} storeName - Store name
+     * @param {string|Array} keys - Key or keys
+     */
+    async delete(storeName, keys) {
+        await this.ready();
+        await this.deleteRecords(storeName, [].concat(keys));
+        this.notify(storeName);
+    }
+
+    /**
+     * Delete every value of a store
+     * @param {string} storeName - Store name
+     */
+    async clear(storeName) {
+        await this.ready();
+        await this.deleteRecords(storeName, (await this.readRecords(storeName)).map(record => record.key));
+        this.notify(storeName);
+    }
+
+    /**
+     * Store records and keep the store within its budget. When the browser
+     * runs out of space, every budgeted store is cut to half its budget and
+     * the write is tried once more; stores without a budget are never
+     * evicted.
+     * @param {string} storeName - Store name
+     * @param {Array} records - Records to put
+     */
+    async write(storeName, records) {
+        try {
+            await this.writeRecords(storeName, records);
+        } catch (error) {
+            if (!this.isQuotaError(error)) throw error;
+
+            for (const [name, budget] of Object.entries(this.budgets)) {
+                await this.evict(name, budget / 2);
+            }
+            await this.writeRecords(storeName, records);
+        }
+
+        await this.evict(storeName);
+        this.notify(storeName);
+    }
+
+    /**
+     * Delete the least recently used records until a store fits its budget
+     * @param {string} storeName - Store name
+     * @param {number} budget - Size allowed (defaults to the configured budget)
+     * @returns {Promise<Array>} Evicted keys
+     */
+    async evict(storeName, budget = this.budgets[storeName]) {
+        if (!budget) return [];
+
+        const records = await this.readRecords(storeName);
+        let total = records.reduce((sum, record) => sum + record.size, 0);
+        const evicted = [];
+
+        records
+            .sort((a, b) => a.accessedAt - b.accessedAt)
+            .forEach(record => {
+                if (total <= budget) return;
+                total -= record.size;
+                evicted.push(record.key);
+            });
+
+        await this.deleteRecords(storeName, evicted);
+        return evicted;
+    }
+
+    /**
+     * Check if an error means storage is full
+     * @param {Error} error - Error thrown by a write
+     * @returns {boolean} True for quota errors
+     */
+    isQuotaError(error) {
+        return Boolean(error) && (error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    }
+
+    /**
+     * Tell other tabs that a store changed
+     * @param {string} storeName - Store name
+     */
+    notify(storeName) {
+        if (this.channel) {
+            this.channel.postMessage({ store: storeName });
+        }
+    }
+}
+
+// Create global cache database instance
+const cacheDB = new CacheDatabase();
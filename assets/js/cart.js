@@ -63,30 +63,41 @@ class CartManager {
     /**
      * Add item to cart
      * @param {Object} item - Item to add
+     * @returns {boolean} True if the item was added
      */
     addToCart(item) {
         if (!item || !item.id) {
             console.error('Invalid item:', item);
-            return;
+            return false;
         }
 
         const existingItem = this.cart.find(cartItem => 
             cartItem.id === item.id && 
-            cartItem.color === item.color && 
-            cartItem.size === item.size
+            (cartItem.color || null) === (item.color || null) && 
+            (cartItem.size || null) === (item.size || null)
         );
 
+        const quantity = item.quantity || 1;
+        const requestedQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+
+        if (!this.checkStock(item.id, item.size, item.color, requestedQuantity)) {
+            return false;
+        }
+
         if (existingItem) {
-            existingItem.quantity += item.quantity || 1;
+            existingItem.quantity = requestedQuantity;
         } else {
             this.cart.push({
                 id: item.id,
                 name: item.name,
                 price: item.price,
+                compareAtPrice: item.compareAtPrice || null,
+                category: item.category || null,
                 image: item.image,
-                quantity: item.quantity || 1,
+                quantity: quantity,
                 color: item.color || null,
                 size: item.size || null,
+                sku: item.sku || null,
                 addedAt: new Date().toISOString()
             });
         }
@@ -94,6 +105,30 @@ class CartManager {
         this.saveCart();
         this.updateCartDisplay();
         this.dispatchCartUpdate();
+        return true;
+    }
+
+    /**
+     * Check a requested quantity against the stock on hand
+     * @param {string} productId - Product ID
+     * @param {string|null} size - Size
+     * @param {string|null} color - Color
+     * @param {number} quantity - Requested total quantity
+     * @returns {boolean} True if the quantity can be ordered
+     */
+    checkStock(productId, size, color, quantity) {
+        const stock = dataManager.getVariantStock(productId, size || null, color || null);
+
+        if (stock === null || quantity <= stock) {
+            return true;
+        }
+
+        if (stock === 0) {
+            showNotification('দুঃখিত, এই প্রোডাক্টটি স্টকে নেই।', 'error');
+        } else {
+            showNotification(`দুঃখিত, স্টকে মাত্র ${formatNumber(stock)} টি আছে।`, 'warning');
+        }
+        return false;
     }
 
     /**
@@ -116,6 +151,11 @@ class CartManager {
      */
     updateQuantity(index, quantity) {
         if (index >= 0 && index < this.cart.length && quantity > 0) {
+            const item = this.cart[index];
+            if (quantity > item.quantity && !this.checkStock(item.id, item.size, item.color, quantity)) {
+                return;
+            }
+
             this.cart[index].quantity = quantity;
             this.saveCart();
             this.updateCartDisplay();
@@ -135,18 +175,59 @@ class CartManager {
 
     /**
      * Get cart item count
+     * @param {Array} items - Items to count (defaults to the cart)
      * @returns {number} Total item count
      */
-    getItemCount() {
-        return this.cart.reduce((total, item) => total + item.quantity, 0);
+    getItemCount(items = this.cart) {
+        return items.reduce((total, item) => total + item.quantity, 0);
     }
 
     /**
      * Get cart subtotal
+     * @param {Array} items - Items to total (defaults to the cart)
      * @returns {number} Subtotal amount
      */
-    getSubtotal() {
-        return this.cart.reduce((total, item) => total + (item.price * item.quantity), 0);
+    getSubtotal(items = this.cart) {
+        return items.reduce((total, item) => total + (this.getItemPrice(item) * item.quantity), 0);
+    }
+
+    /**
+     * Get the current unit price of a cart item, so a sale that starts or
+     * ends while the item sits in the cart is honoured
+     * @param {Object} item - Cart item
+     * @returns {number} Unit price
+     */
+    getItemPrice(item) {
+        const product = dataManager.getProductById(item.id);
+        return product ? dataManager.getVariantPrice(product, item.size, item.color) : item.price;
+    }
+
+    /**
+     * Get the struck-through unit price of a cart item
+     * @param {Object} item - Cart item
+     * @returns {number|null} Compare-at price, or null when not discounted
+     */
+    getItemCompareAtPrice(item) {
+        const product = dataManager.getProductById(item.id);
+        const compareAtPrice = product ?
+            dataManager.getVariantCompareAtPrice(product, item.size, item.color) :
+            item.compareAtPrice;
+
+        return compareAtPrice && compareAtPrice > this.getItemPrice(item) ? compareAtPrice : null;
+    }
+
+    /**
+     * Get total savings from discounted items
+     * @param {Array} items - Items to total (defaults to the cart)
+     * @returns {number} Savings amount
+     */
+    getSavings(items = this.cart) {
+        return items.reduce((total, item) => {
+            const compareAtPrice = this.getItemCompareAtPrice(item);
+            return compareAtPrice ?
+                total + (compareAtPrice - this.getItemPrice(item)) * item.quantity :
+                total;
+        }, 0);
     }
 
     /**
@@ -189,7 +270,11 @@ class CartManager {
         const cartItems = document.getElementById('cart-items');
         const subtotalElement = document.getElementById('cart-subtotal');
         const totalElement = document.getElementById('cart-total');
-        const deliveryFee = calculateDeliveryFee(''); // Default fee
+        const deliveryFeeElement = document.getElementById('delivery-fee');
+        const deliveryFee = deliveryZones.quote({
+            items: this.cart,
+            subtotal: this.getSubtotal()
+        }).fee; // Default zone until the address is known
 
         if (this.cart.length === 0) {
             cartItems.innerHTML = `
@@ -218,7 +303,10 @@ class CartManager {
                     <h4 class="item-name">${item.name}</h4>
                     ${item.color ? `<div class="item-variant">রং: ${item.color}</div>` : ''}
                     ${item.size ? `<div class="item-variant">সাইজ: ${item.size}</div>` : ''}
-                    <div class="item-price">${formatPrice(item.price)}</div>
+                    <div class="item-price">
+                        ${formatPrice(this.getItemPrice(item))}
+                        ${this.getItemCompareAtPrice(item) ? `<span class="original-price">${formatPrice(this.getItemCompareAtPrice(item))}</span>` : ''}
+                    </div>
                 </div>
                 <div class="item-controls">
                     <div class="quantity-controls">
@@ -235,7 +323,7 @@ class CartManager {
                     </button>
                 </div>
                 <div class="item-total">
-                    ${formatPrice(item.price * item.quantity)}
+                    ${formatPrice(this.getItemPrice(item) * item.quantity)}
                 </div>
             </div>
         `).join('');
@@ -245,6 +333,10 @@ class CartManager {
             subtotalElement.textContent = formatPrice(this.getSubtotal());
         }
         
+        if (deliveryFeeElement) {
+            deliveryFeeElement.textContent = formatPrice(deliveryFee);
+        }
+        
         if (totalElement) {
             totalElement.textContent = formatPrice(this.getTotal(deliveryFee));
         }
@@ -273,7 +365,7 @@ class CartManager {
                     <div class="preview-item-details">
                         <div class="preview-item-name">${item.name}</div>
                         <div class="preview-item-price">
-                            ${formatPrice(item.price)} × ${item.quantity}
+                            ${formatPrice(this.getItemPrice(item))} × ${item.quantity}
                         </div>
                     </div>
                 </div>
@@ -310,30 +402,45 @@ class CartManager {
         if (!dataManager.isProductsLoaded()) return;
 
         let hasChanges = false;
+        let stockReduced = false;
         const validCart = [];
 
         this.cart.forEach(item => {
             const product = dataManager.getProductById(item.id);
-            if (product) {
+            const stock = product ? dataManager.getVariantStock(item.id, item.size, item.color) : 0;
+
+            if (product && stock !== 0) {
+                const quantity = stock === null ? item.quantity : Math.min(item.quantity, stock);
+                if (quantity !== item.quantity) {
+                    stockReduced = true;
+                }
+
                 // Update item with current product data
                 validCart.push({
                     ...item,
                     name: product.name,
-                    price: product.price,
-                    image: product.mainImage
+                    price: dataManager.getVariantPrice(product, item.size, item.color),
+                    compareAtPrice: dataManager.getVariantCompareAtPrice(product, item.size, item.color),
+                    category: product.category || null,
+                    image: product.mainImage,
+                    quantity: quantity
                 });
             } else {
                 hasChanges = true;
             }
         });
 
-        if (hasChanges) {
+        if (hasChanges || stockReduced) {
+            const removedCount = this.cart.length - validCart.length;
+
             this.cart = validCart;
             this.saveCart();
             this.updateCartDisplay();
             
-            if (validCart.length !== this.cart.length) {
+            if (removedCount > 0) {
                 showNotification('কিছু প্রোডাক্ট আপনার কার্ট থেকে সরানো হয়েছে।', 'warning');
+            } else if (stockReduced) {
+                showNotification('স্টক কম থাকায় কিছু প্রোডাক্টের পরিমাণ কমানো হয়েছে।', 'warning');
             }
         }
     }
@@ -374,13 +481,19 @@ class CartManager {
 
     /**
      * Get cart data for checkout
+     * @param {Array} items - Items to check out (defaults to the cart)
      * @returns {Object} Checkout data
      */
-    getCheckoutData() {
+    getCheckoutData(items = this.cart) {
         return {
-            items: this.cart,
-            subtotal: this.getSubtotal(),
-            itemCount: this.getItemCount(),
+            items: items.map(item => ({
+                ...item,
+                price: this.getItemPrice(item),
+                compareAtPrice: this.getItemCompareAtPrice(item)
+            })),
+            subtotal: this.getSubtotal(items),
+            savings: this.getSavings(items),
+            itemCount: this.getItemCount(items),
             timestamp: new Date().toISOString()
         };
     }
@@ -395,16 +508,19 @@ class CartManager {
 
     /**
      * Get cart summary for order
+     * @param {Array} items - Items to order (defaults to the cart)
      * @returns {Array} Order items
      */
-    getOrderItems() {
-        return this.cart.map(item => ({
+    getOrderItems(items = this.cart) {
+        return items.map(item => ({
             product_id: item.id,
             product_name: item.name,
             quantity: item.quantity,
-            price: item.price,
+            price: this.getItemPrice(item),
+            compare_at_price: this.getItemCompareAtPrice(item),
             color: item.color,
             size: item.size,
+            sku: item.sku || null,
             main_image: item.image
         }));
     }
@@ -415,7 +531,7 @@ const cartManager = new CartManager();
 
 // Global functions for HTML onclick attributes
 function addToCart(item) {
-    cartManager.addToCart(item);
+    return cartManager.addToCart(item);
 }
 
 function removeFromCart(index) {
@@ -5,6 +5,9 @@ class CheckoutManager {
         this.currentStep = 1;
         this.totalSteps = 3;
         this.orderData = {};
+        this.formStateKey = 'tinystepsbd_checkout_form';
+        this.buyNowKey = 'tinystepsbd_buy_now';
+        this.buyNowItems = null;
         this.init();
     }
 
@@ -34,12 +37,69 @@ class CheckoutManager {
             }
         });
 
+        // Coupon apply/remove and step navigation
+        document.addEventListener('click', (e) => {
+            const editButton = e.target.closest('.edit-step-btn');
+
+            if (e.target.closest('.step-next-btn')) {
+                this.nextStep();
+            } else if (e.target.closest('.step-prev-btn')) {
+                this.previousStep();
+            } else if (editButton) {
+                this.goToStep(1);
+                const field = document.getElementById(editButton.dataset.field);
+                if (field) field.focus();
+            } else if (e.target.closest('.apply-coupon-btn')) {
+                this.handleApplyCoupon();
+            } else if (e.target.closest('.remove-coupon-btn')) {
+                couponManager.removeCoupon();
+                this.renderOrderSummary();
+                this.updateDeliveryFee();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.target.id === 'coupon-code' && e.key === 'Enter') {
+                e.preventDefault();
+                this.handleApplyCoupon();
+            }
+        });
+
         // Address change for delivery fee calculation
         document.addEventListener('input', debounce((e) => {
             if (e.target.id === 'address') {
                 this.updateDeliveryFee();
             }
         }, 500));
+
+        // Keep in-progress form state across reloads
+        const saveFormState = debounce(() => this.saveFormState(), 300);
+        ['input', 'change'].forEach(type => {
+            document.addEventListener(type, (e) => {
+                if (e.target.form && e.target.form.id === 'checkout-form') {
+                    saveFormState();
+                }
+            });
+        });
+
+        // Browser back/forward between steps
+        window.addEventListener('popstate', () => {
+            if (this.isCheckoutPage()) {
+                this.goToStep(Number(getUrlParam('step')) || 1, { updateHistory: false });
+            }
+        });
+
+        // Delivery location or speed change
+        document.addEventListener('change', (e) => {
+            if (['division', 'district', 'upazila'].includes(e.target.id) ||
+                e.target.name === 'delivery_speed') {
+                this.updateDeliveryFee();
+            } else if (e.target.name === 'payment_method') {
+                this.handlePaymentMethodChange();
+            } else if (e.target.name === 'payment_amount') {
+                this.updatePaymentSummary();
+            }
+        });
     }
 
     /**
@@ -56,7 +116,9 @@ class CheckoutManager {
     loadCheckoutPage() {
         if (!this.isCheckoutPage()) return;
 
-        if (cartManager.isEmpty()) {
+        this.buyNowItems = getUrlParam('buy_now') ? this.loadBuyNowSession() : null;
+
+        if (this.getCheckoutItems().length === 0) {
             showNotification('কার্ট খালি। প্রথমে কিছু প্রোডাক্ট যোগ করুন।', 'warning');
             window.location.href = 'shop.html';
             return;
@@ -65,6 +127,152 @@ class CheckoutManager {
         this.renderOrderSummary();
         this.updateDeliveryFee();
         this.setupProgressSteps();
+        this.revalidateCoupon();
+        this.loadDeliveryRules();
+    }
+
+    /**
+     * Start a Buy Now checkout for a single item, leaving the cart untouched
+     * @param {Object} item - Cart-shaped item with the selected variant and quantity
+     */
+    startBuyNow(item) {
+        try {
+            sessionStorage.setItem(this.buyNowKey, JSON.stringify([{
+                ...item,
+                addedAt: new Date().toISOString()
+            }]));
+        } catch (error) {
+            console.error('Error saving buy now session:', error);
+            showNotification('দুঃখিত, কোনো সমস্যা হয়েছে। আবার চেষ্টা করুন।', 'error');
+            return;
+        }
+
+        window.location.href = 'checkout.html?buy_now=1';
+    }
+
+    /**
+     * Load the Buy Now item saved in this session
+     * @returns {Array|null} Buy Now items, or null when there is no session
+     */
+    loadBuyNowSession() {
+        try {
+            const items = JSON.parse(sessionStorage.getItem(this.buyNowKey));
+            return Array.isArray(items) && items.length > 0 ? items : null;
+        } catch (error) {
+            console.error('Error loading buy now session:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Discard the Buy Now session
+     */
+    clearBuyNowSession() {
+        this.buyNowItems = null;
+        sessionStorage.removeItem(this.buyNowKey);
+    }
+
+    /**
+     * Check if this checkout is a Buy Now order
+     * @returns {boolean} True when checking out a single Buy Now item
+     */
+    isBuyNow() {
+        return Boolean(this.buyNowItems);
+    }
+
+    /**
+     * Get the items being checked out: the Buy Now item or the cart
+     * @returns {Array} Items
+     */
+    getCheckoutItems() {
+        return this.buyNowItems || cartManager.cart;
+    }
+
+    /**
+     * Load backend delivery rules (if enabled) and refresh the fee
+     */
+    async loadDeliveryRules() {
+        if (await deliveryZones.loadRules()) {
+            this.updateDeliveryFee();
+        }
+    }
+
+    /**
+     * Re-check a coupon applied earlier in the session. If the backend cannot
+     * be reached the coupon is kept; `confirmCoupon` checks it again before
+     * the order is placed.
+     */
+    async revalidateCoupon() {
+        if (!couponManager.appliedCoupon) return;
+
+        try {
+            const result = await couponManager.revalidate(cartManager.getCheckoutData(this.getCheckoutItems()).items);
+            if (!result.valid) {
+                showNotification(result.message, 'warning');
+            }
+        } catch (error) {
+            console.warn('Coupon could not be revalidated:', error);
+            showNotification(error instanceof NetworkError ?
+                'কুপনটি এখন যাচাই করা যায়নি। ইন্টারনেট কানেকশন চেক করুন।' :
+                'কুপন যাচাই করতে সমস্যা হচ্ছে। আবার চেষ্টা করুন।', 'warning');
+        }
+
+        this.renderOrderSummary();
+        this.updateDeliveryFee();
+    }
+
+    /**
+     * Check the applied coupon once more right before the order is placed.
+     * When it is no longer valid it is removed and the new total shown, so
+     * the customer confirms the price they will pay.
+     * @returns {Promise<boolean>} True if the order can go ahead
+     */
+    async confirmCoupon() {
+        if (!couponManager.appliedCoupon) return true;
+
+        try {
+            const result = await couponManager.revalidate(cartManager.getCheckoutData(this.getCheckoutItems()).items);
+            if (result.valid) return true;
+
+            showNotification(result.message, 'warning');
+        } catch (error) {
+            // Unreachable now means the order is queued, not placed
+            console.warn('Coupon could not be confirmed:', error);
+            return true;
+        }
+
+        this.renderOrderSummary();
+        this.updateDeliveryFee();
+        this.renderConfirmation();
+        return false;
+    }
+
+    /**
+     * Apply the coupon code typed in the order summary
+     */
+    async handleApplyCoupon() {
+        const input = document.getElementById('coupon-code');
+        const button = document.querySelector('.apply-coupon-btn');
+        if (!input) return;
+
+        if (button) button.disabled = true;
+
+        try {
+            const result = await couponManager.applyCoupon(input.value, cartManager.getCheckoutData(this.getCheckoutItems()).items);
+
+            if (result.valid) {
+                showNotification('কুপন প্রয়োগ করা হয়েছে!', 'success');
+                this.renderOrderSummary();
+                this.updateDeliveryFee();
+            } else {
+                showNotification(result.message, 'error');
+            }
+        } catch (error) {
+            console.error('Coupon validation error:', error);
+            showNotification('কুপন যাচাই করতে সমস্যা হচ্ছে। আবার চেষ্টা করুন।', 'error');
+        } finally {
+            if (button) button.disabled = false;
+        }
     }
 
     /**
@@ -74,10 +282,24 @@ class CheckoutManager {
         const form = document.getElementById('checkout-form');
         if (!form) return;
 
+        const savedState = this.loadFormState();
+
+        addressPicker.attach({
+            division: document.getElementById('division'),
+            district: document.getElementById('district'),
+            upazila: document.getElementById('upazila')
+        }, savedState);
+
+        // Render the dynamic parts first so the saved values have fields to go into
+        this.renderPaymentMethods(savedState.payment_method);
+        this.updateDeliveryFee();
+        this.applyFormState(form, savedState);
+        this.updateDeliveryFee();
+
         // Real-time validation
-        const inputs = form.querySelectorAll('input[required]');
+        const inputs = form.querySelectorAll('input[required], select[required], textarea[required]');
         inputs.forEach(input => {
-            input.addEventListener('blur', () => {
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'blur', () => {
                 this.validateField(input);
             });
         });
@@ -89,6 +311,66 @@ class CheckoutManager {
                 e.target.value = e.target.value.replace(/[^\d+]/g, '');
             });
         }
+
+        this.goToStep(Number(getUrlParam('step')) || 1, { updateHistory: false, silent: true });
+    }
+
+    /**
+     * Load the in-progress form state saved in this session
+     * @returns {Object} Field values by name
+     */
+    loadFormState() {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.formStateKey)) || {};
+        } catch (error) {
+            console.error('Error loading checkout form:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save the in-progress form state (the terms checkbox is always re-confirmed)
+     */
+    saveFormState() {
+        const form = document.getElementById('checkout-form');
+        if (!form) return;
+
+        const state = {};
+        new FormData(form).forEach((value, name) => {
+            if (name !== 'terms') {
+                state[name] = value;
+            }
+        });
+
+        try {
+            sessionStorage.setItem(this.formStateKey, JSON.stringify(state));
+        } catch (error) {
+            console.error('Error saving checkout form:', error);
+        }
+    }
+
+    /**
+     * Clear the saved form state
+     */
+    clearFormState() {
+        sessionStorage.removeItem(this.formStateKey);
+    }
+
+    /**
+     * Put saved values back into the form
+     * @param {HTMLFormElement} form - Checkout form
+     * @param {Object} state - Field values by name
+     */
+    applyFormState(form, state) {
+        Object.entries(state).forEach(([name, value]) => {
+            form.querySelectorAll(`[name="${name}"]`).forEach(field => {
+                if (field.type === 'radio') {
+                    field.checked = field.value === value;
+                } else if (field.tagName !== 'SELECT') {
+                    field.value = value;
+                }
+            });
+        });
     }
 
     /**
@@ -119,6 +401,36 @@ class CheckoutManager {
                 errorMessage = 'বিস্তারিত ঠিকানা লিখুন (অন্তত ১০ অক্ষর)';
                 break;
                 
+            case 'division':
+                isValid = value !== '';
+                errorMessage = 'বিভাগ নির্বাচন করুন';
+                break;
+                
+            case 'district':
+                isValid = value !== '';
+                errorMessage = 'জেলা নির্বাচন করুন';
+                break;
+                
+            case 'upazila':
+                isValid = value !== '';
+                errorMessage = 'উপজেলা/থানা নির্বাচন করুন';
+                break;
+                
+            case 'payment_sender':
+                isValid = validatePhone(value);
+                errorMessage = 'সঠিক মোবাইল নম্বর লিখুন';
+                break;
+                
+            case 'transaction_id':
+                isValid = paymentManager.isValidTransactionId(value);
+                errorMessage = 'সঠিক ট্রানজেকশন আইডি লিখুন';
+                break;
+                
+            case 'terms':
+                isValid = input.checked;
+                errorMessage = 'শর্তাবলীতে সম্মতি দিন';
+                break;
+                
             case 'email':
                 if (value) {
                     isValid = validateEmail(value);
@@ -163,7 +475,7 @@ class CheckoutManager {
      * @returns {boolean} True if form is valid
      */
     validateForm(form) {
-        const requiredFields = form.querySelectorAll('input[required]');
+        const requiredFields = form.querySelectorAll('input[required], select[required], textarea[required]');
         let isValid = true;
 
         requiredFields.forEach(field => {
@@ -180,7 +492,16 @@ class CheckoutManager {
      * @param {HTMLFormElement} form - Form element
      */
     async handleCheckoutSubmit(form) {
+        // Enter in a field before the last step moves on instead of submitting
+        if (this.currentStep < this.totalSteps) {
+            this.nextStep();
+            return;
+        }
+
         if (!this.validateForm(form)) {
+            if (!this.validateStep(1)) {
+                this.goToStep(1);
+            }
             showNotification('দয়া করে সকল প্রয়োজনীয় তথ্য সঠিকভাবে পূরণ করুন।', 'error');
             return;
         }
@@ -193,20 +514,28 @@ class CheckoutManager {
         submitBtn.disabled = true;
 
         try {
+            if (!await this.confirmCoupon()) return;
+
             const formData = new FormData(form);
             const orderData = this.prepareOrderData(formData);
+
+            const payment = await paymentManager.submitPayment(orderData);
+            if (!payment.success) {
+                throw new Error(payment.error || 'পেমেন্ট যাচাই করা যায়নি');
+            }
+            orderData.payment_status = payment.status;
             
             const result = await this.submitOrder(orderData);
             
             if (result.success) {
-                this.handleOrderSuccess(result, orderData);
+                await this.handleOrderSuccess(result, orderData);
             } else {
                 throw new Error(result.error || 'অর্ডার জমা দিতে সমস্যা হয়েছে');
             }
 
         } catch (error) {
             console.error('Order submission error:', error);
-            showNotification(error.message || 'অর্ডার জমা দিতে সমস্যা হয়েছে। আবার চেষ্টা করুন।', 'error');
+            showNotification(this.getSubmitErrorMessage(error), 'error');
         } finally {
             // Restore button state
             submitBtn.innerHTML = originalText;
@@ -220,21 +549,63 @@ class CheckoutManager {
      * @returns {Object} Order data
      */
     prepareOrderData(formData) {
-        const deliveryFee = this.calculateDeliveryFee(formData.get('address'));
+        const location = {
+            division: formData.get('division'),
+            district: formData.get('district'),
+            upazila: formData.get('upazila'),
+            address: formData.get('address')
+        };
+        const quote = this.getDeliveryQuote(location, formData.get('delivery_speed') || 'standard');
+        const deliveryFee = quote.fee;
+        const totals = this.calculateTotals(deliveryFee);
+        const coupon = couponManager.appliedCoupon;
         
         return {
             customer_name: formData.get('customer_name'),
             phone: formData.get('phone'),
             email: formData.get('email') || '',
-            address: formData.get('address'),
-            delivery_area: this.getDeliveryArea(formData.get('address')),
-            payment_method: 'Cash on Delivery',
+            address: addressPicker.formatAddress(location),
+            address_line: location.address,
+            division: location.division,
+            district: location.district,
+            upazila: location.upazila,
+            delivery_area: quote.zone.id,
+            delivery_speed: quote.speed.id,
+            ...paymentManager.buildOrderPayment({
+                methodId: formData.get('payment_method'),
+                amountOption: formData.get('payment_amount'),
+                senderNumber: formData.get('payment_sender'),
+                transactionId: formData.get('transaction_id')
+            }, totals),
             special_notes: formData.get('special_notes') || '',
             delivery_fee: deliveryFee,
-            products: cartManager.getOrderItems()
+            savings: cartManager.getSavings(this.getCheckoutItems()),
+            coupon_code: totals.couponDiscount > 0 ? coupon.code : '',
+            coupon_discount: totals.couponDiscount,
+            products: cartManager.getOrderItems(this.getCheckoutItems())
         };
     }
 
+    /**
+     * Describe a failed order submission to the customer
+     * @param {Error} error - Error from payment or order submission
+     * @returns {string} Message to show
+     */
+    getSubmitErrorMessage(error) {
+        // The order may have been placed before the answer was lost
+        if (error instanceof TimeoutError) {
+            return 'সার্ভার থেকে সময়মতো উত্তর পাওয়া যায়নি। অর্ডারটি হয়তো জমা হয়েছে, আবার চেষ্টা করার আগে আমার অর্ডার পেজ দেখে নিন।';
+        }
+        if (error instanceof NetworkError) {
+            return 'ইন্টারনেট সংযোগ নেই। সংযোগ ফিরে এলে আবার চেষ্টা করুন।';
+        }
+        if (error instanceof HttpError) {
+            return 'সার্ভারে সমস্যা হচ্ছে। কিছুক্ষণ পর আবার চেষ্টা করুন।';
+        }
+        // Backend refusals and payment failures carry their own message
+        return error.message || 'অর্ডার জমা দিতে সমস্যা হয়েছে। আবার চেষ্টা করুন।';
+    }
+
     /**
      * Submit order to API
      * @param {Object} orderData - Order data
@@ -249,7 +620,7 @@ class CheckoutManager {
      * @param {Object} result - API response
      * @param {Object} orderData - Order data
      */
-    handleOrderSuccess(result, orderData) {
+    async handleOrderSuccess(result, orderData) {
         // Save order confirmation data
         const orderConfirmation = {
             orderId: result.data.order_id,
@@ -259,14 +630,35 @@ class CheckoutManager {
             totalAmount: result.data.total_amount,
             deliveryFee: result.data.delivery_fee,
             items: orderData.products,
-            orderDate: new Date().toISOString()
+            paymentMethod: orderData.payment_method,
+            paymentStatus: orderData.payment_status,
+            advanceAmount: orderData.advance_amount,
+            dueAmount: orderData.due_amount,
+            couponCode: orderData.coupon_code,
+            couponDiscount: orderData.coupon_discount,
+            deliverySpeed: orderData.delivery_speed,
+            location: {
+                division: orderData.division,
+                district: orderData.district,
+                upazila: orderData.upazila,
+                address: orderData.address_line
+            },
+            orderDate: new Date().toISOString(),
+            queued: Boolean(result.queued)
         };
 
         // Save to localStorage for success page
         localStorage.setItem('last_order', JSON.stringify(orderConfirmation));
+        await ordersManager.addOrder(orderConfirmation);
         
-        // Clear cart
-        cartManager.clearCart();
+        // Clear what was ordered (the Buy Now item or the cart) and the coupon used for it
+        if (this.isBuyNow()) {
+            this.clearBuyNowSession();
+        } else {
+            cartManager.clearCart();
+        }
+        couponManager.removeCoupon();
+        this.clearFormState();
         
         // Redirect to success page
         window.location.href = `success.html?order_id=${result.data.order_id}`;
@@ -279,8 +671,10 @@ class CheckoutManager {
         const summaryElement = document.getElementById('order-summary');
         if (!summaryElement) return;
 
-        const cartData = cartManager.getCheckoutData();
-        const deliveryFee = this.calculateDeliveryFee('');
+        const cartData = cartManager.getCheckoutData(this.getCheckoutItems());
+        const deliveryFee = this.getDeliveryQuote().fee;
+        const totals = this.calculateTotals(deliveryFee);
+        const coupon = couponManager.appliedCoupon;
 
         summaryElement.innerHTML = `
             <div class="order-summary-header">
@@ -288,6 +682,13 @@ class CheckoutManager {
                 <span>${cartData.itemCount} টি প্রোডাক্ট</span>
             </div>
             
+            ${this.isBuyNow() ? `
+                <div class="buy-now-notice">
+                    <i class="fas fa-bolt"></i>
+                    শুধু এই প্রোডাক্টটি অর্ডার হচ্ছে, আপনার কার্ট যেমন আছে তেমনই থাকবে।
+                </div>
+            ` : ''}
+            
             <div class="order-items">
                 ${cartData.items.map(item => `
                     <div class="order-item">
@@ -303,6 +704,7 @@ class CheckoutManager {
                         </div>
                         <div class="item-price">
                             ${formatPrice(item.price * item.quantity)}
+                            ${item.compareAtPrice ? `<span class="original-price">${formatPrice(item.compareAtPrice * item.quantity)}</span>` : ''}
                         </div>
                     </div>
                 `).join('')}
@@ -317,10 +719,37 @@ class CheckoutManager {
                     <span>ডেলিভারি চার্জ:</span>
                     <span id="delivery-fee-amount">${formatPrice(deliveryFee)}</span>
                 </div>
+                <div class="free-delivery-hint" id="free-delivery-hint" style="display: none;"></div>
+                <div class="total-row coupon-row" id="coupon-discount-row" 
+                     style="${totals.couponDiscount > 0 ? '' : 'display: none;'}">
+                    <span>কুপন ${coupon ? `(${sanitizeHTML(coupon.code)})` : ''}:</span>
+                    <span id="coupon-discount-amount">-${formatPrice(totals.couponDiscount)}</span>
+                </div>
                 <div class="total-row grand-total">
                     <span>মোট:</span>
-                    <span id="order-total-amount">${formatPrice(cartData.subtotal + deliveryFee)}</span>
+                    <span id="order-total-amount">${formatPrice(totals.total)}</span>
                 </div>
+                ${cartData.savings > 0 ? `
+                <div class="savings-row">
+                    <i class="fas fa-tag"></i> আপনি সাশ্রয় করছেন ${formatPrice(cartData.savings)}
+                </div>
+                ` : ''}
+            </div>
+            
+            <div class="coupon-section">
+                ${coupon ? `
+                    <div class="applied-coupon">
+                        <span><i class="fas fa-tag"></i> ${sanitizeHTML(coupon.code)}</span>
+                        <button type="button" class="remove-coupon-btn" aria-label="Remove coupon">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                ` : `
+                    <div class="coupon-form">
+                        <input type="text" id="coupon-code" class="form-control" placeholder="কুপন কোড" autocomplete="off">
+                        <button type="button" class="btn btn-outline apply-coupon-btn">প্রয়োগ করুন</button>
+                    </div>
+                `}
             </div>
             
             <div class="payment-method">
@@ -328,7 +757,7 @@ class CheckoutManager {
                     <i class="fas fa-money-bill-wave"></i>
                     <span>পেমেন্ট মেথড</span>
                 </div>
-                <div class="payment-method-details">
+                <div class="payment-method-details" id="summary-payment-method">
                     ক্যাশ অন ডেলিভারি (Cash on Delivery)
                 </div>
             </div>
@@ -336,30 +765,66 @@ class CheckoutManager {
     }
 
     /**
-     * Calculate delivery fee based on address
-     * @param {string} address - Customer address
-     * @returns {number} Delivery fee
+     * Read the delivery location from the form
+     * @returns {Object} Location for the delivery zone engine
      */
-    calculateDeliveryFee(address) {
-        return calculateDeliveryFee(address);
+    getDeliveryLocation() {
+        const valueOf = id => {
+            const element = document.getElementById(id);
+            return element ? element.value : '';
+        };
+
+        return {
+            division: valueOf('division'),
+            district: valueOf('district'),
+            upazila: valueOf('upazila'),
+            address: valueOf('address')
+        };
     }
 
     /**
-     * Get delivery area from address
-     * @param {string} address - Customer address
-     * @returns {string} Delivery area
+     * Get the delivery speed selected in the form
+     * @returns {string} Speed ID
      */
-    getDeliveryArea(address) {
-        if (!address) return 'outside';
-        
-        const dhakaAreas = ['ঢাকা', 'Dhaka', 'DHAKA', 'মিরপুর', 'উত্তরা', 'গুলশান', 'বনানী', 'ধানমন্ডি', 'মোহাম্মদপুর', 'ফার্মগেট', 'শাহবাগ', 'যাত্রাবাড়ী', 'রামপুরা', 'বাড্ডা'];
-        const addressLower = address.toLowerCase();
-        
-        const isInsideDhaka = dhakaAreas.some(area => 
-            addressLower.includes(area.toLowerCase())
-        );
-        
-        return isInsideDhaka ? 'inside_dhaka' : 'outside_dhaka';
+    getSelectedSpeed() {
+        const selected = document.querySelector('input[name="delivery_speed"]:checked');
+        return selected ? selected.value : 'standard';
+    }
+
+    /**
+     * Quote delivery for the current cart
+     * @param {Object} location - Delivery location (defaults to the form)
+     * @param {string} speed - Delivery speed ID (defaults to the form)
+     * @returns {Object} Delivery quote
+     */
+    getDeliveryQuote(location = this.getDeliveryLocation(), speed = this.getSelectedSpeed()) {
+        const cartData = cartManager.getCheckoutData(this.getCheckoutItems());
+
+        return deliveryZones.quote({
+            location: location,
+            items: cartData.items,
+            subtotal: cartData.subtotal,
+            speed: speed
+        });
+    }
+
+    /**
+     * Calculate order totals including the applied coupon
+     * @param {number} deliveryFee - Delivery fee before the coupon
+     * @returns {Object} `{ subtotal, deliveryFee, deliveryDiscount, couponDiscount, total }`
+     */
+    calculateTotals(deliveryFee) {
+        const cartData = cartManager.getCheckoutData(this.getCheckoutItems());
+        const { discount, deliveryDiscount } = couponManager.calculateDiscount(cartData.items, deliveryFee);
+        const couponDiscount = discount + deliveryDiscount;
+
+        return {
+            subtotal: cartData.subtotal,
+            deliveryFee: deliveryFee,
+            deliveryDiscount: deliveryDiscount,
+            couponDiscount: couponDiscount,
+            total: cartData.subtotal + deliveryFee - couponDiscount
+        };
     }
 
     /**
@@ -372,13 +837,195 @@ class CheckoutManager {
         
         if (!addressInput || !deliveryFeeElement || !totalElement) return;
 
-        const address = addressInput.value;
-        const deliveryFee = this.calculateDeliveryFee(address);
-        const subtotal = cartManager.getSubtotal();
-        const total = subtotal + deliveryFee;
+        const quote = this.getDeliveryQuote();
+        const totals = this.calculateTotals(quote.fee);
+
+        deliveryFeeElement.textContent = formatPrice(quote.fee);
+        totalElement.textContent = formatPrice(totals.total);
+
+        const couponRow = document.getElementById('coupon-discount-row');
+        const couponAmount = document.getElementById('coupon-discount-amount');
+        if (couponRow && couponAmount) {
+            couponRow.style.display = totals.couponDiscount > 0 ? '' : 'none';
+            couponAmount.textContent = `-${formatPrice(totals.couponDiscount)}`;
+        }
+
+        const hintElement = document.getElementById('free-delivery-hint');
+        if (hintElement) {
+            const showHint = quote.amountToFreeDelivery > 0;
+            hintElement.style.display = showHint ? '' : 'none';
+            hintElement.textContent = showHint ?
+                `আরও ${formatPrice(quote.amountToFreeDelivery)} এর কেনাকাটায় ফ্রি ডেলিভারি!` :
+                '';
+        }
+
+        this.renderDeliverySpeeds(quote);
+        this.updatePaymentSummary(totals);
+    }
+
+    /**
+     * Get the payment method selected in the form
+     * @returns {Object} Payment method
+     */
+    getSelectedPaymentMethod() {
+        const selected = document.querySelector('input[name="payment_method"]:checked');
+        return paymentManager.getMethod(selected ? selected.value : null);
+    }
+
+    /**
+     * Get how much of the order a mobile payer sends now
+     * @returns {string} 'full' or 'advance'
+     */
+    getSelectedAmountOption() {
+        const selected = document.querySelector('input[name="payment_amount"]:checked');
+        return selected ? selected.value : 'full';
+    }
+
+    /**
+     * Render the payment method selector
+     * @param {string} selectedId - Method to select (defaults to the current selection)
+     */
+    renderPaymentMethods(selectedId = this.getSelectedPaymentMethod().id) {
+        const container = document.getElementById('payment-methods');
+        if (!container) return;
+
+        selectedId = paymentManager.getMethod(selectedId).id;
+
+        container.innerHTML = paymentManager.getMethods().map(method => `
+            <div class="payment-method ${method.id === selectedId ? 'selected' : ''}">
+                <div class="method-header">
+                    <input type="radio" id="payment-${method.id}" name="payment_method" value="${method.id}" 
+                           ${method.id === selectedId ? 'checked' : ''}>
+                    <label for="payment-${method.id}" class="method-label">
+                        <i class="${method.icon}"></i>
+                        ${method.name}
+                    </label>
+                </div>
+                <div class="method-description">
+                    ${method.description}
+                </div>
+            </div>
+        `).join('');
+
+        this.renderMobilePaymentDetails();
+    }
+
+    /**
+     * Handle a change of payment method
+     */
+    handlePaymentMethodChange() {
+        const selectedId = this.getSelectedPaymentMethod().id;
+
+        document.querySelectorAll('.payment-method').forEach(element => {
+            const input = element.querySelector('input[name="payment_method"]');
+            element.classList.toggle('selected', Boolean(input && input.value === selectedId));
+        });
+
+        this.renderMobilePaymentDetails();
+    }
+
+    /**
+     * Render the sender number and transaction ID fields for mobile payments
+     */
+    renderMobilePaymentDetails() {
+        const container = document.getElementById('mobile-payment-details');
+        if (!container) return;
+
+        const method = this.getSelectedPaymentMethod();
+
+        if (!paymentManager.isMobilePayment(method.id)) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            this.updatePaymentSummary();
+            return;
+        }
+
+        container.style.display = '';
+        container.innerHTML = `
+            <div class="mobile-payment-instructions">
+                <p>১. আপনার ${method.name} অ্যাপ থেকে <strong>${method.merchantNumber}</strong> নম্বরে 
+                   <strong id="mobile-payment-amount"></strong> Send Money করুন।</p>
+                <p>২. যে নম্বর থেকে টাকা পাঠিয়েছেন সেটি ও ট্রানজেকশন আইডি নিচে লিখুন।</p>
+            </div>
+            
+            ${paymentManager.allowAdvance ? `
+                <div class="payment-amount-options">
+                    <label class="payment-amount-option">
+                        <input type="radio" name="payment_amount" value="full" checked>
+                        পুরো টাকা এখন পরিশোধ করুন
+                    </label>
+                    <label class="payment-amount-option">
+                        <input type="radio" name="payment_amount" value="advance">
+                        শুধু ডেলিভারি চার্জ অগ্রিম দিন, বাকি টাকা ডেলিভারির সময়
+                    </label>
+                </div>
+            ` : ''}
+            
+            <div class="form-group">
+                <label for="payment_sender" class="form-label">যে নম্বর থেকে পাঠিয়েছেন *</label>
+                <input type="tel" id="payment_sender" name="payment_sender" class="form-control" 
+                       required data-field="payment_sender" placeholder="01XXXXXXXXX">
+            </div>
+            
+            <div class="form-group">
+                <label for="transaction_id" class="form-label">ট্রানজেকশন আইডি (TrxID) *</label>
+                <input type="text" id="transaction_id" name="transaction_id" class="form-control" 
+                       required data-field="transaction_id" autocomplete="off">
+                <div class="form-help">পেমেন্ট যাচাইয়ের পর আপনার অর্ডার কনফার্ম করা হবে</div>
+            </div>
+        `;
+
+        container.querySelectorAll('input[required]').forEach(input => {
+            input.addEventListener('blur', () => {
+                this.validateField(input);
+            });
+        });
+
+        this.updatePaymentSummary();
+    }
+
+    /**
+     * Show what is paid now and on delivery for the selected payment method
+     * @param {Object} totals - Order totals (defaults to the current form)
+     */
+    updatePaymentSummary(totals = this.calculateTotals(this.getDeliveryQuote().fee)) {
+        const method = this.getSelectedPaymentMethod();
+        const { advance, due } = paymentManager.splitAmount(method.id, this.getSelectedAmountOption(), totals);
 
-        deliveryFeeElement.textContent = formatPrice(deliveryFee);
-        totalElement.textContent = formatPrice(total);
+        const amountElement = document.getElementById('mobile-payment-amount');
+        if (amountElement) {
+            amountElement.textContent = formatPrice(advance);
+        }
+
+        const summaryElement = document.getElementById('summary-payment-method');
+        if (summaryElement) {
+            summaryElement.innerHTML = paymentManager.isMobilePayment(method.id) ? `
+                ${method.name} (${method.label})
+                <div class="payment-split">এখন পরিশোধ: ${formatPrice(advance)}</div>
+                ${due > 0 ? `<div class="payment-split">ডেলিভারির সময়: ${formatPrice(due)}</div>` : ''}
+            ` : `${method.name} (${method.label})`;
+        }
+    }
+
+    /**
+     * Render the delivery speeds offered in the quoted zone
+     * @param {Object} quote - Delivery quote
+     */
+    renderDeliverySpeeds(quote) {
+        const container = document.getElementById('delivery-speed-options');
+        if (!container) return;
+
+        const speeds = deliveryZones.getSpeedOptions(quote.zone);
+
+        container.innerHTML = speeds.map(speed => `
+            <label class="delivery-speed-option ${speed.id === quote.speed.id ? 'selected' : ''}">
+                <input type="radio" name="delivery_speed" value="${speed.id}" 
+                       ${speed.id === quote.speed.id ? 'checked' : ''}>
+                <span class="speed-name">${speed.name}</span>
+                ${speed.eta ? `<span class="speed-eta">${speed.eta}</span>` : ''}
+                ${speed.extraFee > 0 ? `<span class="speed-fee">+${formatPrice(speed.extraFee)}</span>` : ''}
+            </label>
+        `).join('');
     }
 
     /**
@@ -411,8 +1058,7 @@ class CheckoutManager {
      */
     nextStep() {
         if (this.currentStep < this.totalSteps) {
-            this.currentStep++;
-            this.setupProgressSteps();
+            this.goToStep(this.currentStep + 1);
         }
     }
 
@@ -421,11 +1067,192 @@ class CheckoutManager {
      */
     previousStep() {
         if (this.currentStep > 1) {
-            this.currentStep--;
-            this.setupProgressSteps();
+            this.goToStep(this.currentStep - 1);
         }
     }
 
+    /**
+     * Show a checkout step. Steps after the first need valid details, so a
+     * reload or history jump with missing details lands back on step 1.
+     * @param {number} step - Step number
+     * @param {Object} options - `{ updateHistory, silent }`
+     */
+    goToStep(step, { updateHistory = true, silent = false } = {}) {
+        let target = Math.min(Math.max(step, 1), this.totalSteps);
+
+        if (target > 1 && !this.validateStep(1)) {
+            if (!silent) {
+                showNotification('দয়া করে সকল প্রয়োজনীয় তথ্য সঠিকভাবে পূরণ করুন।', 'error');
+            }
+            target = 1;
+            updateHistory = true;
+        }
+
+        this.currentStep = target;
+
+        if (target === 2) {
+            this.renderReview();
+        } else if (target === 3) {
+            this.renderConfirmation();
+        }
+
+        document.querySelectorAll('.checkout-step').forEach(element => {
+            element.style.display = Number(element.dataset.step) === target ? '' : 'none';
+        });
+
+        this.updateStepActions();
+        this.setupProgressSteps();
+
+        if (updateHistory && (Number(getUrlParam('step')) || 1) !== target) {
+            if (target === 1) {
+                removeUrlParam('step');
+            } else {
+                setUrlParam('step', target);
+            }
+        }
+
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    /**
+     * Validate the required fields of one step
+     * @param {number} step - Step number
+     * @returns {boolean} True if every field is valid
+     */
+    validateStep(step) {
+        const container = document.querySelector(`.checkout-step[data-step="${step}"]`);
+        if (!container) return true;
+
+        const fields = container.querySelectorAll('input[required], select[required], textarea[required]');
+        let firstInvalid = null;
+
+        fields.forEach(field => {
+            if (!this.validateField(field) && !firstInvalid) {
+                firstInvalid = field;
+            }
+        });
+
+        return !firstInvalid;
+    }
+
+    /**
+     * Show the navigation buttons that apply to the current step
+     */
+    updateStepActions() {
+        const isFirst = this.currentStep === 1;
+        const isLast = this.currentStep === this.totalSteps;
+        const toggle = (selector, visible) => {
+            const element = document.querySelector(selector);
+            if (element) element.style.display = visible ? '' : 'none';
+        };
+
+        toggle('.step-cart-link', isFirst);
+        toggle('.step-prev-btn', !isFirst);
+        toggle('.step-next-btn', !isLast);
+        toggle('#checkout-form .btn-submit', isLast);
+    }
+
+    /**
+     * Render the review screen (step 2) from the current form values
+     */
+    renderReview() {
+        const reviewElement = document.getElementById('checkout-review');
+        const form = document.getElementById('checkout-form');
+        if (!reviewElement || !form) return;
+
+        const formData = new FormData(form);
+        const order = this.prepareOrderData(formData);
+        const quote = this.getDeliveryQuote();
+        const method = paymentManager.getMethod(formData.get('payment_method'));
+        const editButton = field => `
+            <button type="button" class="edit-step-btn" data-field="${field}">
+                <i class="fas fa-pen"></i> সম্পাদনা
+            </button>
+        `;
+
+        reviewElement.innerHTML = `
+            <div class="form-section review-section">
+                <div class="review-header">
+                    <h3 class="form-section-title"><i class="fas fa-user"></i> গ্রাহক তথ্য</h3>
+                    ${editButton('customer_name')}
+                </div>
+                <div class="review-row"><span>নাম:</span> <strong>${sanitizeHTML(order.customer_name)}</strong></div>
+                <div class="review-row"><span>মোবাইল:</span> <strong>${sanitizeHTML(order.phone)}</strong></div>
+                ${order.email ? `<div class="review-row"><span>ইমেইল:</span> <strong>${sanitizeHTML(order.email)}</strong></div>` : ''}
+            </div>
+            
+            <div class="form-section review-section">
+                <div class="review-header">
+                    <h3 class="form-section-title"><i class="fas fa-map-marker-alt"></i> ডেলিভারি</h3>
+                    ${editButton('address')}
+                </div>
+                <div class="review-row"><span>ঠিকানা:</span> <strong>${sanitizeHTML(order.address)}</strong></div>
+                <div class="review-row">
+                    <span>ডেলিভারি:</span> 
+                    <strong>${quote.speed.name}${quote.speed.eta ? ` (${quote.speed.eta})` : ''} - ${formatPrice(order.delivery_fee)}</strong>
+                </div>
+                ${order.special_notes ? `<div class="review-row"><span>নির্দেশনা:</span> <strong>${sanitizeHTML(order.special_notes)}</strong></div>` : ''}
+            </div>
+            
+            <div class="form-section review-section">
+                <div class="review-header">
+                    <h3 class="form-section-title"><i class="fas fa-credit-card"></i> পেমেন্ট</h3>
+                    ${editButton(`payment-${method.id}`)}
+                </div>
+                <div class="review-row"><span>মেথড:</span> <strong>${method.name} (${method.label})</strong></div>
+                ${order.payment_transaction_id ? `
+                    <div class="review-row"><span>প্রেরক নম্বর:</span> <strong>${sanitizeHTML(order.payment_sender_number)}</strong></div>
+                    <div class="review-row"><span>ট্রানজেকশন আইডি:</span> <strong>${sanitizeHTML(order.payment_transaction_id)}</strong></div>
+                    <div class="review-row"><span>এখন পরিশোধ:</span> <strong>${formatPrice(order.advance_amount)}</strong></div>
+                ` : ''}
+                <div class="review-row"><span>ডেলিভারির সময় পরিশোধ:</span> <strong>${formatPrice(order.due_amount)}</strong></div>
+            </div>
+            
+            <div class="form-section review-section">
+                <div class="review-header">
+                    <h3 class="form-section-title"><i class="fas fa-shopping-bag"></i> প্রোডাক্ট</h3>
+                    ${this.isBuyNow() ? `
+                        <a href="product.html?id=${encodeURIComponent(this.buyNowItems[0].id)}" class="edit-step-link"><i class="fas fa-pen"></i> প্রোডাক্ট সম্পাদনা</a>
+                    ` : `
+                        <a href="cart.html" class="edit-step-link"><i class="fas fa-pen"></i> কার্ট সম্পাদনা</a>
+                    `}
+                </div>
+                ${order.products.map(item => `
+                    <div class="review-row">
+                        <span>${sanitizeHTML(item.product_name)}${item.size ? ` - ${item.size}` : ''}${item.color ? ` - ${item.color}` : ''} × ${item.quantity}</span>
+                        <strong>${formatPrice(item.price * item.quantity)}</strong>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the final confirmation (step 3)
+     */
+    renderConfirmation() {
+        const confirmElement = document.getElementById('checkout-confirm');
+        const form = document.getElementById('checkout-form');
+        if (!confirmElement || !form) return;
+
+        const order = this.prepareOrderData(new FormData(form));
+        const totals = this.calculateTotals(order.delivery_fee);
+
+        confirmElement.innerHTML = `
+            <div class="form-section review-section">
+                <h3 class="form-section-title"><i class="fas fa-check-circle"></i> অর্ডার কনফার্ম করুন</h3>
+                <div class="review-row"><span>মোট:</span> <strong>${formatPrice(totals.total)}</strong></div>
+                ${order.advance_amount > 0 ? `
+                    <div class="review-row"><span>${order.payment_method} এ পরিশোধিত:</span> <strong>${formatPrice(order.advance_amount)}</strong></div>
+                ` : ''}
+                <div class="review-row"><span>ডেলিভারির সময় পরিশোধ:</span> <strong>${formatPrice(order.due_amount)}</strong></div>
+                <p class="form-help">
+                    ${sanitizeHTML(order.customer_name)}, ${sanitizeHTML(order.address)} - ${sanitizeHTML(order.phone)}
+                </p>
+            </div>
+        `;
+    }
+
     /**
      * Generate order confirmation HTML
      * @param {Object} orderData - Order data
@@ -463,9 +1290,13 @@ class CheckoutManager {
                 </div>
                 
                 <div class="confirmation-actions">
-                    <button onclick="window.print()" class="btn-secondary">
+                    <button type="button" class="btn-secondary print-invoice-btn" data-order-id="${orderData.orderId}">
                         <i class="fas fa-print"></i>
-                        প্রিন্ট করুন
+                        ইনভয়েস প্রিন্ট করুন
+                    </button>
+                    <button type="button" class="btn-secondary download-invoice-btn" data-order-id="${orderData.orderId}">
+                        <i class="fas fa-file-pdf"></i>
+                        PDF ডাউনলোড
                     </button>
                     <a href="shop.html" class="btn-primary">
                         <i class="fas fa-shopping-bag"></i>
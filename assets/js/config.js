@@ -0,0 +1,255 @@
+// ===== TinyStepsBD Configuration =====
+
+/**
+ * Default application configuration.
+ *
+ * A deployment can override any section without editing this file by defining
+ * `window.TINYSTEPSBD_CONFIG` in an inline script before the app scripts load:
+ *
+ *     <script>
+ *         window.TINYSTEPSBD_CONFIG = {
+ *             backend: { type: 'static-json', url: 'data/products.json' }
+ *         };
+ *     </script>
+ *
+ * During local development the backend can also be switched from the console
+ * with `localStorage.setItem('tinystepsbd_backend', JSON.stringify({ type: 'mock' }))`.
+ */
+const DEFAULT_APP_CONFIG = {
+    backend: {
+        type: 'apps-script',
+        url: 'https://script.google.com/macros/s/AKfycbyW3ZHdsQI2ohP6Fk3CAHhsYp4n_YY3BC9cJDedRqSqMMeL4a4BswE-DHbDuYChJlwM/exec'
+    },
+    requests: {
+        // Backend requests are aborted after this long (ms)
+        timeout: 20000,
+        // Failed reads are tried again this many times, waiting `retryDelay`
+        // ms before the first retry and twice as long before each next one
+        retries: 2,
+        retryDelay: 500
+    },
+    shop: {
+        // Printed on invoices and packing slips
+        name: 'TinyStepsBD',
+        address: 'ঢাকা, বাংলাদেশ',
+        phone: '+880 1XXX-XXXXXX',
+        email: 'info@tinystepsbd.com',
+        website: 'www.tinystepsbd.com'
+    },
+    badges: {
+        // Products created within this many days get the "new" badge
+        newArrivalDays: 30,
+        // Products with at least this many orders get the "bestseller" badge
+        bestsellerMinOrders: 20
+    },
+    orders: {
+        // How often an open tracking modal re-checks the order status (ms)
+        trackingPollInterval: 30000,
+        // Failed guest lookups allowed per window before the form is locked.
+        // This only saves the customer requests that would be refused: the
+        // backend enforces its own limit and answers `rate_limited`.
+        lookupLimit: 5,
+        lookupWindowMinutes: 15
+    },
+    returns: {
+        // Days after delivery during which a return or exchange can be requested
+        windowDays: 7,
+        reasons: ['সাইজ মেলেনি', 'প্রোডাক্টে ত্রুটি আছে', 'ভুল প্রোডাক্ট পেয়েছি', 'ছবির সাথে মিল নেই', 'অন্যান্য'],
+        // Photos are shrunk to `photoMaxDimension` pixels before upload
+        maxPhotos: 3,
+        maxPhotoSizeMB: 10,
+        photoMaxDimension: 1280
+    },
+    search: {
+        // Queries shorter than this do not open the header suggestions
+        minQueryLength: 2,
+        maxSuggestions: 5,
+        // Words in a group match each other; Bangla words are also matched
+        // by their romanized spelling, so "juta" finds "জুতা"
+        synonyms: [
+            ['জুতা', 'shoe', 'shoes', 'footwear'],
+            ['স্যান্ডেল', 'sandal', 'sandals'],
+            ['কেডস', 'sneaker', 'sneakers', 'keds'],
+            ['বুট', 'boot', 'boots'],
+            ['ছেলে', 'ছেলেদের', 'boy', 'boys'],
+            ['মেয়ে', 'মেয়েদের', 'girl', 'girls'],
+            ['শিশু', 'বেবি', 'বাচ্চা', 'baby', 'kid', 'kids'],
+            ['নতুন', 'new'],
+            ['অফার', 'ছাড়', 'offer', 'sale', 'discount'],
+            ['লাল', 'red'],
+            ['নীল', 'blue'],
+            ['সবুজ', 'green'],
+            ['হলুদ', 'yellow'],
+            ['গোলাপি', 'pink'],
+            ['কালো', 'black'],
+            ['সাদা', 'white'],
+            ['বাদামি', 'brown'],
+            ['ধূসর', 'grey', 'gray']
+        ]
+    },
+    grid: {
+        // 'pagination', 'infinite' (scroll) or 'auto' (infinite on phones)
+        mode: 'auto',
+        pageSize: 24,
+        // Rows kept rendered above and below the screen
+        overscanRows: 2
+    },
+    filters: {
+        // Price bands offered on the shop page; `max: null` is open-ended
+        priceRanges: [
+            { min: 0, max: 500 },
+            { min: 500, max: 1000 },
+            { min: 1000, max: 2000 },
+            { min: 2000, max: null }
+        ]
+    },
+    storage: {
+        // Approximate bytes each local cache may hold before the least
+        // recently used records are evicted. Order history has no budget:
+        // it is the only copy of orders placed here and is capped by count.
+        budgets: {
+            products: 4 * 1024 * 1024,
+            images: 256 * 1024
+        },
+        // Images that failed to load are tried again after this many hours
+        brokenImageRetryHours: 24
+    },
+    delivery: {
+        // Fetch rules from the backend (`action=delivery_rules`) instead of using these
+        remote: false,
+        // Orders at or above this subtotal ship free (0 disables)
+        freeDeliveryThreshold: 0,
+        // Zones are matched by upazila, then district, then division, then
+        // by keyword in a free-text address; the `default` zone catches the rest
+        zones: [
+            {
+                id: 'inside_dhaka',
+                name: 'ঢাকা সিটির ভিতরে',
+                fee: 80,
+                districts: ['Dhaka', 'ঢাকা'],
+                keywords: ['ঢাকা', 'Dhaka', 'মিরপুর', 'উত্তরা', 'গুলশান', 'বনানী', 'ধানমন্ডি', 'মোহাম্মদপুর', 'ফার্মগেট', 'শাহবাগ', 'যাত্রাবাড়ী', 'রামপুরা', 'বাড্ডা',
+                    'Mirpur', 'Uttara', 'Gulshan', 'Banani', 'Dhanmondi', 'Mohammadpur', 'Farmgate', 'Shahbag', 'Jatrabari', 'Rampura', 'Badda']
+            },
+            {
+                id: 'outside_dhaka',
+                name: 'ঢাকার বাইরে',
+                fee: 150,
+                default: true
+            }
+        ],
+        surcharges: {
+            // Extra fee per item beyond `includedItems` (0 disables)
+            includedItems: 3,
+            perExtraItem: 0,
+            // Extra fee per started kilogram beyond `includedGrams`
+            includedGrams: 1000,
+            perExtraKg: 20,
+            // Used for products without a `Weight (g)` value
+            defaultItemGrams: 300
+        },
+        speeds: [
+            { id: 'standard', name: 'স্ট্যান্ডার্ড ডেলিভারি', eta: '২-৩ কর্মদিবস', extraFee: 0 },
+            { id: 'express', name: 'এক্সপ্রেস ডেলিভারি', eta: '২৪ ঘন্টার মধ্যে', extraFee: 70, zones: ['inside_dhaka'] }
+        ]
+    },
+    payments: {
+        // `label` is what the backend receives as `payment_method`
+        methods: [
+            {
+                id: 'cod',
+                type: 'cod',
+                label: 'Cash on Delivery',
+                name: 'ক্যাশ অন ডেলিভারি',
+                description: 'প্রোডাক্ট ডেলিভারির সময় নগদ টাকা প্রদান করুন',
+                icon: 'fas fa-money-bill-wave'
+            },
+            {
+                id: 'bkash',
+                type: 'mfs',
+                label: 'bKash',
+                name: 'বিকাশ',
+                description: 'বিকাশ Send Money করে পেমেন্ট করুন',
+                icon: 'fas fa-mobile-alt',
+                merchantNumber: '01XXX-XXXXXX'
+            },
+            {
+                id: 'nagad',
+                type: 'mfs',
+                label: 'Nagad',
+                name: 'নগদ',
+                description: 'নগদ Send Money করে পেমেন্ট করুন',
+                icon: 'fas fa-mobile-alt',
+                merchantNumber: '01XXX-XXXXXX'
+            },
+            {
+                id: 'rocket',
+                type: 'mfs',
+                label: 'Rocket',
+                name: 'রকেট',
+                description: 'রকেট Send Money করে পেমেন্ট করুন',
+                icon: 'fas fa-mobile-alt',
+                merchantNumber: '01XXX-XXXXXX'
+            }
+        ],
+        // Let mobile payers send only the delivery charge now and pay the rest on delivery
+        allowAdvance: true,
+        gateway: {
+            type: 'manual'
+        }
+    }
+};
+
+/**
+ * Build the effective configuration from defaults and page overrides
+ * @returns {Object} Merged configuration
+ */
+function buildAppConfig() {
+    const overrides = (typeof window !== 'undefined' && window.TINYSTEPSBD_CONFIG) || {};
+    const config = { ...DEFAULT_APP_CONFIG };
+
+    Object.keys(overrides).forEach(section => {
+        const value = overrides[section];
+        config[section] = value && typeof value === 'object' && !Array.isArray(value) ?
+            { ...(config[section] || {}), ...value } :
+            value;
+    });
+
+    return config;
+}
+
+/**
+ * Get backend configuration, honouring a local development override
+ * @returns {Object} Backend configuration
+ */
+function getBackendConfig() {
+    try {
+        const override = localStorage.getItem('tinystepsbd_backend');
+        if (override) {
+            return JSON.parse(override);
+        }
+    } catch (error) {
+        console.warn('Ignoring invalid backend override:', error);
+    }
+
+    return APP_CONFIG.backend;
+}
+
+/**
+ * Get payment gateway configuration, honouring a local development override
+ * (`localStorage.setItem('tinystepsbd_payment_gateway', JSON.stringify({ type: 'mock' }))`)
+ * @returns {Object} Payment gateway configuration
+ */
+function getPaymentGatewayConfig() {
+    try {
+        const override = localStorage.getItem('tinystepsbd_payment_gateway');
+        if (override) {
+            return JSON.parse(override);
+        }
+    } catch (error) {
+        console.warn('Ignoring invalid payment gateway override:', error);
+    }
+
+    return APP_CONFIG.payments.gateway;
+}
+
+const APP_CONFIG = buildAppConfig();
@@ -0,0 +1,240 @@
+// ===== TinyStepsBD Coupon Management =====
+
+class CouponManager {
+    constructor() {
+        this.appliedCoupon = null;
+        this.storageKey = 'tinystepsbd_coupon';
+        this.types = ['percentage', 'fixed', 'free_delivery'];
+        this.init();
+    }
+
+    /**
+     * Initialize coupon manager
+     */
+    init() {
+        this.loadAppliedCoupon();
+    }
+
+    /**
+     * Load the applied coupon from sessionStorage
+     */
+    loadAppliedCoupon() {
+        try {
+            const saved = sessionStorage.getItem(this.storageKey);
+            if (saved) {
+                this.appliedCoupon = JSON.parse(saved);
+            }
+        } catch (error) {
+            console.error('Error loading coupon:', error);
+            this.appliedCoupon = null;
+        }
+    }
+
+    /**
+     * Save the applied coupon to sessionStorage
+     */
+    saveAppliedCoupon() {
+        try {
+            if (this.appliedCoupon) {
+                sessionStorage.setItem(this.storageKey, JSON.stringify(this.appliedCoupon));
+            } else {
+                sessionStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.error('Error saving coupon:', error);
+        }
+    }
+
+    /**
+     * Normalize a coupon record from the backend
+     * @param {Object} data - Raw coupon data
+     * @returns {Object} Coupon
+     */
+    normalizeCoupon(data) {
+        const categories = Array.isArray(data.categories) ?
+            data.categories :
+            String(data.categories || '').split(',');
+
+        return {
+            code: String(data.code || '').trim().toUpperCase(),
+            type: data.type,
+            value: Number(data.value) || 0,
+            minOrder: Number(data.min_order) || 0,
+            maxDiscount: Number(data.max_discount) || null,
+            categories: categories.map(category => category.trim().toLowerCase()).filter(Boolean),
+            startsAt: data.starts_at || null,
+            expiresAt: data.expires_at || null,
+            usageLimit: Number(data.usage_limit) || null,
+            usedCount: Number(data.used_count) || 0
+        };
+    }
+
+    /**
+     * Get the cart items a coupon applies to
+     * @param {Object} coupon - Coupon
+     * @param {Array} items - Cart items
+     * @returns {Array} Eligible items
+     */
+    getEligibleItems(coupon, items) {
+        if (coupon.categories.length === 0) return items;
+
+        return items.filter(item =>
+            item.category && coupon.categories.includes(String(item.category).toLowerCase())
+        );
+    }
+
+    /**
+     * Check if a coupon can be used for an order
+     * @param {Object} coupon - Coupon
+     * @param {Array} items - Cart items (with current prices)
+     * @returns {Object} `{ valid, message }`
+     */
+    checkEligibility(coupon, items) {
+        const now = Date.now();
+
+        if (!this.types.includes(coupon.type)) {
+            return { valid: false, message: 'এই কুপনটি সঠিক নয়।' };
+        }
+
+        if (coupon.startsAt && now < new Date(coupon.startsAt).getTime()) {
+            return { valid: false, message: 'এই কুপনটি এখনো চালু হয়নি।' };
+        }
+
+        if (coupon.expiresAt && now > new Date(coupon.expiresAt).getTime()) {
+            return { valid: false, message: 'এই কুপনের মেয়াদ শেষ হয়ে গেছে।' };
+        }
+
+        if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+            return { valid: false, message: 'এই কুপনের ব্যবহারের সীমা শেষ হয়ে গেছে।' };
+        }
+
+        const eligibleItems = this.getEligibleItems(coupon, items);
+        if (eligibleItems.length === 0) {
+            return { valid: false, message: 'আপনার কার্টের প্রোডাক্টগুলোতে এই কুপন প্রযোজ্য নয়।' };
+        }
+
+        const subtotal = this.getItemsTotal(items);
+        if (subtotal < coupon.minOrder) {
+            return {
+                valid: false,
+                message: `এই কুপন ব্যবহারে সর্বনিম্ন ${formatPrice(coupon.minOrder)} এর অর্ডার প্রয়োজন।`
+            };
+        }
+
+        return { valid: true, message: '' };
+    }
+
+    /**
+     * Sum item prices
+     * @param {Array} items - Cart items
+     * @returns {number} Total
+     */
+    getItemsTotal(items) {
+        return items.reduce((total, item) => total + (item.price * item.quantity), 0);
+    }
+
+    /**
+     * Calculate what the applied coupon takes off an order
+     * @param {Array} items - Cart items (with current prices)
+     * @param {number} deliveryFee - Delivery fee before the coupon
+     * @returns {Object} `{ discount, deliveryDiscount }`
+     */
+    calculateDiscount(items, deliveryFee = 0) {
+        const coupon = this.appliedCoupon;
+        const none = { discount: 0, deliveryDiscount: 0 };
+
+        if (!coupon || !this.checkEligibility(coupon, items).valid) {
+            return none;
+        }
+
+        const eligibleTotal = this.getItemsTotal(this.getEligibleItems(coupon, items));
+        let discount = 0;
+
+        switch (coupon.type) {
+            case 'percentage':
+                discount = Math.round(eligibleTotal * coupon.value / 100);
+                break;
+
+            case 'fixed':
+                discount = coupon.value;
+                break;
+
+            case 'free_delivery':
+                return { discount: 0, deliveryDiscount: deliveryFee };
+        }
+
+        if (coupon.maxDiscount) {
+            discount = Math.min(discount, coupon.maxDiscount);
+        }
+
+        return { discount: Math.min(discount, eligibleTotal), deliveryDiscount: 0 };
+    }
+
+    /**
+     * Validate a code against the backend and apply it
+     * @param {string} code - Coupon code
+     * @param {Array} items - Cart items (with current prices)
+     * @returns {Promise<Object>} `{ valid, message }`
+     * @throws {NetworkError|HttpError} When the backend cannot be reached
+     */
+    async applyCoupon(code, items) {
+        const normalizedCode = String(code || '').trim().toUpperCase();
+        if (!normalizedCode) {
+            return { valid: false, message: 'কুপন কোড লিখুন।' };
+        }
+
+        const data = await dataManager.fetchCoupon(normalizedCode);
+        if (!data) {
+            return { valid: false, message: 'এই কুপনটি সঠিক নয়।' };
+        }
+
+        const coupon = this.normalizeCoupon(data);
+        const eligibility = this.checkEligibility(coupon, items);
+
+        if (eligibility.valid) {
+            this.appliedCoupon = coupon;
+            this.saveAppliedCoupon();
+            this.dispatchCouponUpdate();
+        }
+
+        return eligibility;
+    }
+
+    /**
+     * Re-check the applied coupon with the backend (usage counts change)
+     * @param {Array} items - Cart items (with current prices)
+     * @returns {Promise<Object>} `{ valid, message }`
+     * @throws {NetworkError|HttpError} When the backend cannot be reached;
+     *     the coupon stays applied
+     */
+    async revalidate(items) {
+        if (!this.appliedCoupon) return { valid: true, message: '' };
+
+        const result = await this.applyCoupon(this.appliedCoupon.code, items);
+        if (!result.valid) {
+            this.removeCoupon();
+        }
+        return result;
+    }
+
+    /**
+     * Remove the applied coupon
+     */
+    removeCoupon() {
+        this.appliedCoupon = null;
+        this.saveAppliedCoupon();
+        this.dispatchCouponUpdate();
+    }
+
+    /**
+     * Dispatch coupon update event
+     */
+    dispatchCouponUpdate() {
+        window.dispatchEvent(new CustomEvent('couponUpdated', {
+            detail: { coupon: this.appliedCoupon }
+        }));
+    }
+}
+
+// Create global coupon manager instance
+const couponManager = new CouponManager();
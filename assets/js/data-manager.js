@@ -1,12 +1,17 @@
 // ===== TinyStepsBD Data Manager =====
 
 class DataManager {
-    constructor() {
-        this.API_BASE_URL = 'https://script.google.com/macros/s/AKfycbyW3ZHdsQI2ohP6Fk3CAHhsYp4n_YY3BC9cJDedRqSqMMeL4a4BswE-DHbDuYChJlwM/exec';
+    constructor(backend = createBackendAdapter(getBackendConfig())) {
+        this.backend = backend;
         this.products = [];
         this.categories = new Set();
-        this.isLoading = false;
+        this.loadingPromise = null;
         this.cacheDuration = 5 * 60 * 1000; // 5 minutes
+        this.catalogVersion = null;
+        this.loadDispatched = false;
+        this.brokenImages = new Map();
+        this.imageRetryTime = APP_CONFIG.storage.brokenImageRetryHours * 60 * 60 * 1000;
+        this.ready = null;
         this.init();
     }
 
@@ -14,8 +19,18 @@ class DataManager {
      * Initialize data manager
      */
     init() {
-        this.loadCachedData();
+        this.ready = Promise.all([this.loadCachedData(), this.loadImageStatus()]);
         this.setupErrorHandling();
+        this.setupImageTracking();
+    }
+
+    /**
+     * Swap the backend adapter (e.g. for tests) and drop data from the old one
+     * @param {BackendAdapter} backend - New backend adapter
+     */
+    setBackend(backend) {
+        this.backend = backend;
+        this.clearCache();
     }
 
     /**
@@ -34,18 +49,23 @@ class DataManager {
     }
 
     /**
-     * Load cached data from localStorage
+     * Load the cached catalog and, once the page has set up its listeners,
+     * announce it with `productsLoaded`
+     * @param {boolean} allowStale - Accept an expired cache (used when offline)
      */
-    loadCachedData() {
+    async loadCachedData(allowStale = false) {
         try {
-            const cached = localStorage.getItem('tinystepsbd_products_cache');
-            if (cached) {
-                const { data, timestamp } = JSON.parse(cached);
-                if (Date.now() - timestamp < this.cacheDuration) {
-                    this.products = data;
-                    this.extractCategories();
-                    this.dispatchDataLoadedEvent();
-                }
+            const cached = await this.readCachedCatalog();
+            if (!cached || (!allowStale && Date.now() - cached.timestamp >= this.cacheDuration)) return;
+
+            // Sales may have started or ended since the cache was written
+            this.products = cached.products.map(product => this.applyPricing(product));
+            this.catalogVersion = cached.version;
+            this.extractCategories();
+
+            await this.waitForPage();
+            if (!this.loadDispatched) {
+                this.dispatchDataLoadedEvent();
             }
         } catch (error) {
             console.warn('Failed to load cached data:', error);
@@ -53,28 +73,141 @@ class DataManager {
     }
 
     /**
-     * Save data to cache
+     * Read the cached catalog, however old
+     * @returns {Promise<Object|null>} `{ products, version, timestamp }`; the
+     *     version is null when evicted products left the catalog incomplete
      */
-    saveToCache() {
+    async readCachedCatalog() {
+        const catalog = await cacheDB.get('meta', 'catalog');
+        if (!catalog) return null;
+
+        const cached = new Map((await cacheDB.getAll('products')).map(record => [record.key, record.value]));
+        const products = catalog.ids.filter(id => cached.has(id)).map(id => cached.get(id));
+
+        return {
+            products: products,
+            version: products.length === catalog.ids.length ? catalog.version : null,
+            timestamp: catalog.timestamp
+        };
+    }
+
+    /**
+     * Save the catalog to the cache, one record per product
+     */
+    async saveToCache() {
         try {
-            const cacheData = {
-                data: this.products,
-                timestamp: Date.now()
-            };
-            localStorage.setItem('tinystepsbd_products_cache', JSON.stringify(cacheData));
+            await cacheDB.replaceAll('products', this.products.map(product => ({
+                key: String(product.id),
+                value: product
+            })));
+            await cacheDB.put('meta', 'catalog', {
+                version: this.catalogVersion,
+                timestamp: Date.now(),
+                ids: this.products.map(product => String(product.id))
+            });
         } catch (error) {
             console.warn('Failed to save cache:', error);
         }
     }
 
+    /**
+     * Wait until the page scripts have run their DOMContentLoaded handlers
+     * @returns {Promise} Resolves once listeners are in place
+     */
+    waitForPage() {
+        return new Promise(resolve => {
+            const settle = () => setTimeout(resolve);
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', settle, { once: true });
+            } else {
+                settle();
+            }
+        });
+    }
+
+    /**
+     * Load which product images failed to load on earlier visits
+     */
+    async loadImageStatus() {
+        try {
+            (await cacheDB.getAll('images')).forEach(record => {
+                if (record.value.status === 'broken') {
+                    this.brokenImages.set(record.key, record.updatedAt);
+                }
+            });
+        } catch (error) {
+            console.warn('Failed to load image status:', error);
+        }
+    }
+
+    /**
+     * Remember product images that fail to load, so later renders can skip
+     * them instead of waiting for the same error
+     */
+    setupImageTracking() {
+        document.addEventListener('error', (event) => {
+            const url = this.getTrackedImageUrl(event.target);
+            // Offline every image fails, which says nothing about the image
+            if (!url || !navigator.onLine) return;
+
+            this.brokenImages.set(url, Date.now());
+            cacheDB.put('images', url, { status: 'broken' }).catch(error => {
+                console.warn('Failed to save image status:', error);
+            });
+        }, true);
+
+        document.addEventListener('load', (event) => {
+            const url = this.getTrackedImageUrl(event.target);
+            if (!url || !this.brokenImages.has(url)) return;
+
+            this.brokenImages.delete(url);
+            cacheDB.delete('images', url).catch(error => {
+                console.warn('Failed to save image status:', error);
+            });
+        }, true);
+    }
+
+    /**
+     * Get the URL of a product image element
+     * @param {EventTarget} target - Element that loaded or failed
+     * @returns {string|null} Image URL, or null for anything but product images
+     */
+    getTrackedImageUrl(target) {
+        if (!target || target.tagName !== 'IMG') return null;
+
+        const url = target.getAttribute('src');
+        const isProductImage = this.products.some(product => product.images.includes(url));
+        return isProductImage ? url : null;
+    }
+
+    /**
+     * Check if an image failed to load recently
+     * @param {string} url - Image URL
+     * @returns {boolean} True while the image is not worth requesting again
+     */
+    isImageBroken(url) {
+        const failedAt = this.brokenImages.get(url);
+        return failedAt !== undefined && Date.now() - failedAt < this.imageRetryTime;
+    }
+
+    /**
+     * Get the image to show for a product: the main image, or the next one
+     * when it failed to load recently
+     * @param {Object} product - Processed product
+     * @returns {string} Image URL, or the placeholder when none is usable
+     */
+    getProductImage(product) {
+        return product.images.find(img => !this.isImageBroken(img)) || 'assets/images/placeholder.jpg';
+    }
+
     /**
      * Extract categories from products
      */
     extractCategories() {
         this.categories.clear();
         this.products.forEach(product => {
-            if (product.Category) {
-                this.categories.add(product.Category);
+            if (product.category) {
+                this.categories.add(product.category);
             }
         });
     }
@@ -83,65 +216,228 @@ class DataManager {
      * Dispatch data loaded event
      */
     dispatchDataLoadedEvent() {
+        this.loadDispatched = true;
         window.dispatchEvent(new CustomEvent('productsLoaded', {
             detail: { products: this.products }
         }));
     }
 
     /**
-     * Fetch all products from API
+     * Dispatch products updated event
+     * @param {Object} changes - `{ added, updated, removed }` product IDs
+     */
+    dispatchProductsUpdatedEvent(changes) {
+        window.dispatchEvent(new CustomEvent('productsUpdated', {
+            detail: {
+                added: changes.added,
+                updated: changes.updated,
+                removed: changes.removed,
+                ids: [...changes.added, ...changes.updated, ...changes.removed],
+                products: this.products
+            }
+        }));
+    }
+
+    /**
+     * Fetch all products from API.
+     *
+     * Once a catalog version is known (from this page or the cache, however
+     * old) only the rows changed since then are requested and patched into
+     * the catalog. `productsLoaded` fires once per page, for the cached
+     * catalog or else the first fetch; later changes fire `productsUpdated`
+     * with the changed IDs. Calls made while a fetch is running share it.
      * @returns {Promise<Array>} Array of products
      */
-    async fetchAllProducts() {
-        if (this.isLoading) {
-            return this.products;
+    fetchAllProducts() {
+        if (!this.loadingPromise) {
+            this.loadingPromise = this.loadAllProducts().finally(() => {
+                this.loadingPromise = null;
+            });
         }
+        return this.loadingPromise;
+    }
 
-        this.isLoading = true;
-        
+    /**
+     * Fetch the catalog and apply it (see fetchAllProducts)
+     * @returns {Promise<Array>} Array of products
+     */
+    async loadAllProducts() {
         try {
-            const response = await fetch(`${this.API_BASE_URL}?action=products&t=${Date.now()}`);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+            await this.ready;
 
-            const result = await response.json();
+            const base = await this.getCatalogBase();
+            const result = await this.backend.get('products', base ? { since: base.version } : { t: Date.now() });
             
             if (!result.success) {
-                throw new Error(result.error || 'Failed to fetch products');
+                throw new BackendError(result.error || 'Failed to fetch products', result);
             }
 
-            this.products = this.processProducts(result.data);
+            const previous = base ? base.products : this.products;
+            const changes = result.delta ?
+                this.applyCatalogDelta(previous, result.data, result.deleted) :
+                this.diffCatalog(previous, this.processProducts(result.data));
+
+            this.products = changes.products;
+            this.catalogVersion = result.version || null;
             this.extractCategories();
             this.saveToCache();
-            this.dispatchDataLoadedEvent();
+
+            if (!this.loadDispatched) {
+                this.dispatchDataLoadedEvent();
+            } else if (changes.added.length + changes.updated.length + changes.removed.length > 0) {
+                this.dispatchProductsUpdatedEvent(changes);
+            }
             
             return this.products;
 
         } catch (error) {
             console.error('Error fetching products:', error);
-            showNotification('প্রোডাক্ট লোড করতে সমস্যা হচ্ছে। ইন্টারনেট কানেকশন চেক করুন।', 'error');
+            showNotification(error instanceof NetworkError ?
+                'প্রোডাক্ট লোড করতে সমস্যা হচ্ছে। ইন্টারনেট কানেকশন চেক করুন।' :
+                'প্রোডাক্ট লোড করতে সমস্যা হচ্ছে। কিছুক্ষণ পর আবার চেষ্টা করুন।', 'error');
+
+            // Fall back to the last catalog we saw, however old
+            if (!this.isProductsLoaded()) {
+                await this.loadCachedData(true);
+            }
             return this.products; // Return cached products if available
-        } finally {
-            this.isLoading = false;
         }
     }
 
+    /**
+     * Get the catalog a delta can be applied to: the loaded products, or
+     * the cached ones however old
+     * @returns {Promise<Object|null>} `{ products, version }`, or null without a version
+     */
+    async getCatalogBase() {
+        if (this.isProductsLoaded()) {
+            return this.catalogVersion ? { products: this.products, version: this.catalogVersion } : null;
+        }
+
+        try {
+            const cached = await this.readCachedCatalog();
+            if (!cached || !cached.version) return null;
+
+            return {
+                products: cached.products.map(product => this.applyPricing(product)),
+                version: cached.version
+            };
+        } catch (error) {
+            console.warn('Failed to read cached catalog:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Patch changed and deleted rows into a catalog
+     * @param {Array} products - Current processed products
+     * @param {Array} rows - Added or changed sheet rows
+     * @param {Array} deleted - IDs of deleted products
+     * @returns {Object} `{ products, added, updated, removed }`
+     */
+    applyCatalogDelta(products, rows = [], deleted = []) {
+        const changed = new Map(this.processProducts(rows).map(product => [String(product.id), product]));
+        const removedIds = new Set(deleted.map(String));
+
+        // Rows that no longer make a valid product are dropped like deleted ones
+        rows.forEach(row => {
+            const id = String(row['Product ID']);
+            if (!changed.has(id)) removedIds.add(id);
+        });
+
+        const existing = new Set(products.map(product => String(product.id)));
+        const next = products
+            .filter(product => !removedIds.has(String(product.id)))
+            .map(product => changed.get(String(product.id)) || product);
+
+        changed.forEach((product, id) => {
+            if (!existing.has(id)) next.push(product);
+        });
+
+        return {
+            products: next,
+            added: [...changed.keys()].filter(id => !existing.has(id)),
+            updated: [...changed.keys()].filter(id => existing.has(id)),
+            removed: [...removedIds].filter(id => existing.has(id))
+        };
+    }
+
+    /**
+     * Compare a full catalog with the current one. Unchanged products keep
+     * their current object so views can skip them.
+     * @param {Array} products - Current processed products
+     * @param {Array} fresh - Newly processed products
+     * @returns {Object} `{ products, added, updated, removed }`
+     */
+    diffCatalog(products, fresh) {
+        const current = new Map(products.map(product => [String(product.id), product]));
+        const freshIds = new Set(fresh.map(product => String(product.id)));
+        const added = [];
+        const updated = [];
+
+        const next = fresh.map(product => {
+            const id = String(product.id);
+            const previous = current.get(id);
+
+            if (!previous) {
+                added.push(id);
+                return product;
+            }
+
+            if (JSON.stringify(previous) !== JSON.stringify(product)) {
+                updated.push(id);
+                return product;
+            }
+
+            return previous;
+        });
+
+        return {
+            products: next,
+            added: added,
+            updated: updated,
+            removed: [...current.keys()].filter(id => !freshIds.has(id))
+        };
+    }
+
     /**
      * Process products data from API
      * @param {Array} products - Raw products data
      * @returns {Array} Processed products
      */
     processProducts(products) {
-        return products.map(product => ({
+        return products.map(product => this.processProduct(product)).filter(product => 
+            product.id && 
+            product.name && 
+            product.price > 0
+        );
+    }
+
+    /**
+     * Process a single sheet row
+     * @param {Object} product - Raw product row
+     * @returns {Object} Processed product
+     */
+    processProduct(product) {
+        const variants = this.parseVariants(product);
+        const sizes = this.uniqueValues(variants.map(variant => variant.size));
+        const colors = this.uniqueValues(variants.map(variant => variant.color));
+
+        const processed = {
             id: product['Product ID'],
             name: product['Name'],
             description: product['Description'],
-            price: parseInt(product['Price (BDT)']) || 0,
+            regularPrice: parseInt(product['Price (BDT)']) || 0,
+            salePrice: parseInt(product['Sale Price']) || null,
+            listPrice: parseInt(product['Compare At Price']) || null,
+            saleStart: this.parseDate(product['Sale Start']),
+            saleEnd: this.parseDate(product['Sale End'], true),
             category: product['Category'],
-            size: product['Size'],
-            color: product['Color'],
+            size: product['Size'] || sizes.join(', '),
+            color: product['Color'] || colors.join(', '),
+            sizes: sizes,
+            colors: colors,
+            variants: variants,
             driveLink: product['Drive Link'],
             imageFolder: product['Image Folder'],
             mainImage: product['Main Image'],
@@ -154,26 +450,261 @@ class DataManager {
                 product['Image5'],
                 product['Image6']
             ].filter(img => img && img.trim() !== ''),
-            inStock: true,
-            featured: false,
-            badge: this.determineProductBadge(product)
-        })).filter(product => 
-            product.id && 
-            product.name && 
-            product.price > 0
-        );
+            inStock: variants.some(variant => this.isVariantAvailable(variant)),
+            createdAt: this.parseDate(product['Created Date']),
+            orderCount: parseInt(product['Order Count']) || 0,
+            weight: parseInt(product['Weight (g)']) || null,
+            featured: this.parseBoolean(product['Featured'])
+        };
+
+        return this.applyPricing(processed);
     }
 
     /**
-     * Determine product badge based on data
-     * @param {Object} product - Product data
+     * Work out the selling and compare-at price for the current moment.
+     *
+     * `Price (BDT)` is the regular price. While the sale window
+     * (`Sale Start` – `Sale End`, both optional) is open, `Sale Price`
+     * replaces it and the regular price or `Compare At Price`, whichever is
+     * higher, is shown struck through. Outside the window neither applies.
+     * @param {Object} product - Processed product
+     * @param {number} now - Timestamp to price at
+     * @returns {Object} The same product with `price`, `compareAtPrice` and `badge` set
+     */
+    applyPricing(product, now = Date.now()) {
+        // Products cached before sale pricing existed are left as they were
+        if (product.regularPrice === undefined) return product;
+
+        const discountActive = this.isDiscountActive(product, now);
+        const onSale = discountActive && product.salePrice > 0 && product.salePrice < product.regularPrice;
+
+        product.price = onSale ? product.salePrice : product.regularPrice;
+
+        const reference = discountActive ?
+            Math.max(product.listPrice || 0, onSale ? product.regularPrice : 0) :
+            0;
+        product.compareAtPrice = reference > product.price ? reference : null;
+
+        product.badge = this.determineProductBadge(product);
+        return product;
+    }
+
+    /**
+     * Check if a product's discount window is open
+     * @param {Object} product - Processed product
+     * @param {number} now - Timestamp to check
+     * @returns {boolean} True if discounts apply
+     */
+    isDiscountActive(product, now = Date.now()) {
+        if (product.saleStart && now < new Date(product.saleStart).getTime()) return false;
+        if (product.saleEnd && now > new Date(product.saleEnd).getTime()) return false;
+        return true;
+    }
+
+    /**
+     * Parse a sheet date cell (ISO string or DD/MM/YYYY)
+     * @param {string} value - Cell value
+     * @param {boolean} endOfDay - Move date-only values to the end of that day
+     * @returns {string|null} ISO date string
+     */
+    parseDate(value, endOfDay = false) {
+        if (!value) return null;
+
+        const text = String(value).trim();
+        const dayFirst = text.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4})$/);
+        const dateOnly = Boolean(dayFirst) || /^\d{4}-\d{2}-\d{2}$/.test(text);
+        const date = dayFirst ?
+            new Date(Number(dayFirst[3]), Number(dayFirst[2]) - 1, Number(dayFirst[1])) :
+            new Date(text);
+
+        if (isNaN(date.getTime())) return null;
+
+        if (dateOnly && endOfDay) {
+            date.setTime(date.getTime() + 24 * 60 * 60 * 1000 - 1);
+        }
+
+        return date.toISOString();
+    }
+
+    /**
+     * Parse a sheet checkbox/yes-no cell
+     * @param {*} value - Cell value
+     * @returns {boolean} True for TRUE, yes, 1 or হ্যাঁ
+     */
+    parseBoolean(value) {
+        if (value === true) return true;
+        if (!value) return false;
+        return ['true', 'yes', 'y', '1', 'হ্যাঁ'].includes(String(value).trim().toLowerCase());
+    }
+
+    /**
+     * Parse size × color variants from a sheet row.
+     *
+     * The `Variants` column lists one variant per line (or separated by `;`)
+     * as `Size | Color | SKU | Stock | Price`, where Price is an optional
+     * override of `Price (BDT)` and an empty Stock means stock is not tracked.
+     * Without that column every combination of the comma-separated `Size`
+     * and `Color` values becomes a variant with untracked stock.
+     * @param {Object} product - Raw product row
+     * @returns {Array} Variants
+     */
+    parseVariants(product) {
+        const productId = product['Product ID'];
+        const rawVariants = product['Variants'] ? String(product['Variants']).trim() : '';
+
+        if (rawVariants) {
+            return rawVariants
+                .split(/[;\n]+/)
+                .map(entry => entry.trim())
+                .filter(entry => entry !== '')
+                .map((entry, index) => {
+                    const [size = '', color = '', sku = '', stock = '', price = ''] =
+                        entry.split('|').map(part => part.trim());
+
+                    return {
+                        sku: sku || `${productId}-${index + 1}`,
+                        size: size || null,
+                        color: color || null,
+                        stock: stock === '' ? null : Math.max(0, parseInt(stock) || 0),
+                        price: parseInt(price) || null
+                    };
+                });
+        }
+
+        const sizes = this.splitList(product['Size']);
+        const colors = this.splitList(product['Color']);
+        const variants = [];
+
+        (sizes.length ? sizes : [null]).forEach(size => {
+            (colors.length ? colors : [null]).forEach(color => {
+                variants.push({
+                    sku: [productId, size, color].filter(Boolean).join('-'),
+                    size: size,
+                    color: color,
+                    stock: null,
+                    price: null
+                });
+            });
+        });
+
+        return variants;
+    }
+
+    /**
+     * Split a comma-separated sheet cell into trimmed values
+     * @param {string} value - Cell value
+     * @returns {Array} Values
+     */
+    splitList(value) {
+        if (!value) return [];
+        return String(value).split(',').map(item => item.trim()).filter(item => item !== '');
+    }
+
+    /**
+     * Remove empty and duplicate values, keeping order
+     * @param {Array} values - Values
+     * @returns {Array} Unique values
+     */
+    uniqueValues(values) {
+        return [...new Set(values.filter(value => value))];
+    }
+
+    /**
+     * Check if a variant can be ordered
+     * @param {Object} variant - Variant
+     * @returns {boolean} True if in stock or stock is not tracked
+     */
+    isVariantAvailable(variant) {
+        return Boolean(variant) && (variant.stock === null || variant.stock > 0);
+    }
+
+    /**
+     * Find the variant matching a size and color
+     * @param {Object} product - Processed product
+     * @param {string|null} size - Selected size
+     * @param {string|null} color - Selected color
+     * @returns {Object|null} Variant
+     */
+    findVariant(product, size, color) {
+        if (!product || !product.variants) return null;
+
+        return product.variants.find(variant =>
+            (variant.size || null) === (size || null) &&
+            (variant.color || null) === (color || null)
+        ) || null;
+    }
+
+    /**
+     * Get the stock on hand for a product variant
+     * @param {string} productId - Product ID
+     * @param {string|null} size - Size
+     * @param {string|null} color - Color
+     * @returns {number|null} Stock count, or null when stock is not tracked
+     */
+    getVariantStock(productId, size, color) {
+        const product = this.getProductById(productId);
+        if (!product || !product.variants) return null;
+
+        const variant = this.findVariant(product, size, color);
+        if (variant) return variant.stock;
+
+        // Items added before variants existed carry no size or color
+        return size || color ? 0 : null;
+    }
+
+    /**
+     * Get the price of a product variant
+     * @param {Object} product - Processed product
+     * @param {string|null} size - Size
+     * @param {string|null} color - Color
+     * @returns {number} Variant price, falling back to the product price
+     */
+    getVariantPrice(product, size, color) {
+        const variant = this.findVariant(product, size, color);
+        return (variant && variant.price) || product.price;
+    }
+
+    /**
+     * Get the struck-through price for a product variant
+     * @param {Object} product - Processed product
+     * @param {string|null} size - Size
+     * @param {string|null} color - Color
+     * @returns {number|null} Compare-at price, or null when not discounted
+     */
+    getVariantCompareAtPrice(product, size, color) {
+        const variant = this.findVariant(product, size, color);
+
+        // A variant with its own price is not part of the product-wide sale
+        if (variant && variant.price) return null;
+
+        return product.compareAtPrice || null;
+    }
+
+    /**
+     * Determine product badge based on data.
+     * A discount wins over "new", which wins over "bestseller".
+     * @param {Object} product - Processed product
      * @returns {string} Badge type
      */
     determineProductBadge(product) {
-        // You can add logic here based on product data
-        // For now, we'll randomly assign for demo
-        const badges = ['new', 'bestseller', 'discount', ''];
-        return badges[Math.floor(Math.random() * badges.length)];
+        const { newArrivalDays, bestsellerMinOrders } = APP_CONFIG.badges;
+
+        if (product.compareAtPrice && product.compareAtPrice > product.price) {
+            return 'discount';
+        }
+
+        if (product.createdAt) {
+            const ageInDays = (Date.now() - new Date(product.createdAt).getTime()) / (24 * 60 * 60 * 1000);
+            if (ageInDays <= newArrivalDays) {
+                return 'new';
+            }
+        }
+
+        if (product.orderCount >= bestsellerMinOrders) {
+            return 'bestseller';
+        }
+
+        return '';
     }
 
     /**
@@ -187,20 +718,16 @@ class DataManager {
         // Check cached products first
         const cachedProduct = this.products.find(p => p.id === productId);
         if (cachedProduct) {
+            // Viewed products are the last to be evicted from the cache
+            cacheDB.touch('products', [String(productId)]).catch(() => {});
             return cachedProduct;
         }
 
         try {
-            const response = await fetch(`${this.API_BASE_URL}?action=product&id=${encodeURIComponent(productId)}`);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const result = await response.json();
+            const result = await this.backend.get('product', { id: productId });
             
             if (!result.success) {
-                throw new Error(result.error || 'Product not found');
+                throw new BackendError(result.error || 'Product not found', result);
             }
 
             return this.processProducts([result.data])[0] || null;
@@ -212,6 +739,125 @@ class DataManager {
         }
     }
 
+    /**
+     * Fetch a coupon definition by code
+     * @param {string} code - Coupon code
+     * @returns {Promise<Object|null>} Raw coupon data, or null if the code does not exist
+     * @throws {NetworkError|HttpError} When the backend cannot be reached
+     */
+    async fetchCoupon(code) {
+        const result = await this.backend.get('coupon', { code: code });
+
+        if (!result.success) {
+            return null;
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Fetch delivery zone rules maintained in the backend
+     * @returns {Promise<Object|null>} Delivery rules, or null if the backend has none
+     * @throws {NetworkError|HttpError} When the backend cannot be reached
+     */
+    async fetchDeliveryRules() {
+        const result = await this.backend.get('delivery_rules');
+
+        if (!result.success) {
+            return null;
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Look up a placed order.
+     * The phone number must match the one on the order, so order IDs alone
+     * do not expose customer details.
+     * @param {string} orderId - Order ID
+     * @param {string} phone - Phone number the order was placed with
+     * @returns {Promise<Object|null>} Order record, or null if no such order
+     * @throws {NetworkError|HttpError} When the backend cannot be reached
+     * @throws {BackendError} With `code` 'rate_limited' when the backend refuses
+     *     further lookups for now
+     */
+    async fetchOrder(orderId, phone) {
+        const result = await this.backend.get('order_lookup', { id: orderId, phone: phone });
+
+        if (result.code === 'rate_limited') {
+            throw new BackendError('অনেকবার চেষ্টা করা হয়েছে। কিছুক্ষণ পর আবার চেষ্টা করুন।', result);
+        }
+
+        if (!result.success) {
+            return null;
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Fetch an order's status history, for tracking and for refreshing the
+     * order history. Unlike `fetchOrder` this does not count against the
+     * lookup limit and returns no customer details.
+     * @param {string} orderId - Order ID
+     * @param {string} phone - Phone number the order was placed with
+     * @returns {Promise<Object|null>} `{ status, history, consignment_id, courier,
+     *     updated_at, return_request }` where history entries are
+     *     `{ status, timestamp, note }`, or null if no such order
+     * @throws {NetworkError|HttpError} When the backend cannot be reached
+     */
+    async fetchOrderStatus(orderId, phone) {
+        const result = await this.backend.get('order_status', { id: orderId, phone: phone });
+
+        if (!result.success) {
+            return null;
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Ask the backend to cancel or change a pending order.
+     * The backend records every request in the order's audit trail and
+     * refuses it once the order is being processed.
+     * @param {Object} request - `{ order_id, phone, type, reason, changes }` where
+     *     type is 'cancel' or 'modify'
+     * @returns {Promise<Object>} Updated order record
+     * @throws {BackendError} With `code` 'order_locked' when the order can no longer change
+     */
+    async requestOrderChange(request) {
+        const result = await this.backend.post('order_update', request);
+
+        if (!result.success) {
+            throw new BackendError(result.code === 'order_locked' ?
+                'অর্ডারটি প্রসেসিং শুরু হয়ে গেছে, এখন আর পরিবর্তন করা যাবে না।' :
+                (result.error || 'অনুরোধ পাঠাতে সমস্যা হয়েছে।'), result);
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Submit a return or exchange request for a delivered order
+     * @param {Object} request - `{ order_id, phone, type, reason, note, items, photos }`
+     *     where photos are JPEG data URLs
+     * @returns {Promise<Object>} Return request record (`{ return_id, status, created_at }`)
+     * @throws {BackendError} With `code` 'return_window_closed' or 'return_exists' when refused
+     */
+    async submitReturnRequest(request) {
+        const result = await this.backend.post('return_request', request);
+
+        if (!result.success) {
+            const messages = {
+                return_window_closed: 'এই অর্ডারের রিটার্নের সময়সীমা শেষ হয়ে গেছে।',
+                return_exists: 'এই অর্ডারের জন্য আগেই একটি অনুরোধ পাঠানো হয়েছে।'
+            };
+            throw new BackendError(messages[result.code] || result.error || 'অনুরোধ পাঠাতে সমস্যা হয়েছে।', result);
+        }
+
+        return result.data;
+    }
+
     /**
      * Get all categories
      * @returns {Array} Array of categories
@@ -233,20 +879,14 @@ class DataManager {
     }
 
     /**
-     * Search products by query
+     * Search products by query, best matches first
      * @param {string} query - Search query
-     * @returns {Array} Filtered products
+     * @returns {Array} Matching products
      */
     searchProducts(query) {
         if (!query) return this.products;
 
-        const searchTerm = query.toLowerCase();
-        return this.products.filter(product =>
-            product.name.toLowerCase().includes(searchTerm) ||
-            product.description.toLowerCase().includes(searchTerm) ||
-            product.category.toLowerCase().includes(searchTerm) ||
-            product.color.toLowerCase().includes(searchTerm)
-        );
+        return searchEngine.search(query, this.products);
     }
 
     /**
@@ -265,57 +905,189 @@ class DataManager {
      * @returns {Array} New arrival products
      */
     getNewArrivals(limit = 8) {
-        // For now, return random products as new arrivals
-        // In production, you might have a date field to sort by
-        return [...this.products]
-            .sort(() => Math.random() - 0.5)
-            .slice(0, limit);
+        // Newest first; undated products keep their sheet order at the end
+        return this.products
+            .map((product, index) => ({ product, index }))
+            .sort((a, b) => {
+                const aTime = a.product.createdAt ? new Date(a.product.createdAt).getTime() : -Infinity;
+                const bTime = b.product.createdAt ? new Date(b.product.createdAt).getTime() : -Infinity;
+                return bTime - aTime || a.index - b.index;
+            })
+            .slice(0, limit)
+            .map(entry => entry.product);
     }
 
     /**
      * Submit order to API
      * @param {Object} orderData - Order data
      * @returns {Promise<Object>} Order result
+     * @throws {BackendError|NetworkError|HttpError} When the order was not placed
      */
     async submitOrder(orderData) {
         try {
-            const response = await fetch(this.API_BASE_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(orderData)
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const result = await response.json();
+            const result = await this.backend.post('order', orderData);
             
             if (!result.success) {
-                throw new Error(result.error || 'Failed to submit order');
+                throw new BackendError(result.code === 'coupon_invalid' ?
+                    'কুপনটি আর প্রযোজ্য নয়। কুপন সরিয়ে আবার অর্ডার করুন।' :
+                    result.error || 'অর্ডার সাবমিট করতে সমস্যা হচ্ছে। আবার চেষ্টা করুন।', result);
             }
 
             return result;
 
         } catch (error) {
+            if (this.isNetworkError(error)) {
+                const queued = await this.queueOrder(orderData);
+                if (queued) {
+                    return queued;
+                }
+            }
+
             console.error('Error submitting order:', error);
-            throw new Error('অর্ডার সাবমিট করতে সমস্যা হচ্ছে। আবার চেষ্টা করুন।');
+            throw error;
         }
     }
 
     /**
-     * Clear cache
+     * Check if an error means the backend could not be reached at all. A
+     * timed-out request may still have reached it, so that does not count.
+     * @param {Error} error - Error thrown by the backend adapter
+     * @returns {boolean} True for connectivity failures
      */
-    clearCache() {
+    isNetworkError(error) {
+        return !navigator.onLine || (error instanceof NetworkError && !(error instanceof TimeoutError));
+    }
+
+    /**
+     * Queue an order made while offline so it is sent once back online
+     * @param {Object} orderData - Order data
+     * @returns {Promise<Object|null>} Provisional order result, or null if queueing is unavailable
+     */
+    async queueOrder(orderData) {
+        const id = `OFFLINE-${Date.now()}-${generateId(4).toUpperCase()}`;
+        const request = this.backend.buildPostRequest('order', { ...orderData, client_ref: id });
+
+        if (!request || !orderQueue.isSupported()) {
+            return null;
+        }
+
         try {
-            localStorage.removeItem('tinystepsbd_products_cache');
-            this.products = [];
-            this.categories.clear();
+            await orderQueue.enqueue({ id, ...request, orderData });
         } catch (error) {
-            console.warn('Failed to clear cache:', error);
+            console.warn('Failed to queue offline order:', error);
+            return null;
         }
+
+        await this.requestOrderSync();
+
+        const subtotal = orderData.products.reduce(
+            (total, item) => total + (item.price * item.quantity), 0
+        );
+
+        return {
+            success: true,
+            queued: true,
+            data: {
+                order_id: id,
+                total_amount: subtotal + orderData.delivery_fee - (orderData.coupon_discount || 0),
+                delivery_fee: orderData.delivery_fee
+            }
+        };
+    }
+
+    /**
+     * Check if the browser can replay queued orders via background sync
+     * @returns {boolean} True if background sync is available
+     */
+    hasBackgroundSync() {
+        return 'serviceWorker' in navigator && 'SyncManager' in window;
+    }
+
+    /**
+     * Ask the service worker to replay queued orders when connectivity returns
+     * @returns {Promise<boolean>} True if a sync was registered
+     */
+    async requestOrderSync() {
+        if (!this.hasBackgroundSync()) return false;
+
+        try {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (!registration) return false;
+
+            await registration.sync.register(orderQueue.syncTag);
+            return true;
+        } catch (error) {
+            console.warn('Background sync registration failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Replay queued orders from the page (browsers without background sync)
+     * @returns {Promise<Array>} Replay outcomes
+     */
+    async flushOrderQueue() {
+        if (!orderQueue.isSupported()) return [];
+
+        try {
+            const outcomes = await orderQueue.replay();
+            if (outcomes.length > 0) {
+                this.dispatchOrdersSyncedEvent(outcomes);
+            }
+            return outcomes;
+        } catch (error) {
+            console.warn('Queued orders could not be sent yet:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Pick up the order queue left by earlier visits: report replays that
+     * finished while no page was open, then send whatever is still queued
+     */
+    async resumeOrderQueue() {
+        if (!orderQueue.isSupported()) return;
+
+        try {
+            const outcomes = await orderQueue.getOutcomes();
+            if (outcomes.length > 0) {
+                this.dispatchOrdersSyncedEvent(outcomes);
+            }
+        } catch (error) {
+            console.warn('Order queue outcomes could not be read:', error);
+        }
+
+        if (!navigator.onLine) return;
+
+        // Re-registering fires the sync straight away while online; the page
+        // only replays itself when there is no worker to do it
+        if (!await this.requestOrderSync()) {
+            await this.flushOrderQueue();
+        }
+    }
+
+    /**
+     * Dispatch orders synced event
+     * @param {Array} outcomes - Replay outcomes
+     */
+    dispatchOrdersSyncedEvent(outcomes) {
+        window.dispatchEvent(new CustomEvent('ordersSynced', {
+            detail: { outcomes }
+        }));
+    }
+
+    /**
+     * Clear cache
+     */
+    clearCache() {
+        this.products = [];
+        this.catalogVersion = null;
+        this.categories.clear();
+
+        // Fetches wait for `ready`, so none can start from the old catalog
+        this.ready = this.ready
+            .then(() => Promise.all([cacheDB.clear('products'), cacheDB.delete('meta', 'catalog')]))
+            .catch(error => console.warn('Failed to clear cache:', error));
     }
 
     /**
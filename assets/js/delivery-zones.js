@@ -0,0 +1,199 @@
+// ===== TinyStepsBD Delivery Zones =====
+
+/**
+ * Delivery fee engine.
+ *
+ * Every fee shown to the customer and every fee sent with an order comes from
+ * `quote()`, so the preview and the submitted order can never disagree.
+ * Rules come from `APP_CONFIG.delivery` and, when `remote` is enabled, are
+ * replaced by the backend's `delivery_rules` response.
+ */
+class DeliveryZoneManager {
+    constructor(rules = APP_CONFIG.delivery) {
+        this.rules = this.normalizeRules(rules);
+        this.remoteLoaded = false;
+    }
+
+    /**
+     * Fill in missing sections of a rule set
+     * @param {Object} rules - Raw rules
+     * @returns {Object} Rules
+     */
+    normalizeRules(rules = {}) {
+        return {
+            freeDeliveryThreshold: Number(rules.freeDeliveryThreshold) || 0,
+            zones: Array.isArray(rules.zones) ? rules.zones : [],
+            surcharges: { ...(rules.surcharges || {}) },
+            speeds: Array.isArray(rules.speeds) && rules.speeds.length > 0 ?
+                rules.speeds :
+                [{ id: 'standard', name: 'স্ট্যান্ডার্ড ডেলিভারি', extraFee: 0 }]
+        };
+    }
+
+    /**
+     * Replace the configured rules with the backend's, once per page load
+     * @returns {Promise<boolean>} True if remote rules are in use
+     */
+    async loadRules() {
+        if (!APP_CONFIG.delivery.remote || this.remoteLoaded) {
+            return this.remoteLoaded;
+        }
+
+        try {
+            const rules = await dataManager.fetchDeliveryRules();
+            if (rules) {
+                this.rules = this.normalizeRules({ ...APP_CONFIG.delivery, ...rules });
+                this.remoteLoaded = true;
+                window.dispatchEvent(new CustomEvent('deliveryRulesLoaded', {
+                    detail: { rules: this.rules }
+                }));
+            }
+        } catch (error) {
+            console.warn('Using configured delivery rules:', error);
+        }
+
+        return this.remoteLoaded;
+    }
+
+    /**
+     * Normalize a place name for comparison
+     * @param {string} value - Place name
+     * @returns {string} Normalized name
+     */
+    normalizeName(value) {
+        return String(value || '').trim().toLowerCase();
+    }
+
+    /**
+     * Find the zone for a location.
+     * Structured fields are matched from the most specific (upazila) to the
+     * least specific (division). Only a location without any structured field
+     * (a free-text `address`) is matched by keyword.
+     * @param {Object} location - `{ division, district, upazila, address }`
+     * @returns {Object} Zone
+     */
+    findZone(location = {}) {
+        const zones = this.rules.zones;
+        const levels = [
+            ['upazila', 'upazilas'],
+            ['district', 'districts'],
+            ['division', 'divisions']
+        ];
+
+        let structured = false;
+
+        for (const [field, key] of levels) {
+            const value = this.normalizeName(location[field]);
+            if (!value) continue;
+
+            structured = true;
+            const zone = zones.find(z => (z[key] || []).some(name => this.normalizeName(name) === value));
+            if (zone) return zone;
+        }
+
+        const address = this.normalizeName(location.address);
+        if (address && !structured) {
+            const zone = zones.find(z => (z.keywords || []).some(keyword =>
+                address.includes(this.normalizeName(keyword))
+            ));
+            if (zone) return zone;
+        }
+
+        return this.getDefaultZone();
+    }
+
+    /**
+     * Get the zone used when nothing else matches
+     * @returns {Object} Zone
+     */
+    getDefaultZone() {
+        const zones = this.rules.zones;
+        return zones.find(zone => zone.default) ||
+            zones[zones.length - 1] ||
+            { id: 'outside_dhaka', name: 'ঢাকার বাইরে', fee: 150 };
+    }
+
+    /**
+     * Get the delivery speeds offered in a zone
+     * @param {Object} zone - Zone
+     * @returns {Array} Speed options
+     */
+    getSpeedOptions(zone) {
+        return this.rules.speeds.filter(speed =>
+            !speed.zones || speed.zones.includes(zone.id)
+        );
+    }
+
+    /**
+     * Get the shipping weight of one unit of a cart item
+     * @param {Object} item - Cart item
+     * @returns {number} Weight in grams
+     */
+    getItemGrams(item) {
+        const product = typeof dataManager !== 'undefined' ? dataManager.getProductById(item.id) : null;
+        return Number(item.weight) ||
+            (product && product.weight) ||
+            Number(this.rules.surcharges.defaultItemGrams) || 0;
+    }
+
+    /**
+     * Calculate the item-count and weight surcharges for a parcel
+     * @param {number} itemCount - Number of units
+     * @param {number} grams - Total weight in grams
+     * @returns {number} Surcharge
+     */
+    calculateSurcharge(itemCount, grams) {
+        const {
+            includedItems = 0,
+            perExtraItem = 0,
+            includedGrams = 0,
+            perExtraKg = 0
+        } = this.rules.surcharges;
+
+        const extraItems = Math.max(0, itemCount - includedItems);
+        const extraKg = Math.ceil(Math.max(0, grams - includedGrams) / 1000);
+
+        return (extraItems * perExtraItem) + (extraKg * perExtraKg);
+    }
+
+    /**
+     * Quote the delivery fee for an order
+     * @param {Object} options - Quote options
+     * @param {Object} options.location - `{ division, district, upazila, address }`
+     * @param {Array} options.items - Cart items
+     * @param {number} options.subtotal - Order subtotal
+     * @param {string} options.speed - Requested speed ID
+     * @returns {Object} Quote with `fee` and its breakdown
+     */
+    quote({ location = {}, items = [], subtotal = 0, speed = 'standard' } = {}) {
+        const zone = this.findZone(location);
+        const speeds = this.getSpeedOptions(zone);
+        const selectedSpeed = speeds.find(option => option.id === speed) || speeds[0] || this.rules.speeds[0];
+
+        const itemCount = items.reduce((count, item) => count + (item.quantity || 1), 0);
+        const grams = items.reduce((total, item) => total + (this.getItemGrams(item) * (item.quantity || 1)), 0);
+
+        const baseFee = Number(zone.fee) || 0;
+        const surcharge = this.calculateSurcharge(itemCount, grams);
+        const expressFee = Number(selectedSpeed.extraFee) || 0;
+
+        const threshold = zone.freeDeliveryThreshold ?? this.rules.freeDeliveryThreshold;
+        const freeDelivery = threshold > 0 && subtotal >= threshold;
+
+        return {
+            zone: { id: zone.id, name: zone.name },
+            speed: { id: selectedSpeed.id, name: selectedSpeed.name, eta: selectedSpeed.eta || '' },
+            baseFee: baseFee,
+            surcharge: surcharge,
+            expressFee: expressFee,
+            freeDelivery: freeDelivery,
+            amountToFreeDelivery: threshold > 0 ? Math.max(0, threshold - subtotal) : null,
+            fee: (freeDelivery ? 0 : baseFee + surcharge) + expressFee,
+            itemCount: itemCount,
+            weight: grams
+        };
+    }
+}
+
+// Create global delivery zone manager instance
+const deliveryZones = new DeliveryZoneManager();
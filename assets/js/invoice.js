@@ -0,0 +1,463 @@
+// ===== TinyStepsBD Invoices =====
+
+/**
+ * Invoice / packing slip renderer.
+ *
+ * `render()` turns an order from the order history into a standalone,
+ * print-optimized HTML document. Printing loads it into a hidden iframe;
+ * PDF export draws the same document onto a canvas (as an SVG
+ * `foreignObject` image) and wraps the page images in a minimal PDF.
+ *
+ * Web fonts are not loaded inside such an image, so the PDF's Bangla text
+ * uses whichever font in the `getStyles()` stack is installed on the device
+ * and can look different from the printed invoice. Safari refuses to export
+ * a canvas that has drawn a `foreignObject` image, so there the download
+ * always falls back to the print dialog.
+ */
+class InvoiceGenerator {
+    constructor(shop = APP_CONFIG.shop) {
+        this.shop = shop;
+        // A4 at 96 dpi
+        this.pageWidthPx = 794;
+        this.pdfPageWidth = 595.28;
+        this.pdfPageHeight = 841.89;
+        this.bindEvents();
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const printButton = e.target.closest('.print-invoice-btn');
+            const downloadButton = e.target.closest('.download-invoice-btn');
+            const button = printButton || downloadButton;
+            if (!button) return;
+
+            // Buttons without an order ID (success page) use the one in the URL
+            const order = this.getOrder(button.dataset.orderId || getUrlParam('order_id'));
+            if (!order) {
+                showNotification('অর্ডারের তথ্য পাওয়া যায়নি।', 'error');
+                return;
+            }
+
+            if (printButton) {
+                this.print(order);
+            } else {
+                this.downloadPdf(order, downloadButton);
+            }
+        });
+    }
+
+    /**
+     * Find an order in the history, falling back to the last order placed
+     * @param {string} orderId - Order ID
+     * @returns {Object|null} Order
+     */
+    getOrder(orderId) {
+        const order = ordersManager.getOrder(orderId);
+        if (order) return order;
+
+        try {
+            const lastOrder = JSON.parse(localStorage.getItem('last_order'));
+            return lastOrder && (!orderId || lastOrder.orderId === orderId) ? lastOrder : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the invoice number for an order.
+     * Derived from the order ID, so reprints keep the same number.
+     * @param {Object} order - Order
+     * @returns {string} Invoice number such as INV-20250101-MOCK1735689600000
+     */
+    getInvoiceNumber(order) {
+        if (order.invoiceNumber) return order.invoiceNumber;
+
+        const date = new Date(order.orderDate);
+        const day = [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('');
+
+        return `INV-${day}-${String(order.orderId).replace(/[^A-Za-z0-9]/g, '').toUpperCase()}`;
+    }
+
+    /**
+     * Format an amount in Bangla and English numerals
+     * @param {number} amount - Amount in BDT
+     * @returns {string} HTML
+     */
+    formatAmount(amount) {
+        const value = Math.round(Number(amount) || 0);
+        return `${formatPrice(value)}<span class="amount-en">Tk ${value.toLocaleString('en-US')}</span>`;
+    }
+
+    /**
+     * Describe a payment status
+     * @param {string} status - Payment status from the order
+     * @returns {string} Bilingual label
+     */
+    getPaymentStatusLabel(status) {
+        const labels = {
+            pending_verification: 'যাচাই চলছে (Pending verification)',
+            cash_on_delivery: 'ডেলিভারির সময় পরিশোধ (Cash on delivery)',
+            paid: 'পরিশোধিত (Paid)'
+        };
+        return labels[status] || '';
+    }
+
+    /**
+     * Calculate the invoice amounts
+     * @param {Object} order - Order
+     * @returns {Object} `{ subtotal, discount, deliveryFee, total, advance, due }`
+     */
+    calculateAmounts(order) {
+        const subtotal = (order.items || []).reduce((total, item) => total + (item.price * item.quantity), 0);
+        const deliveryFee = Number(order.deliveryFee) || 0;
+        const discount = Number(order.couponDiscount) || 0;
+        const total = Number(order.totalAmount) || Math.max(0, subtotal + deliveryFee - discount);
+        const advance = Number(order.advanceAmount) || 0;
+
+        return {
+            subtotal: subtotal,
+            discount: discount,
+            deliveryFee: deliveryFee,
+            total: total,
+            advance: advance,
+            due: order.dueAmount !== undefined ? Number(order.dueAmount) : total - advance
+        };
+    }
+
+    /**
+     * Render an order as a standalone invoice document
+     * @param {Object} order - Order
+     * @returns {string} HTML document
+     */
+    render(order) {
+        const amounts = this.calculateAmounts(order);
+        const items = order.items || [];
+        const shop = this.shop;
+
+        return `<!DOCTYPE html>
+<html lang="bn">
+<head>
+<meta charset="UTF-8">
+<title>${this.getInvoiceNumber(order)}</title>
+<style>${this.getStyles()}</style>
+</head>
+<body>
+<div class="invoice">
+    <header class="invoice-header">
+        <div>
+            <h1>${sanitizeHTML(shop.name)}</h1>
+            <p>${sanitizeHTML(shop.address)}</p>
+            <p>${sanitizeHTML(shop.phone)} · ${sanitizeHTML(shop.email)}</p>
+            <p>${sanitizeHTML(shop.website)}</p>
+        </div>
+        <div class="invoice-meta">
+            <h2>ইনভয়েস / Invoice</h2>
+            <p><span>ইনভয়েস নং:</span> ${sanitizeHTML(this.getInvoiceNumber(order))}</p>
+            <p><span>অর্ডার নং:</span> ${sanitizeHTML(order.orderId)}</p>
+            <p><span>তারিখ:</span> ${formatDate(new Date(order.orderDate))}</p>
+        </div>
+    </header>
+
+    <section class="invoice-parties">
+        <div>
+            <h3>প্রাপক / Ship to</h3>
+            <p><strong>${sanitizeHTML(order.customerName)}</strong></p>
+            <p>${sanitizeHTML(order.phone)}</p>
+            <p>${sanitizeHTML(order.address)}</p>
+        </div>
+        <div>
+            <h3>পেমেন্ট / Payment</h3>
+            <p>${sanitizeHTML(order.paymentMethod || 'Cash on Delivery')}</p>
+            <p>${this.getPaymentStatusLabel(order.paymentStatus)}</p>
+        </div>
+    </section>
+
+    <table class="invoice-items">
+        <thead>
+            <tr>
+                <th>#</th>
+                <th>পণ্য / Item</th>
+                <th>ভ্যারিয়েন্ট / Variant</th>
+                <th class="num">পরিমাণ / Qty</th>
+                <th class="num">দাম / Price</th>
+                <th class="num">মোট / Amount</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${items.map((item, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${sanitizeHTML(item.product_name)}${item.sku ? `<span class="sku">SKU: ${sanitizeHTML(item.sku)}</span>` : ''}</td>
+                <td>${[item.size, item.color].filter(Boolean).map(sanitizeHTML).join(' / ') || '-'}</td>
+                <td class="num">${formatNumber(item.quantity)}<span class="amount-en">${item.quantity}</span></td>
+                <td class="num">${this.formatAmount(item.price)}</td>
+                <td class="num">${this.formatAmount(item.price * item.quantity)}</td>
+            </tr>`).join('')}
+        </tbody>
+    </table>
+
+    <table class="invoice-totals">
+        <tr><td>সাবটোটাল / Subtotal</td><td class="num">${this.formatAmount(amounts.subtotal)}</td></tr>
+        ${amounts.discount > 0 ? `
+        <tr><td>ডিসকাউন্ট / Discount${order.couponCode ? ` (${sanitizeHTML(order.couponCode)})` : ''}</td><td class="num">-${this.formatAmount(amounts.discount)}</td></tr>` : ''}
+        <tr><td>ডেলিভারি চার্জ / Delivery</td><td class="num">${this.formatAmount(amounts.deliveryFee)}</td></tr>
+        <tr class="grand-total"><td>সর্বমোট / Total</td><td class="num">${this.formatAmount(amounts.total)}</td></tr>
+        ${amounts.advance > 0 ? `
+        <tr><td>অগ্রিম পরিশোধ / Paid in advance</td><td class="num">-${this.formatAmount(amounts.advance)}</td></tr>` : ''}
+        <tr class="due"><td>ডেলিভারিতে পরিশোধ / Due on delivery</td><td class="num">${this.formatAmount(amounts.due)}</td></tr>
+    </table>
+
+    <footer class="invoice-footer">
+        <p>${sanitizeHTML(shop.name)} থেকে কেনাকাটার জন্য ধন্যবাদ! ডেলিভারির ${formatNumber(APP_CONFIG.returns.windowDays)} দিনের মধ্যে রিটার্ন বা এক্সচেঞ্জ করা যাবে।</p>
+        <p>Thank you for shopping with ${sanitizeHTML(shop.name)}.</p>
+    </footer>
+</div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Styles embedded in the invoice document
+     * @returns {string} CSS
+     */
+    getStyles() {
+        return `
+@page { size: A4; margin: 12mm; }
+* { box-sizing: border-box; margin: 0; padding: 0; }
+body { font-family: 'Noto Sans Bengali', 'Hind Siliguri', 'Nunito', sans-serif; font-size: 12px; color: #222; background: #fff; }
+.invoice { width: 100%; max-width: 794px; margin: 0 auto; padding: 32px; }
+.invoice-header { display: flex; justify-content: space-between; gap: 24px; padding-bottom: 16px; border-bottom: 3px solid #FF6B9D; }
+.invoice-header h1 { font-size: 24px; color: #FF6B9D; margin-bottom: 4px; }
+.invoice-meta { text-align: right; }
+.invoice-meta h2 { font-size: 18px; margin-bottom: 6px; }
+.invoice-meta span { color: #666; }
+.invoice-parties { display: flex; justify-content: space-between; gap: 24px; margin: 20px 0; }
+.invoice-parties h3 { font-size: 12px; text-transform: uppercase; color: #666; margin-bottom: 4px; }
+p { line-height: 1.5; }
+table { width: 100%; border-collapse: collapse; }
+.invoice-items th { background: #f5f5f5; text-align: left; font-size: 11px; }
+.invoice-items th, .invoice-items td { padding: 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+.invoice-items tr { page-break-inside: avoid; }
+.num { text-align: right; white-space: nowrap; }
+.amount-en, .sku { display: block; font-size: 10px; color: #777; }
+.invoice-totals { width: 60%; margin: 16px 0 0 auto; }
+.invoice-totals td { padding: 6px 8px; }
+.invoice-totals .grand-total td { border-top: 2px solid #222; font-weight: bold; font-size: 14px; }
+.invoice-totals .due td { font-weight: bold; }
+.invoice-footer { margin-top: 32px; padding-top: 12px; border-top: 1px solid #ddd; text-align: center; color: #666; }
+@media print { .invoice { padding: 0; } }
+`;
+    }
+
+    /**
+     * Load a document into a hidden iframe
+     * @param {string} html - HTML document
+     * @returns {Promise<HTMLIFrameElement>} Loaded iframe
+     */
+    loadFrame(html) {
+        return new Promise(resolve => {
+            const frame = document.createElement('iframe');
+            frame.className = 'invoice-frame';
+            frame.setAttribute('aria-hidden', 'true');
+            frame.style.cssText = `position: fixed; right: 0; bottom: 0; width: ${this.pageWidthPx}px; height: 0; border: 0; visibility: hidden;`;
+            frame.onload = () => resolve(frame);
+            frame.srcdoc = html;
+            document.body.appendChild(frame);
+        });
+    }
+
+    /**
+     * Print an order's invoice
+     * @param {Object} order - Order
+     */
+    async print(order) {
+        const frame = await this.loadFrame(this.render(order));
+        const frameWindow = frame.contentWindow;
+
+        frameWindow.addEventListener('afterprint', () => frame.remove());
+        frameWindow.focus();
+        frameWindow.print();
+    }
+
+    /**
+     * Draw an order's invoice onto a canvas. Text is drawn with installed
+     * fonts only (see the class comment).
+     * @param {Object} order - Order
+     * @param {number} scale - Pixel density of the canvas
+     * @returns {Promise<HTMLCanvasElement>} Canvas with the whole invoice
+     */
+    async renderToCanvas(order, scale = 2) {
+        const frame = await this.loadFrame(this.render(order));
+        const width = this.pageWidthPx;
+        const height = frame.contentDocument.documentElement.scrollHeight;
+        const markup = new XMLSerializer().serializeToString(frame.contentDocument.documentElement);
+        frame.remove();
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+            `<foreignObject width="100%" height="100%">${markup}</foreignObject></svg>`;
+
+        const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Invoice could not be drawn'));
+            img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+
+        const context = canvas.getContext('2d');
+        // JPEG has no transparency; paint the page white first
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        return canvas;
+    }
+
+    /**
+     * Cut a tall canvas into A4-proportioned JPEG pages
+     * @param {HTMLCanvasElement} canvas - Whole invoice
+     * @returns {Array} `{ jpeg, width, height }` per page, `jpeg` as bytes
+     */
+    splitIntoPages(canvas) {
+        const pageHeight = Math.floor(canvas.width * this.pdfPageHeight / this.pdfPageWidth);
+        const pages = [];
+
+        for (let top = 0; top < canvas.height; top += pageHeight) {
+            const page = document.createElement('canvas');
+            page.width = canvas.width;
+            page.height = Math.min(pageHeight, canvas.height - top);
+            page.getContext('2d').drawImage(canvas, 0, top, page.width, page.height, 0, 0, page.width, page.height);
+
+            const base64 = page.toDataURL('image/jpeg', 0.92).split(',')[1];
+            const binary = atob(base64);
+            const jpeg = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                jpeg[i] = binary.charCodeAt(i);
+            }
+
+            pages.push({ jpeg: jpeg, width: page.width, height: page.height });
+        }
+
+        return pages;
+    }
+
+    /**
+     * Build a PDF with one full-width JPEG image per A4 page
+     * @param {Array} pages - Pages from splitIntoPages
+     * @returns {Blob} PDF file
+     */
+    buildPdf(pages) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (part) => {
+            const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const beginObject = (id) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+        };
+
+        const objectCount = 2 + pages.length * 3;
+        const width = this.pdfPageWidth;
+        const height = this.pdfPageHeight;
+
+        write('%PDF-1.4\n');
+
+        beginObject(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+        beginObject(2);
+        write(`<< /Type /Pages /Kids [${pages.map((page, index) => `${3 + index * 3} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+
+        pages.forEach((page, index) => {
+            const pageId = 3 + index * 3;
+            const drawHeight = width * page.height / page.width;
+            const content = `q ${width} 0 0 ${drawHeight.toFixed(2)} 0 ${(height - drawHeight).toFixed(2)} cm /Im0 Do Q`;
+
+            beginObject(pageId);
+            write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+                `/Resources << /XObject << /Im0 ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>\nendobj\n`);
+
+            beginObject(pageId + 1);
+            write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+            beginObject(pageId + 2);
+            write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+            write(page.jpeg);
+            write('\nendstream\nendobj\n');
+        });
+
+        const xrefOffset = length;
+        write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+        for (let id = 1; id <= objectCount; id++) {
+            write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    /**
+     * Generate an order's invoice as a PDF and download it
+     * @param {Object} order - Order
+     * @param {HTMLButtonElement} button - Button to show progress on
+     */
+    async downloadPdf(order, button) {
+        const originalText = button ? button.innerHTML : '';
+        if (button) {
+            button.innerHTML = '<div class="spinner"></div> তৈরি হচ্ছে...';
+            button.disabled = true;
+        }
+
+        try {
+            const canvas = await this.renderToCanvas(order);
+            const pdf = this.buildPdf(this.splitIntoPages(canvas));
+            this.download(pdf, `${this.getInvoiceNumber(order)}.pdf`);
+        } catch (error) {
+            // Browsers that refuse to export the drawn invoice can still save it from the print dialog
+            console.error('Invoice PDF error:', error);
+            showNotification('PDF তৈরি করা যায়নি। প্রিন্ট উইন্ডো থেকে "Save as PDF" নির্বাচন করুন।', 'warning');
+            this.print(order);
+        } finally {
+            if (button) {
+                button.innerHTML = originalText;
+                button.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Save a file to the user's device
+     * @param {Blob} blob - File contents
+     * @param {string} filename - File name
+     */
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Create global invoice generator instance
+const invoiceGenerator = new InvoiceGenerator();
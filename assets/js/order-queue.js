@@ -0,0 +1,224 @@
+// ===== TinyStepsBD Offline Order Queue =====
+// Shared by the pages and the service worker (via importScripts), so this file
+// must not touch `window` or `document`.
+
+class OrderQueue {
+    constructor() {
+        this.dbName = 'tinystepsbd-offline';
+        this.storeName = 'order-queue';
+        // Results of replays, kept until a page has applied them to the order history
+        this.outcomeStoreName = 'order-outcomes';
+        this.syncTag = 'tinystepsbd-order-sync';
+        // How long an entry being sent is left alone by other replays (ms)
+        this.claimTimeout = 2 * 60 * 1000;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check if IndexedDB is available in this context
+     * @returns {boolean} True if supported
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create if needed) the queue database
+     * @returns {Promise<IDBDatabase>} Database handle
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 2);
+
+                request.onupgradeneeded = (event) => {
+                    if (event.oldVersion < 1) {
+                        request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                    }
+                    if (event.oldVersion < 2) {
+                        request.result.createObjectStore(this.outcomeStoreName, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let a newer version in a page or the worker upgrade the schema
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run requests against one or more stores in a single transaction
+     * @param {string} mode - Transaction mode
+     * @param {Function} operation - Receives the object store (or stores, in
+     *     the order named), may return an IDBRequest
+     * @param {string|Array} storeNames - Stores to use (defaults to the queue)
+     * @returns {Promise<*>} Result of the returned request
+     */
+    async withStore(mode, operation, storeNames = this.storeName) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const names = [].concat(storeNames);
+            const transaction = db.transaction(names, mode);
+            const stores = names.map(name => transaction.objectStore(name));
+            const request = operation(...stores);
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Queue a POST request for later replay
+     * @param {Object} entry - `{ id, url, options, orderData }`
+     * @returns {Promise<Object>} Stored entry
+     */
+    async enqueue(entry) {
+        const record = { ...entry, queuedAt: new Date().toISOString() };
+        await this.withStore('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * Get all queued entries, oldest first
+     * @returns {Promise<Array>} Queued entries
+     */
+    async getAll() {
+        const entries = await this.withStore('readonly', store => store.getAll());
+        return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    }
+
+    /**
+     * Remove an entry from the queue
+     * @param {string} id - Entry ID
+     */
+    async remove(id) {
+        await this.withStore('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Mark an entry as being sent, unless another page or the worker is
+     * already sending it. The check and the mark share one transaction, so
+     * only one replay can win. A claim left by a closed page runs out after
+     * `claimTimeout`.
+     * @param {string} id - Entry ID
+     * @returns {Promise<boolean>} True if this replay may send the entry
+     */
+    async claim(id) {
+        const now = Date.now();
+        let claimed = false;
+
+        await this.withStore('readwrite', store => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                const entry = request.result;
+                if (!entry || (entry.claimedAt && now - entry.claimedAt < this.claimTimeout)) return;
+
+                store.put({ ...entry, claimedAt: now });
+                claimed = true;
+            };
+        });
+
+        return claimed;
+    }
+
+    /**
+     * Give up a claim so the entry is sent by the next replay
+     * @param {string} id - Entry ID
+     */
+    async release(id) {
+        await this.withStore('readwrite', store => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) {
+                    store.put({ ...request.result, claimedAt: null });
+                }
+            };
+        });
+    }
+
+    /**
+     * Remove an answered entry and record its outcome in one step, so an
+     * order is never both sent and still queued
+     * @param {Object} outcome - `{ id, success, result|error }`
+     */
+    async settle(outcome) {
+        await this.withStore('readwrite', (queue, outcomes) => {
+            queue.delete(outcome.id);
+            outcomes.put({ ...outcome, settledAt: new Date().toISOString() });
+        }, [this.storeName, this.outcomeStoreName]);
+    }
+
+    /**
+     * Get the outcomes no page has applied yet
+     * @returns {Promise<Array>} Outcomes, oldest first
+     */
+    async getOutcomes() {
+        const outcomes = await this.withStore('readonly', store => store.getAll(), this.outcomeStoreName);
+        return outcomes.sort((a, b) => a.settledAt.localeCompare(b.settledAt));
+    }
+
+    /**
+     * Forget outcomes once they are applied to the order history
+     * @param {Array} ids - Entry IDs
+     */
+    async removeOutcomes(ids) {
+        if (ids.length === 0) return;
+
+        await this.withStore('readwrite', store => {
+            ids.forEach(id => store.delete(id));
+        }, this.outcomeStoreName);
+    }
+
+    /**
+     * Replay every queued request.
+     * Entries the backend answers (accepted or rejected) move from the queue
+     * to the outcome store, where they stay until a page applies them even
+     * if no page was open at the time. Entries that fail on the network stay
+     * queued and the error is rethrown so a background sync is retried by
+     * the browser. Entries another replay is sending are skipped.
+     * @returns {Promise<Array>} `{ id, success, result|error }` per replayed entry
+     */
+    async replay() {
+        const entries = await this.getAll();
+        const outcomes = [];
+        let networkError = null;
+
+        for (const entry of entries) {
+            if (!await this.claim(entry.id)) continue;
+
+            try {
+                const response = await fetch(entry.url, entry.options);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                const result = await response.json();
+                const outcome = result.success ?
+                    { id: entry.id, success: true, result } :
+                    { id: entry.id, success: false, error: result.error || 'Order rejected' };
+                await this.settle(outcome);
+                outcomes.push(outcome);
+            } catch (error) {
+                networkError = error;
+                // If this fails too, the claim simply runs out
+                await this.release(entry.id).catch(() => {});
+            }
+        }
+
+        if (networkError && outcomes.length === 0) {
+            throw networkError;
+        }
+
+        return outcomes;
+    }
+}
+
+// Create global order queue instance
+const orderQueue = new OrderQueue();
@@ -0,0 +1,1270 @@
+// ===== TinyStepsBD Order History =====
+
+/**
+ * Order statuses the backend may report, with the filter tab each belongs to
+ */
+const ORDER_STATUSES = {
+    pending: { label: 'পেন্ডিং', group: 'pending' },
+    confirmed: { label: 'কনফার্মড', group: 'processing' },
+    processing: { label: 'প্রসেসিং', group: 'processing' },
+    shipped: { label: 'শিপড', group: 'processing' },
+    delivered: { label: 'ডেলিভার্ড', group: 'delivered' },
+    cancelled: { label: 'ক্যান্সেল্ড', group: 'cancelled' },
+    // Any status this version does not know yet; locked like processing
+    unknown: { label: 'আপডেট হচ্ছে', group: 'processing' }
+};
+
+/**
+ * Stages shown in the tracking timeline and the statuses that reach each one
+ */
+const TRACKING_STAGES = [
+    { statuses: ['pending'], title: 'অর্ডার প্লেসড', description: 'আপনার অর্ডার সফলভাবে গ্রহণ করা হয়েছে', icon: 'fas fa-check' },
+    { statuses: ['confirmed', 'processing', 'unknown'], title: 'প্রসেসিং', description: 'আপনার অর্ডার প্রসেস হচ্ছে', icon: 'fas fa-cog' },
+    { statuses: ['shipped'], title: 'শিপড', description: 'আপনার অর্ডার শিপ করা হয়েছে', icon: 'fas fa-shipping-fast' },
+    { statuses: ['delivered'], title: 'ডেলিভার্ড', description: 'আপনার অর্ডার ডেলিভার করা হয়েছে', icon: 'fas fa-check-circle' }
+];
+
+/**
+ * Customer's order history.
+ *
+ * Every order placed from this browser is kept in the local cache database
+ * (one record per order), newest first.
+ * Statuses are refreshed from the backend by order ID and phone number
+ * whenever the orders page is opened.
+ */
+class OrdersManager {
+    constructor() {
+        this.maxOrders = 50;
+        this.orders = [];
+        this.ready = null;
+        this.currentFilter = 'all';
+        this.searchQuery = '';
+        this.isRefreshing = false;
+        this.trackingOrderId = null;
+        this.trackingTimer = null;
+        this.trackingPollInterval = APP_CONFIG.orders.trackingPollInterval;
+        this.lookupKey = 'tinystepsbd_order_lookups';
+        this.init();
+    }
+
+    /**
+     * Initialize orders manager
+     */
+    init() {
+        this.ready = this.loadOrders().then(() => this.importLastOrder());
+        this.bindEvents();
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.addEventListener('DOMContentLoaded', () => {
+            if (this.isOrdersPage()) {
+                this.ready.then(() => {
+                    this.renderOrders();
+                    this.refreshStatuses();
+                });
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            const filterButton = e.target.closest('.filter-btn[data-filter]');
+            const trackButton = e.target.closest('.track-order-btn');
+
+            const cancelButton = e.target.closest('.cancel-order-btn');
+            const modifyButton = e.target.closest('.modify-order-btn');
+
+            if (filterButton) {
+                this.setFilter(filterButton.dataset.filter);
+            } else if (trackButton) {
+                this.openTracking(trackButton.dataset.orderId);
+            } else if (cancelButton) {
+                this.openChangeModal(cancelButton.dataset.orderId, 'cancel');
+            } else if (modifyButton) {
+                this.openChangeModal(modifyButton.dataset.orderId, 'modify');
+            } else if (e.target.closest('#tracking-modal .modal-close') || e.target.id === 'tracking-modal') {
+                this.closeTracking();
+            } else if (e.target.closest('#order-change-modal .modal-close') || e.target.id === 'order-change-modal') {
+                this.closeChangeModal();
+            }
+        });
+
+        // Keep the changed total up to date while editing an order
+        ['input', 'change'].forEach(type => {
+            document.addEventListener(type, (e) => {
+                const form = e.target.closest && e.target.closest('#order-change-form');
+                if (form && form.dataset.mode === 'modify') {
+                    this.updateChangeSummary(form);
+                }
+            });
+        });
+
+        document.addEventListener('submit', (e) => {
+            if (e.target.id === 'order-lookup-form') {
+                e.preventDefault();
+                this.handleLookupSubmit(e.target);
+            } else if (e.target.id === 'order-change-form') {
+                e.preventDefault();
+                this.handleChangeSubmit(e.target);
+            }
+        });
+
+        document.addEventListener('input', debounce((e) => {
+            if (e.target.id === 'order-search') {
+                this.setSearchQuery(e.target.value);
+            }
+        }, 250));
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeTracking();
+                this.closeChangeModal();
+            }
+        });
+
+        // Offline orders get their real IDs once they reach the backend
+        window.addEventListener('ordersSynced', (event) => {
+            this.handleOrdersSynced(event.detail);
+        });
+
+        // Orders placed in another tab
+        window.addEventListener('cacheChanged', async (e) => {
+            if (e.detail.store !== 'orders') return;
+
+            await this.loadOrders();
+            if (this.isOrdersPage()) {
+                this.renderOrders();
+            }
+        });
+    }
+
+    /**
+     * Check if current page is the orders page
+     * @returns {boolean} True if orders page
+     */
+    isOrdersPage() {
+        return window.location.pathname.includes('orders.html');
+    }
+
+    /**
+     * Load order history from the cache
+     */
+    async loadOrders() {
+        try {
+            const records = await cacheDB.getAll('orders');
+            this.orders = records
+                .map(record => ({ ...record.value, status: this.normalizeStatus(record.value.status || 'pending') }))
+                .sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate));
+        } catch (error) {
+            console.error('Error loading orders:', error);
+            this.orders = [];
+        }
+    }
+
+    /**
+     * Save order history to the cache, dropping records of trimmed orders
+     * @returns {Promise} Resolves once saved
+     */
+    async saveOrders() {
+        try {
+            await cacheDB.replaceAll('orders', this.orders.map(order => ({
+                key: String(order.orderId),
+                value: order
+            })));
+        } catch (error) {
+            console.error('Error saving orders:', error);
+        }
+    }
+
+    /**
+     * Seed the history with the order saved before history was kept
+     * @returns {Promise|undefined} Resolves once saved, if anything was imported
+     */
+    importLastOrder() {
+        if (this.orders.length > 0) return;
+
+        try {
+            const lastOrder = JSON.parse(localStorage.getItem('last_order'));
+            if (lastOrder && lastOrder.orderId) {
+                this.insertOrder(lastOrder);
+                return this.saveOrders();
+            }
+        } catch (error) {
+            // Nothing to import
+        }
+    }
+
+    /**
+     * Add or replace an order in the history
+     * @param {Object} order - Order confirmation data from checkout
+     * @returns {Promise} Resolves once the order is saved
+     */
+    async addOrder(order) {
+        // Saving before the history has loaded would drop the older orders
+        await this.ready;
+
+        this.insertOrder(order);
+        await this.saveOrders();
+        this.dispatchOrdersUpdatedEvent();
+    }
+
+    /**
+     * Put an order into the in-memory history, newest first
+     * @param {Object} order - Order confirmation data
+     */
+    insertOrder(order) {
+        const record = {
+            ...order,
+            // Orders just placed here have no status from the backend yet
+            status: this.normalizeStatus(order.status || 'pending'),
+            statusUpdatedAt: order.statusUpdatedAt || order.orderDate || new Date().toISOString()
+        };
+
+        this.orders = [record, ...this.orders.filter(existing => existing.orderId !== record.orderId)]
+            .sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate))
+            .slice(0, this.maxOrders);
+    }
+
+    /**
+     * Get an order from the history
+     * @param {string} orderId - Order ID
+     * @returns {Object|null} Order
+     */
+    getOrder(orderId) {
+        return this.orders.find(order => order.orderId === orderId) || null;
+    }
+
+    /**
+     * Update an order in the history
+     * @param {string} orderId - Order ID
+     * @param {Object} changes - Fields to change
+     */
+    updateOrder(orderId, changes) {
+        const order = this.getOrder(orderId);
+        if (!order) return;
+
+        Object.assign(order, changes);
+        this.saveOrders();
+        this.dispatchOrdersUpdatedEvent();
+    }
+
+    /**
+     * Map a backend status onto a known status. Anything unrecognised
+     * becomes 'unknown', which cannot be cancelled or changed, so a new
+     * backend status never unlocks an order.
+     * @param {string} status - Status as reported by the backend
+     * @returns {string} Known status ID
+     */
+    normalizeStatus(status) {
+        const normalized = String(status || '').trim().toLowerCase().replace('canceled', 'cancelled');
+        return ORDER_STATUSES[normalized] ? normalized : 'unknown';
+    }
+
+    /**
+     * Check if an order can still change status
+     * @param {Object} order - Order
+     * @returns {boolean} True unless delivered or cancelled
+     */
+    isOpen(order) {
+        return !['delivered', 'cancelled'].includes(order.status);
+    }
+
+    /**
+     * Refresh the status of every open order from the backend
+     * @returns {Promise<number>} Number of orders whose status changed
+     */
+    async refreshStatuses() {
+        if (this.isRefreshing) return 0;
+
+        const orders = this.orders.filter(order =>
+            !this.isLocalOnly(order) && (this.isOpen(order) || returnsManager.isOpen(order.returnRequest))
+        );
+        if (orders.length === 0) return 0;
+
+        this.isRefreshing = true;
+        let changed = 0;
+
+        try {
+            for (const order of orders) {
+                // Status checks of known orders do not count as lookups
+                const remote = await dataManager.fetchOrderStatus(order.orderId, order.phone);
+                if (!remote) continue;
+
+                const status = this.normalizeStatus(remote.status);
+                if (status !== order.status) {
+                    order.status = status;
+                    order.statusUpdatedAt = remote.updated_at || new Date().toISOString();
+                    changed++;
+                }
+
+                if (returnsManager.applyRemoteReturn(order, remote.return_request)) {
+                    changed++;
+                }
+            }
+        } catch (error) {
+            console.warn('Order statuses could not be refreshed:', error);
+        } finally {
+            this.isRefreshing = false;
+        }
+
+        if (changed > 0) {
+            this.saveOrders();
+            this.dispatchOrdersUpdatedEvent();
+            if (this.isOrdersPage()) {
+                this.renderOrders();
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Settle offline orders once they were sent: accepted ones get the IDs
+     * the backend assigned, rejected ones are marked cancelled. The outcomes
+     * are then dropped from the order queue.
+     * @param {Object} data - `{ outcomes }` from the order queue replay
+     */
+    async handleOrdersSynced(data) {
+        await this.ready;
+        let changed = false;
+
+        data.outcomes.forEach(outcome => {
+            const order = this.getOrder(outcome.id);
+            if (!order || !order.queued) return;
+
+            const orderId = outcome.success && outcome.result && outcome.result.data && outcome.result.data.order_id;
+            if (orderId) {
+                order.orderId = String(orderId);
+            } else {
+                order.status = 'cancelled';
+                order.rejected = true;
+            }
+            order.queued = false;
+            changed = true;
+        });
+
+        if (changed) {
+            await this.saveOrders();
+            this.dispatchOrdersUpdatedEvent();
+            if (this.isOrdersPage()) {
+                this.renderOrders();
+            }
+        }
+
+        try {
+            await orderQueue.removeOutcomes(data.outcomes.map(outcome => outcome.id));
+        } catch (error) {
+            console.warn('Order queue outcomes could not be cleared:', error);
+        }
+    }
+
+    /**
+     * Check if an order only exists in this browser: still queued, or
+     * refused by the backend when the queue was sent
+     * @param {Object} order - Order
+     * @returns {boolean} True if the backend does not know the order
+     */
+    isLocalOnly(order) {
+        return Boolean(order.queued || order.rejected);
+    }
+
+    /**
+     * Convert an order record from the backend to the shape kept in history
+     * @param {Object} remote - Backend order record
+     * @param {string} phone - Phone number the customer looked the order up with
+     * @returns {Object} Order
+     */
+    fromRemoteOrder(remote, phone) {
+        return {
+            orderId: String(remote.order_id),
+            customerName: remote.customer_name || '',
+            phone: phone,
+            address: remote.address || '',
+            totalAmount: Number(remote.total_amount) || 0,
+            deliveryFee: Number(remote.delivery_fee) || 0,
+            items: Array.isArray(remote.products) ? remote.products : [],
+            paymentMethod: remote.payment_method || '',
+            paymentStatus: remote.payment_status || '',
+            advanceAmount: Number(remote.advance_amount) || 0,
+            dueAmount: Number(remote.due_amount) || 0,
+            couponCode: remote.coupon_code || '',
+            couponDiscount: Number(remote.coupon_discount) || 0,
+            deliverySpeed: remote.delivery_speed || 'standard',
+            location: {
+                division: remote.division || '',
+                district: remote.district || '',
+                upazila: remote.upazila || '',
+                address: remote.address_line || ''
+            },
+            orderDate: remote.created_at || new Date().toISOString(),
+            status: this.normalizeStatus(remote.status),
+            statusUpdatedAt: remote.updated_at,
+            consignmentId: remote.consignment_id || '',
+            courier: remote.courier || '',
+            returnRequest: remote.return_request ? returnsManager.fromRemoteReturn(remote.return_request) : null,
+            queued: false
+        };
+    }
+
+    /**
+     * Get this browser's failed lookups within the rate limit window.
+     * The count lives in localStorage, so it is a courtesy to the customer,
+     * not a protection: clearing storage resets it. Guessing is stopped by
+     * the backend, which answers `rate_limited` once its own limit is hit.
+     * @returns {Array<number>} Attempt timestamps
+     */
+    getFailedLookups() {
+        const since = Date.now() - APP_CONFIG.orders.lookupWindowMinutes * 60 * 1000;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.lookupKey));
+            return Array.isArray(saved) ? saved.filter(time => time > since) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Record a lookup that matched no order
+     */
+    recordFailedLookup() {
+        const attempts = [...this.getFailedLookups(), Date.now()];
+        localStorage.setItem(this.lookupKey, JSON.stringify(attempts));
+    }
+
+    /**
+     * Get how long until another lookup is allowed
+     * @returns {number} Minutes to wait, 0 if a lookup is allowed now
+     */
+    getLookupWaitMinutes() {
+        const attempts = this.getFailedLookups();
+        if (attempts.length < APP_CONFIG.orders.lookupLimit) return 0;
+
+        const windowMs = APP_CONFIG.orders.lookupWindowMinutes * 60 * 1000;
+        const oldest = Math.min(...attempts);
+        return Math.max(1, Math.ceil((oldest + windowMs - Date.now()) / 60000));
+    }
+
+    /**
+     * Look up an order placed on another device
+     * @param {HTMLFormElement} form - Lookup form
+     */
+    async handleLookupSubmit(form) {
+        const formData = new FormData(form);
+        const orderId = String(formData.get('order_id') || '').trim();
+        const phone = String(formData.get('phone') || '').trim();
+        const submitBtn = form.querySelector('.order-lookup-btn');
+        const result = document.getElementById('order-lookup-result');
+
+        this.showLookupError('');
+        if (result) result.innerHTML = '';
+
+        if (!orderId) {
+            this.showLookupError('অর্ডার আইডি লিখুন');
+            return;
+        }
+
+        if (!validatePhone(phone)) {
+            this.showLookupError('সঠিক মোবাইল নম্বর লিখুন (01XXXXXXXXX)');
+            return;
+        }
+
+        const waitMinutes = this.getLookupWaitMinutes();
+        if (waitMinutes > 0) {
+            this.showLookupError(`অনেকবার ভুল তথ্য দেওয়া হয়েছে। ${formatNumber(waitMinutes)} মিনিট পর আবার চেষ্টা করুন।`);
+            return;
+        }
+
+        const originalText = submitBtn.innerHTML;
+        submitBtn.innerHTML = '<div class="spinner"></div> খোঁজা হচ্ছে...';
+        submitBtn.disabled = true;
+
+        try {
+            const remote = await dataManager.fetchOrder(orderId, phone);
+
+            if (!remote) {
+                this.recordFailedLookup();
+                this.showLookupError('এই অর্ডার আইডি ও মোবাইল নম্বরে কোনো অর্ডার পাওয়া যায়নি।');
+                return;
+            }
+
+            const order = this.fromRemoteOrder(remote, phone);
+            await this.addOrder(order);
+            this.renderOrders();
+
+            if (result) {
+                result.innerHTML = this.createOrderCard(this.getOrder(order.orderId));
+            }
+
+            form.reset();
+            this.openTracking(order.orderId);
+
+        } catch (error) {
+            console.error('Order lookup error:', error);
+            this.showLookupError(error.code === 'rate_limited' ?
+                error.message :
+                'অর্ডার খুঁজতে সমস্যা হচ্ছে। ইন্টারনেট কানেকশন চেক করে আবার চেষ্টা করুন।');
+        } finally {
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show or clear the lookup form's error message
+     * @param {string} message - Error message, empty to clear
+     */
+    showLookupError(message) {
+        const element = document.getElementById('order-lookup-error');
+        if (!element) return;
+
+        element.textContent = message;
+        element.style.display = message ? '' : 'none';
+    }
+
+    /**
+     * Set the active status filter
+     * @param {string} filter - 'all' or a status group
+     */
+    setFilter(filter) {
+        this.currentFilter = filter || 'all';
+
+        document.querySelectorAll('.filter-btn[data-filter]').forEach(button => {
+            button.classList.toggle('active', button.dataset.filter === this.currentFilter);
+        });
+
+        this.renderOrders();
+    }
+
+    /**
+     * Set the search query
+     * @param {string} query - Order ID, phone, name or product
+     */
+    setSearchQuery(query) {
+        this.searchQuery = String(query || '').trim().toLowerCase();
+        this.renderOrders();
+    }
+
+    /**
+     * Get orders matching the active filter and search query
+     * @returns {Array} Orders
+     */
+    getFilteredOrders() {
+        const query = this.searchQuery;
+        const phoneQuery = query.replace(/\D/g, '');
+
+        return this.orders.filter(order => {
+            if (this.currentFilter !== 'all' && ORDER_STATUSES[order.status].group !== this.currentFilter) {
+                return false;
+            }
+
+            if (!query) return true;
+
+            return String(order.orderId).toLowerCase().includes(query) ||
+                String(order.customerName || '').toLowerCase().includes(query) ||
+                (phoneQuery.length >= 4 && normalizePhone(order.phone).includes(phoneQuery)) ||
+                (order.items || []).some(item => String(item.product_name || '').toLowerCase().includes(query));
+        });
+    }
+
+    /**
+     * Render the order list
+     */
+    renderOrders() {
+        const list = document.querySelector('.orders-list');
+        const container = document.getElementById('orders-container');
+        const emptyState = list ? list.querySelector('.no-orders') : null;
+        if (!container) return;
+
+        if (emptyState) {
+            emptyState.style.display = this.orders.length === 0 ? '' : 'none';
+        }
+
+        if (this.orders.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const orders = this.getFilteredOrders();
+
+        if (orders.length === 0) {
+            container.innerHTML = `
+                <div class="no-results">
+                    <i class="fas fa-search"></i>
+                    <p>এই ফিল্টারে কোনো অর্ডার পাওয়া যায়নি।</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = orders.map(order => this.createOrderCard(order)).join('');
+    }
+
+    /**
+     * Create the HTML for one order
+     * @param {Object} order - Order
+     * @returns {string} Order card HTML
+     */
+    createOrderCard(order) {
+        const status = ORDER_STATUSES[order.status];
+        const orderId = sanitizeHTML(order.orderId);
+        const items = order.items || [];
+
+        return `
+            <div class="order-card" data-order-id="${orderId}">
+                <div class="order-card-header">
+                    <div>
+                        <div class="order-id">অর্ডার #: <strong>${orderId}</strong></div>
+                        <div class="order-date">${formatDate(new Date(order.orderDate))}</div>
+                    </div>
+                    <span class="order-status status-${status.group}">${status.label}</span>
+                </div>
+                <div class="order-card-items">
+                    ${items.map(item => `
+                        <div class="order-card-item">
+                            <span>${sanitizeHTML(item.product_name)}${item.size ? ` (${sanitizeHTML(item.size)})` : ''} × ${formatNumber(item.quantity)}</span>
+                            <span>${formatPrice(item.price * item.quantity)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                ${returnsManager.createReturnSummary(order)}
+                <div class="order-card-footer">
+                    <div class="order-total">
+                        মোট: <strong>${formatPrice(order.totalAmount)}</strong>
+                        ${order.paymentMethod ? `<span class="order-payment">${sanitizeHTML(order.paymentMethod)}</span>` : ''}
+                        ${order.queued ? '<span class="order-queued">ইন্টারনেট ফিরলে পাঠানো হবে</span>' : ''}
+                        ${order.rejected ? '<span class="order-queued">অর্ডারটি গ্রহণ করা যায়নি</span>' : ''}
+                    </div>
+                    <div class="order-card-actions">
+                        ${this.canChange(order) ? `
+                            <button type="button" class="btn btn-secondary modify-order-btn" data-order-id="${orderId}">
+                                <i class="fas fa-edit"></i> পরিবর্তন করুন
+                            </button>
+                            <button type="button" class="btn btn-secondary cancel-order-btn" data-order-id="${orderId}">
+                                <i class="fas fa-times"></i> বাতিল করুন
+                            </button>
+                        ` : ''}
+                        ${returnsManager.createReturnButton(order)}
+                        ${this.isLocalOnly(order) ? '' : `
+                            <button type="button" class="btn btn-secondary print-invoice-btn" data-order-id="${orderId}">
+                                <i class="fas fa-file-invoice"></i> ইনভয়েস
+                            </button>
+                            <button type="button" class="btn btn-secondary download-invoice-btn" data-order-id="${orderId}">
+                                <i class="fas fa-file-pdf"></i> PDF
+                            </button>
+                        `}
+                        <button type="button" class="btn btn-secondary track-order-btn" data-order-id="${orderId}">
+                            <i class="fas fa-map-marker-alt"></i> ট্র্যাক করুন
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Open the tracking modal for an order
+     * @param {string} orderId - Order ID
+     */
+    openTracking(orderId) {
+        const order = this.getOrder(orderId);
+        const modal = document.getElementById('tracking-modal');
+        if (!order || !modal) return;
+
+        this.trackingOrderId = order.orderId;
+        document.getElementById('tracking-order-id').textContent = order.orderId;
+        document.getElementById('tracking-order-date').textContent = formatDate(new Date(order.orderDate));
+
+        // Show what we know locally until the backend answers
+        this.renderTracking(order, null);
+
+        modal.classList.add('active');
+        document.body.classList.add('modal-open');
+
+        this.loadTracking();
+        this.startTrackingPoll();
+    }
+
+    /**
+     * Fetch the tracked order's status history and render it
+     * @returns {Promise<Object|null>} Tracking data, or null if unavailable
+     */
+    async loadTracking() {
+        const order = this.getOrder(this.trackingOrderId);
+        if (!order || this.isLocalOnly(order)) return null;
+
+        try {
+            const tracking = await dataManager.fetchOrderStatus(order.orderId, order.phone);
+
+            // The modal may have been closed or switched to another order meanwhile
+            if (!tracking || this.trackingOrderId !== order.orderId) return null;
+
+            this.applyTracking(order, tracking);
+            return tracking;
+        } catch (error) {
+            console.warn('Order status could not be loaded:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a fetched status on the order and show it
+     * @param {Object} order - Order
+     * @param {Object} tracking - Response from DataManager.fetchOrderStatus
+     */
+    applyTracking(order, tracking) {
+        const status = this.normalizeStatus(tracking.status);
+
+        if (status !== order.status || tracking.consignment_id !== order.consignmentId) {
+            this.updateOrder(order.orderId, {
+                status: status,
+                statusUpdatedAt: tracking.updated_at || order.statusUpdatedAt,
+                consignmentId: tracking.consignment_id || '',
+                courier: tracking.courier || ''
+            });
+            this.renderOrders();
+        }
+
+        this.renderTracking(order, tracking);
+
+        if (!this.isOpen(order)) {
+            this.stopTrackingPoll();
+        }
+    }
+
+    /**
+     * Re-check the tracked order while the modal stays open
+     */
+    startTrackingPoll() {
+        this.stopTrackingPoll();
+
+        if (!this.trackingPollInterval) return;
+
+        this.trackingTimer = setInterval(() => {
+            if (!document.hidden) {
+                this.loadTracking();
+            }
+        }, this.trackingPollInterval);
+    }
+
+    /**
+     * Stop re-checking the tracked order
+     */
+    stopTrackingPoll() {
+        if (this.trackingTimer) {
+            clearInterval(this.trackingTimer);
+            this.trackingTimer = null;
+        }
+    }
+
+    /**
+     * Get the timeline stage a status belongs to
+     * @param {string} status - Status ID
+     * @returns {number} Stage index, or -1 for statuses outside the timeline
+     */
+    getStageIndex(status) {
+        return TRACKING_STAGES.findIndex(stage => stage.statuses.includes(status));
+    }
+
+    /**
+     * Get the status history, oldest first
+     * @param {Object} order - Order
+     * @param {Object|null} tracking - Tracking data, if fetched
+     * @returns {Array} `{ status, timestamp, note }` entries
+     */
+    getStatusHistory(order, tracking) {
+        const history = tracking && Array.isArray(tracking.history) && tracking.history.length > 0 ?
+            tracking.history :
+            [{ status: 'pending', timestamp: order.orderDate }];
+
+        return history
+            .map(entry => ({ ...entry, status: this.normalizeStatus(entry.status) }))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Render the tracking timeline and courier details
+     * @param {Object} order - Order
+     * @param {Object|null} tracking - Tracking data, if fetched
+     */
+    renderTracking(order, tracking) {
+        const modal = document.getElementById('tracking-modal');
+        const timeline = modal ? modal.querySelector('.tracking-timeline') : null;
+        if (!timeline) return;
+
+        const status = tracking ? this.normalizeStatus(tracking.status) : order.status;
+        const history = this.getStatusHistory(order, tracking);
+        const stageEntries = TRACKING_STAGES.map(() => []);
+
+        history.forEach(entry => {
+            const index = this.getStageIndex(entry.status);
+            if (index >= 0) stageEntries[index].push(entry);
+        });
+
+        // A cancelled order shows how far it got before it was cancelled
+        const reached = status === 'cancelled' ?
+            Math.max(0, ...stageEntries.map((entries, index) => entries.length > 0 ? index : 0)) :
+            this.getStageIndex(status);
+
+        const items = TRACKING_STAGES.map((stage, index) => {
+            const entries = stageEntries[index];
+            const completed = index < reached || (index === reached && ['delivered', 'cancelled'].includes(status));
+            const active = index === reached && !completed;
+
+            if (status === 'cancelled' && index > reached) return '';
+
+            return this.createTimelineItem(stage, entries[0], entries[entries.length - 1], completed ? 'completed' : active ? 'active' : '');
+        });
+
+        if (status === 'cancelled') {
+            const cancelled = history.filter(entry => entry.status === 'cancelled');
+            const entry = cancelled[cancelled.length - 1];
+            items.push(this.createTimelineItem({
+                title: 'ক্যান্সেল্ড',
+                description: 'আপনার অর্ডারটি বাতিল করা হয়েছে',
+                icon: 'fas fa-times'
+            }, entry, entry, 'cancelled'));
+        }
+
+        timeline.innerHTML = items.join('');
+        this.renderConsignment(tracking ? tracking.consignment_id : order.consignmentId,
+            tracking ? tracking.courier : order.courier);
+    }
+
+    /**
+     * Create the HTML for one timeline stage
+     * @param {Object} stage - `{ title, description, icon }`
+     * @param {Object} first - First history entry for the stage (its time is shown)
+     * @param {Object} last - Latest history entry for the stage (its note is shown)
+     * @param {string} state - 'completed', 'active', 'cancelled' or ''
+     * @returns {string} Timeline item HTML
+     */
+    createTimelineItem(stage, first, last, state) {
+        const note = last && last.note ? `<p class="timeline-note">${sanitizeHTML(last.note)}</p>` : '';
+
+        return `
+            <div class="timeline-item ${state}">
+                <div class="timeline-marker">
+                    <i class="${stage.icon}"></i>
+                </div>
+                <div class="timeline-content">
+                    <h4>${stage.title}</h4>
+                    <p>${stage.description}</p>
+                    ${note}
+                    <span class="timeline-time">${first && first.timestamp ? formatDateTime(new Date(first.timestamp)) : '-'}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the courier consignment ID once the parcel is handed over
+     * @param {string} consignmentId - Courier consignment ID
+     * @param {string} courier - Courier name
+     */
+    renderConsignment(consignmentId, courier) {
+        const element = document.getElementById('tracking-consignment');
+        if (!element) return;
+
+        element.style.display = consignmentId ? '' : 'none';
+        document.getElementById('tracking-consignment-id').textContent = consignmentId ?
+            [courier, consignmentId].filter(Boolean).join(' - ') :
+            '';
+    }
+
+    /**
+     * Close the tracking modal
+     */
+    closeTracking() {
+        const modal = document.getElementById('tracking-modal');
+        if (!modal || !modal.classList.contains('active')) return;
+
+        this.stopTrackingPoll();
+        this.trackingOrderId = null;
+
+        modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+
+    /**
+     * Check if the customer may still cancel or change an order
+     * @param {Object} order - Order
+     * @returns {boolean} True while the order is pending and known to the backend
+     */
+    canChange(order) {
+        return order.status === 'pending' && !this.isLocalOnly(order);
+    }
+
+    /**
+     * Open the cancel or modify form for an order
+     * @param {string} orderId - Order ID
+     * @param {string} mode - 'cancel' or 'modify'
+     */
+    openChangeModal(orderId, mode) {
+        const order = this.getOrder(orderId);
+        const modal = document.getElementById('order-change-modal');
+        const form = document.getElementById('order-change-form');
+        if (!order || !modal || !form) return;
+
+        if (!this.canChange(order)) {
+            showNotification('অর্ডারটি প্রসেসিং শুরু হয়ে গেছে, এখন আর পরিবর্তন করা যাবে না।', 'error');
+            return;
+        }
+
+        form.dataset.orderId = order.orderId;
+        form.dataset.mode = mode;
+        document.getElementById('order-change-title').textContent = mode === 'cancel' ? 'অর্ডার বাতিল' : 'অর্ডার পরিবর্তন';
+        form.innerHTML = mode === 'cancel' ? this.createCancelForm(order) : this.createModifyForm(order);
+
+        if (mode === 'modify') {
+            addressPicker.attach({
+                division: form.querySelector('[name="division"]'),
+                district: form.querySelector('[name="district"]'),
+                upazila: form.querySelector('[name="upazila"]')
+            }, order.location || {});
+            this.updateChangeSummary(form);
+        }
+
+        modal.classList.add('active');
+        document.body.classList.add('modal-open');
+    }
+
+    /**
+     * Create the cancel form
+     * @param {Object} order - Order
+     * @returns {string} Form HTML
+     */
+    createCancelForm(order) {
+        const reasons = ['ভুল প্রোডাক্ট বা সাইজ অর্ডার করেছি', 'অন্য জায়গা থেকে কিনেছি', 'এখন আর প্রয়োজন নেই', 'অন্যান্য'];
+
+        return `
+            <p>অর্ডার #${sanitizeHTML(order.orderId)} বাতিল করতে চান?</p>
+            <div class="form-group">
+                <label for="change-reason">বাতিলের কারণ *</label>
+                <select id="change-reason" name="reason" class="form-control" required>
+                    <option value="">কারণ নির্বাচন করুন</option>
+                    ${reasons.map(reason => `<option value="${reason}">${reason}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="change-note">বিস্তারিত (ঐচ্ছিক)</label>
+                <textarea id="change-note" name="note" class="form-control" rows="2"></textarea>
+            </div>
+            <div class="field-error order-change-error" style="display: none;"></div>
+            <button type="submit" class="btn btn-primary order-change-submit">অর্ডার বাতিল করুন</button>
+        `;
+    }
+
+    /**
+     * Create the modify form
+     * @param {Object} order - Order
+     * @returns {string} Form HTML
+     */
+    createModifyForm(order) {
+        const location = order.location || {};
+
+        return `
+            <div class="form-group">
+                <label for="change-phone">মোবাইল নম্বর *</label>
+                <input type="tel" id="change-phone" name="phone" class="form-control" value="${sanitizeHTML(order.phone)}" required>
+            </div>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label for="change-division">বিভাগ *</label>
+                    <select id="change-division" name="division" class="form-control" required></select>
+                </div>
+                <div class="form-group">
+                    <label for="change-district">জেলা *</label>
+                    <select id="change-district" name="district" class="form-control" required></select>
+                </div>
+                <div class="form-group">
+                    <label for="change-upazila">উপজেলা/থানা *</label>
+                    <select id="change-upazila" name="upazila" class="form-control" required></select>
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="change-address">বাসা ও রোড *</label>
+                <textarea id="change-address" name="address" class="form-control" rows="2" required>${sanitizeHTML(location.address || '')}</textarea>
+            </div>
+            <div class="order-change-items">
+                ${(order.items || []).map((item, index) => `
+                    <div class="order-card-item">
+                        <label for="change-qty-${index}">
+                            ${sanitizeHTML(item.product_name)}${item.size ? ` (${sanitizeHTML(item.size)})` : ''}
+                        </label>
+                        <input type="number" id="change-qty-${index}" name="quantity_${index}" class="form-control quantity-input"
+                               min="0" max="${this.getMaxItemQuantity(item)}" value="${item.quantity}">
+                    </div>
+                `).join('')}
+                <p class="form-help">কোনো প্রোডাক্ট বাদ দিতে পরিমাণ ০ করুন।</p>
+            </div>
+            <div class="order-change-summary"></div>
+            <div class="field-error order-change-error" style="display: none;"></div>
+            <button type="submit" class="btn btn-primary order-change-submit">পরিবর্তন পাঠান</button>
+        `;
+    }
+
+    /**
+     * Get the most of an order line the customer may ask for: up to 10, and
+     * no more than the variant's stock on hand. What is already ordered can
+     * always be kept, even when the stock has since run low.
+     * @param {Object} item - Order line
+     * @returns {number} Maximum quantity
+     */
+    getMaxItemQuantity(item) {
+        const stock = dataManager.getVariantStock(item.product_id, item.size || null, item.color || null);
+        const available = stock === null ? 10 : Math.min(10, stock);
+        return Math.max(item.quantity, available);
+    }
+
+    /**
+     * Read the items with their new quantities from the modify form
+     * @param {HTMLFormElement} form - Modify form
+     * @param {Object} order - Order
+     * @returns {Array} Items still in the order
+     */
+    getChangedItems(form, order) {
+        const formData = new FormData(form);
+
+        return (order.items || [])
+            .map((item, index) => ({
+                ...item,
+                quantity: Math.max(0, Math.min(this.getMaxItemQuantity(item), parseInt(formData.get(`quantity_${index}`)) || 0))
+            }))
+            .filter(item => item.quantity > 0);
+    }
+
+    /**
+     * Work out the changed order's delivery fee and total
+     * @param {HTMLFormElement} form - Modify form
+     * @param {Object} order - Order
+     * @returns {Object} `{ items, location, deliveryFee, total }`
+     */
+    calculateChangedOrder(form, order) {
+        const formData = new FormData(form);
+        const items = this.getChangedItems(form, order);
+        const location = {
+            division: formData.get('division'),
+            district: formData.get('district'),
+            upazila: formData.get('upazila'),
+            address: String(formData.get('address') || '').trim()
+        };
+        const subtotal = items.reduce((total, item) => total + (item.price * item.quantity), 0);
+        const deliveryFee = deliveryZones.quote({
+            location: location,
+            items: items.map(item => ({ id: item.product_id, quantity: item.quantity })),
+            subtotal: subtotal,
+            speed: order.deliverySpeed
+        }).fee;
+
+        return {
+            items: items,
+            location: location,
+            deliveryFee: deliveryFee,
+            total: Math.max(0, subtotal + deliveryFee - (order.couponDiscount || 0))
+        };
+    }
+
+    /**
+     * Show the changed order's total in the modify form
+     * @param {HTMLFormElement} form - Modify form
+     */
+    updateChangeSummary(form) {
+        const order = this.getOrder(form.dataset.orderId);
+        const summary = form.querySelector('.order-change-summary');
+        if (!order || !summary) return;
+
+        const changed = this.calculateChangedOrder(form, order);
+
+        summary.innerHTML = `
+            <div class="review-row"><span>ডেলিভারি চার্জ</span><strong>${formatPrice(changed.deliveryFee)}</strong></div>
+            <div class="review-row"><span>নতুন মোট</span><strong>${formatPrice(changed.total)}</strong></div>
+        `;
+    }
+
+    /**
+     * Validate the change form
+     * @param {HTMLFormElement} form - Change form
+     * @param {Object} order - Order
+     * @returns {string} Error message, empty if valid
+     */
+    validateChangeForm(form, order) {
+        const formData = new FormData(form);
+
+        if (form.dataset.mode === 'cancel') {
+            return formData.get('reason') ? '' : 'বাতিলের কারণ নির্বাচন করুন';
+        }
+
+        if (!validatePhone(String(formData.get('phone') || ''))) {
+            return 'সঠিক মোবাইল নম্বর লিখুন (01XXXXXXXXX)';
+        }
+
+        if (!formData.get('division') || !formData.get('district') || !formData.get('upazila') ||
+            String(formData.get('address') || '').trim().length < 10) {
+            return 'সম্পূর্ণ ঠিকানা লিখুন';
+        }
+
+        if (this.getChangedItems(form, order).length === 0) {
+            return 'অন্তত একটি প্রোডাক্ট রাখুন, অথবা অর্ডারটি বাতিল করুন';
+        }
+
+        return '';
+    }
+
+    /**
+     * Build the request sent to the backend, with only the fields that changed
+     * @param {HTMLFormElement} form - Change form
+     * @param {Object} order - Order
+     * @returns {Object} `{ order_id, phone, type, reason, changes }` plus the local order changes
+     */
+    buildChangeRequest(form, order) {
+        const formData = new FormData(form);
+        const request = {
+            order_id: order.orderId,
+            phone: order.phone,
+            type: form.dataset.mode,
+            reason: '',
+            changes: {}
+        };
+
+        if (request.type === 'cancel') {
+            request.reason = [formData.get('reason'), String(formData.get('note') || '').trim()]
+                .filter(Boolean).join(' - ');
+            return { request, local: { status: 'cancelled' } };
+        }
+
+        const changed = this.calculateChangedOrder(form, order);
+        const phone = String(formData.get('phone')).trim();
+        const previous = order.location || {};
+        const local = {};
+
+        if (normalizePhone(phone) !== normalizePhone(order.phone)) {
+            request.changes.phone = phone;
+            local.phone = phone;
+        }
+
+        if (['division', 'district', 'upazila', 'address'].some(key => (changed.location[key] || '') !== (previous[key] || ''))) {
+            Object.assign(request.changes, {
+                address: addressPicker.formatAddress(changed.location),
+                address_line: changed.location.address,
+                division: changed.location.division,
+                district: changed.location.district,
+                upazila: changed.location.upazila
+            });
+            local.address = request.changes.address;
+            local.location = changed.location;
+        }
+
+        const quantitiesChanged = changed.items.length !== (order.items || []).length ||
+            changed.items.some((item, index) => item.quantity !== order.items[index].quantity);
+
+        if (quantitiesChanged) {
+            request.changes.products = changed.items;
+            local.items = changed.items;
+        }
+
+        if (changed.deliveryFee !== order.deliveryFee && (quantitiesChanged || local.location)) {
+            request.changes.delivery_fee = changed.deliveryFee;
+            local.deliveryFee = changed.deliveryFee;
+        }
+
+        if (quantitiesChanged || local.deliveryFee !== undefined) {
+            local.totalAmount = changed.total;
+        }
+
+        return { request, local };
+    }
+
+    /**
+     * Send a cancel or modify request
+     * @param {HTMLFormElement} form - Change form
+     */
+    async handleChangeSubmit(form) {
+        const order = this.getOrder(form.dataset.orderId);
+        if (!order) return;
+
+        const error = this.validateChangeForm(form, order);
+        this.showChangeError(form, error);
+        if (error) return;
+
+        const { request, local } = this.buildChangeRequest(form, order);
+
+        if (request.type === 'modify' && Object.keys(request.changes).length === 0) {
+            this.showChangeError(form, 'কোনো পরিবর্তন করা হয়নি');
+            return;
+        }
+
+        const submitBtn = form.querySelector('.order-change-submit');
+        const originalText = submitBtn.innerHTML;
+        submitBtn.innerHTML = '<div class="spinner"></div> পাঠানো হচ্ছে...';
+        submitBtn.disabled = true;
+
+        try {
+            const updated = await dataManager.requestOrderChange(request);
+
+            if (updated && updated.total_amount !== undefined) {
+                local.totalAmount = Number(updated.total_amount);
+            }
+
+            this.updateOrder(order.orderId, {
+                ...local,
+                statusUpdatedAt: (updated && updated.updated_at) || new Date().toISOString()
+            });
+            this.closeChangeModal();
+            this.renderOrders();
+
+            showNotification(request.type === 'cancel' ?
+                'আপনার অর্ডারটি বাতিল করা হয়েছে।' :
+                'আপনার অর্ডার আপডেট করা হয়েছে।', 'success');
+
+        } catch (error) {
+            console.error('Order change error:', error);
+            this.showChangeError(form, error.message || 'অনুরোধ পাঠাতে সমস্যা হয়েছে। আবার চেষ্টা করুন।');
+
+            // The order moved on without us noticing; show its real status
+            if (error.code === 'order_locked') {
+                this.refreshStatuses();
+            }
+        } finally {
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show or clear the change form's error message
+     * @param {HTMLFormElement} form - Change form
+     * @param {string} message - Error message, empty to clear
+     */
+    showChangeError(form, message) {
+        const element = form.querySelector('.order-change-error');
+        if (!element) return;
+
+        element.textContent = message;
+        element.style.display = message ? '' : 'none';
+    }
+
+    /**
+     * Close the cancel/modify modal
+     */
+    closeChangeModal() {
+        const modal = document.getElementById('order-change-modal');
+        if (!modal || !modal.classList.contains('active')) return;
+
+        modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+
+    /**
+     * Dispatch orders updated event
+     */
+    dispatchOrdersUpdatedEvent() {
+        window.dispatchEvent(new CustomEvent('ordersUpdated', {
+            detail: { orders: this.orders }
+        }));
+    }
+}
+
+// Create global orders manager instance
+const ordersManager = new OrdersManager();
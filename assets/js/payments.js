@@ -0,0 +1,193 @@
+// ===== TinyStepsBD Payments =====
+
+/**
+ * Base payment gateway.
+ *
+ * Mobile financial service (bKash, Nagad, Rocket) payments are made by the
+ * customer in their own app; a gateway only records the sender number and
+ * transaction ID so the shop can verify them against its wallet statement.
+ */
+class PaymentGateway {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    /**
+     * Submit a mobile payment for verification
+     * @param {Object} payment - `{ method, amount, senderNumber, transactionId }`
+     * @returns {Promise<Object>} `{ success, status, error }`
+     */
+    async submit(payment) {
+        throw new Error(`${this.constructor.name} does not support payments`);
+    }
+}
+
+/**
+ * Production gateway: the shop verifies transactions by hand
+ */
+class ManualPaymentGateway extends PaymentGateway {
+    async submit(payment) {
+        return { success: true, status: 'pending_verification' };
+    }
+}
+
+/**
+ * Local gateway for development.
+ *
+ * Transaction IDs starting with "FAIL" are rejected and each ID can only be
+ * used once per page load, so both paths of the checkout can be exercised.
+ */
+class MockPaymentGateway extends PaymentGateway {
+    constructor(options = {}) {
+        super(options);
+        this.latency = options.latency ?? 300;
+        this.usedTransactionIds = new Set();
+    }
+
+    async submit(payment) {
+        await new Promise(resolve => setTimeout(resolve, this.latency));
+
+        const transactionId = String(payment.transactionId).toUpperCase();
+
+        if (transactionId.startsWith('FAIL')) {
+            return { success: false, error: 'এই ট্রানজেকশন আইডি পাওয়া যায়নি।' };
+        }
+
+        if (this.usedTransactionIds.has(transactionId)) {
+            return { success: false, error: 'এই ট্রানজেকশন আইডি আগেই ব্যবহার করা হয়েছে।' };
+        }
+
+        this.usedTransactionIds.add(transactionId);
+        return { success: true, status: 'pending_verification' };
+    }
+}
+
+/**
+ * Registered payment gateway types, keyed by the `type` used in config
+ */
+const PAYMENT_GATEWAYS = {
+    'manual': ManualPaymentGateway,
+    'mock': MockPaymentGateway
+};
+
+/**
+ * Create a payment gateway from configuration
+ * @param {Object} config - Gateway config (`{ type, ...options }`)
+ * @returns {PaymentGateway} Gateway instance
+ */
+function createPaymentGateway(config = {}) {
+    const { type = 'manual', ...options } = config;
+    const Gateway = PAYMENT_GATEWAYS[type];
+
+    if (!Gateway) {
+        throw new Error(`Unknown payment gateway type: ${type}`);
+    }
+
+    return new Gateway(options);
+}
+
+class PaymentManager {
+    constructor(config = APP_CONFIG.payments, gateway = createPaymentGateway(getPaymentGatewayConfig())) {
+        this.methods = config.methods || [];
+        this.allowAdvance = Boolean(config.allowAdvance);
+        this.gateway = gateway;
+    }
+
+    /**
+     * Get all payment methods
+     * @returns {Array} Payment methods
+     */
+    getMethods() {
+        return this.methods;
+    }
+
+    /**
+     * Get a payment method by ID, falling back to the first one
+     * @param {string} id - Method ID
+     * @returns {Object} Payment method
+     */
+    getMethod(id) {
+        return this.methods.find(method => method.id === id) || this.methods[0];
+    }
+
+    /**
+     * Check if a method is paid from a mobile wallet
+     * @param {string} id - Method ID
+     * @returns {boolean} True for bKash, Nagad, Rocket and the like
+     */
+    isMobilePayment(id) {
+        const method = this.getMethod(id);
+        return Boolean(method && method.type === 'mfs');
+    }
+
+    /**
+     * Check a transaction ID's format (bKash, Nagad and Rocket IDs are 8-12 letters/digits)
+     * @param {string} transactionId - Transaction ID
+     * @returns {boolean} True if valid
+     */
+    isValidTransactionId(transactionId) {
+        return /^[A-Za-z0-9]{8,12}$/.test(String(transactionId || '').trim());
+    }
+
+    /**
+     * Split an order total into what is paid now and what is collected on delivery
+     * @param {string} methodId - Payment method ID
+     * @param {string} amountOption - 'full' or 'advance' (delivery charge only)
+     * @param {Object} totals - Order totals from CheckoutManager.calculateTotals
+     * @returns {Object} `{ advance, due }`
+     */
+    splitAmount(methodId, amountOption, totals) {
+        if (!this.isMobilePayment(methodId)) {
+            return { advance: 0, due: totals.total };
+        }
+
+        const deliveryCharge = Math.max(0, totals.deliveryFee - (totals.deliveryDiscount || 0));
+        const advance = this.allowAdvance && amountOption === 'advance' && deliveryCharge > 0 ?
+            Math.min(deliveryCharge, totals.total) :
+            totals.total;
+
+        return { advance: advance, due: totals.total - advance };
+    }
+
+    /**
+     * Build the payment fields sent with an order
+     * @param {Object} details - `{ methodId, amountOption, senderNumber, transactionId }`
+     * @param {Object} totals - Order totals
+     * @returns {Object} Order payment fields
+     */
+    buildOrderPayment(details, totals) {
+        const method = this.getMethod(details.methodId);
+        const { advance, due } = this.splitAmount(method.id, details.amountOption, totals);
+        const mobile = this.isMobilePayment(method.id);
+
+        return {
+            payment_method: method.label,
+            payment_status: mobile ? 'pending_verification' : 'cash_on_delivery',
+            payment_sender_number: mobile ? String(details.senderNumber || '').trim() : '',
+            payment_transaction_id: mobile ? String(details.transactionId || '').trim().toUpperCase() : '',
+            advance_amount: advance,
+            due_amount: due
+        };
+    }
+
+    /**
+     * Send a mobile payment to the gateway
+     * @param {Object} orderPayment - Fields from buildOrderPayment
+     * @returns {Promise<Object>} `{ success, status, error }`
+     */
+    async submitPayment(orderPayment) {
+        if (orderPayment.advance_amount <= 0) {
+            return { success: true, status: orderPayment.payment_status };
+        }
+
+        return this.gateway.submit({
+            method: orderPayment.payment_method,
+            amount: orderPayment.advance_amount,
+            senderNumber: orderPayment.payment_sender_number,
+            transactionId: orderPayment.payment_transaction_id
+        });
+    }
+}
+
+// Create global payment manager instance
+const paymentManager = new PaymentManager();
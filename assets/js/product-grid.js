@@ -0,0 +1,437 @@
+// ===== TinyStepsBD Product Grid =====
+
+/**
+ * Renders a product list into a grid page by page (numbered pagination) or
+ * as it is scrolled (infinite scroll). Only the rows near the screen are in
+ * the DOM; the rest are stood in for by padding, and card elements that
+ * scroll away are reused for the cards that scroll in.
+ */
+class ProductGrid {
+    /**
+     * @param {HTMLElement} container - Grid element
+     * @param {Object} options - `mode`, `pageSize`, `overscanRows` (defaults
+     *     from `APP_CONFIG.grid`), `pagination` (element for page links),
+     *     `loadMoreButton`, `pageParam` (URL param for the page number) and
+     *     `restoreKey` (remember the scroll position under this name)
+     */
+    constructor(container, options = {}) {
+        const config = { ...APP_CONFIG.grid, ...options };
+
+        this.container = container;
+        this.mode = config.mode === 'auto' ?
+            (getDeviceType() === 'mobile' ? 'infinite' : 'pagination') :
+            config.mode;
+        this.pageSize = config.pageSize || 24;
+        this.overscanRows = config.overscanRows ?? 2;
+        this.pagination = config.pagination || null;
+        this.loadMoreButton = config.loadMoreButton || null;
+        this.pageParam = config.pageParam || null;
+        this.restoreKey = config.restoreKey ? `tinystepsbd_grid_${config.restoreKey}` : null;
+
+        this.products = [];
+        this.page = 1;
+        this.loadedCount = this.pageSize;
+        this.cards = new Map();
+        this.cardProducts = new WeakMap();
+        this.pool = [];
+        this.range = { start: 0, end: 0 };
+        this.columns = 1;
+        this.rowHeight = 0;
+        this.rowGap = 0;
+        this.pendingRestore = this.restoreKey ? this.getSavedPosition() : null;
+        this.sentinel = null;
+        this.observer = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize product grid
+     */
+    init() {
+        this.setupInfiniteScroll();
+        this.bindEvents();
+
+        if (this.restoreKey && 'scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        window.addEventListener('scroll', throttle(() => this.updateWindow(), 100));
+
+        window.addEventListener('resize', debounce(() => {
+            this.measure();
+            this.updateWindow(true);
+        }, 150));
+
+        // Page links
+        if (this.pagination) {
+            this.pagination.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-page]');
+                if (button && !button.disabled) {
+                    this.showPage(Number(button.dataset.page));
+                }
+            });
+        }
+
+        if (this.loadMoreButton) {
+            this.loadMoreButton.addEventListener('click', () => this.loadMore());
+        }
+
+        // Browser back/forward between pages
+        if (this.pageParam) {
+            window.addEventListener('popstate', () => {
+                const page = Number(getUrlParam(this.pageParam)) || 1;
+                if (this.mode === 'pagination' && page !== this.page) {
+                    this.showPage(page, { updateHistory: false });
+                }
+            });
+        }
+
+        // Remember how far the shopper got before opening a product
+        if (this.restoreKey) {
+            window.addEventListener('pagehide', () => this.savePosition());
+        }
+    }
+
+    /**
+     * Load the next batch whenever the end of the list comes into view
+     */
+    setupInfiniteScroll() {
+        if (this.mode !== 'infinite') return;
+
+        this.sentinel = this.loadMoreButton;
+        if (!this.sentinel) {
+            this.sentinel = document.createElement('div');
+            this.sentinel.className = 'grid-sentinel';
+            this.container.after(this.sentinel);
+        }
+
+        // Without an observer the load more button does the job
+        if (!('IntersectionObserver' in window)) return;
+
+        this.observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMore();
+            }
+        }, { rootMargin: '400px 0px' });
+
+        this.observer.observe(this.sentinel);
+    }
+
+    /**
+     * Show a new product list
+     * @param {Array} products - Products in display order
+     * @param {Object} options - `page` to open in pagination mode, and
+     *     `keepPosition` to keep what infinite scroll has loaded so far
+     */
+    setProducts(products, { page = 1, keepPosition = false } = {}) {
+        this.products = products;
+        this.page = Math.min(Math.max(1, page), this.getPageCount());
+
+        if (!keepPosition) {
+            this.loadedCount = this.pageSize;
+        }
+
+        const restore = this.pendingRestore;
+        this.pendingRestore = null;
+
+        if (restore && restore.search === window.location.search) {
+            this.loadedCount = Math.max(this.pageSize, restore.loadedCount);
+        }
+
+        this.render();
+
+        if (restore && restore.search === window.location.search) {
+            window.scrollTo(0, restore.scrollY);
+            this.updateWindow();
+        }
+    }
+
+    /**
+     * Open a page in pagination mode
+     * @param {number} page - Page number
+     * @param {Object} options - `updateHistory` to record the page in the URL
+     */
+    showPage(page, { updateHistory = true } = {}) {
+        const target = Math.min(Math.max(1, page), this.getPageCount());
+
+        if (updateHistory && this.pageParam && (Number(getUrlParam(this.pageParam)) || 1) !== target) {
+            if (target === 1) {
+                removeUrlParam(this.pageParam);
+            } else {
+                setUrlParam(this.pageParam, target);
+            }
+        }
+
+        if (target === this.page) return;
+
+        this.page = target;
+        this.render();
+
+        if (updateHistory) {
+            const top = this.container.getBoundingClientRect().top + window.scrollY - 100;
+            window.scrollTo({ top: Math.max(0, top), behavior: 'smooth' });
+        }
+    }
+
+    /**
+     * Add the next batch in infinite scroll mode
+     */
+    loadMore() {
+        if (this.mode !== 'infinite' || this.loadedCount >= this.products.length) return;
+
+        this.loadedCount += this.pageSize;
+        this.updateWindow(true);
+        this.renderControls();
+    }
+
+    /**
+     * Get the number of pages
+     * @returns {number} Page count (at least 1)
+     */
+    getPageCount() {
+        return Math.max(1, Math.ceil(this.products.length / this.pageSize));
+    }
+
+    /**
+     * Get the products currently in the list: the open page, or everything
+     * loaded so far
+     * @returns {Array} Products
+     */
+    getListedProducts() {
+        if (this.mode === 'pagination') {
+            const start = (this.page - 1) * this.pageSize;
+            return this.products.slice(start, start + this.pageSize);
+        }
+
+        return this.products.slice(0, this.loadedCount);
+    }
+
+    /**
+     * Render the list from the top
+     */
+    render() {
+        const listed = this.getListedProducts();
+
+        // Card size is only known once a screenful has been laid out
+        if (!this.rowHeight) {
+            this.renderRange(0, Math.min(listed.length, this.pageSize));
+            this.measure();
+        }
+
+        this.updateWindow(true);
+        this.renderControls();
+    }
+
+    /**
+     * Work out the column count and row height from the rendered cards
+     */
+    measure() {
+        const cards = [...this.cards.values()];
+        this.container.style.gridAutoRows = '';
+
+        if (cards.length === 0) return;
+
+        const style = window.getComputedStyle(this.container);
+        const columns = style.gridTemplateColumns.split(' ').filter(value => value && value !== 'none').length;
+        const height = Math.max(...cards.map(card => card.offsetHeight));
+
+        this.columns = Math.max(1, columns);
+        this.rowGap = parseFloat(style.rowGap) || 0;
+        this.rowHeight = height;
+
+        // Rows are fixed to the tallest card so the padding math stays exact
+        if (this.rowHeight) {
+            this.container.style.gridAutoRows = `${this.rowHeight}px`;
+        }
+    }
+
+    /**
+     * Render the rows near the screen
+     * @param {boolean} force - Re-render even if the range did not change
+     */
+    updateWindow(force = false) {
+        const listed = this.getListedProducts();
+        let start = 0;
+        let end = listed.length;
+
+        if (this.rowHeight && listed.length > 0) {
+            const stride = this.rowHeight + this.rowGap;
+            const totalRows = Math.ceil(listed.length / this.columns);
+            const top = this.container.getBoundingClientRect().top;
+            const firstRow = Math.floor(Math.max(0, -top) / stride) - this.overscanRows;
+            const lastRow = Math.ceil((window.innerHeight - top) / stride) + this.overscanRows;
+
+            const startRow = Math.min(Math.max(0, firstRow), totalRows);
+            const endRow = Math.min(Math.max(startRow, lastRow), totalRows);
+
+            start = startRow * this.columns;
+            end = Math.min(listed.length, endRow * this.columns);
+
+            this.container.style.paddingTop = `${startRow * stride}px`;
+            this.container.style.paddingBottom = `${(totalRows - endRow) * stride}px`;
+        } else {
+            this.container.style.paddingTop = '';
+            this.container.style.paddingBottom = '';
+        }
+
+        if (!force && start === this.range.start && end === this.range.end) return;
+
+        this.renderRange(start, end, listed);
+    }
+
+    /**
+     * Put the cards for part of the list in the grid, reusing cards that
+     * left the range
+     * @param {number} start - First index
+     * @param {number} end - Index after the last
+     * @param {Array} listed - Listed products
+     */
+    renderRange(start, end, listed = this.getListedProducts()) {
+        const wanted = listed.slice(start, end);
+        const wantedIds = new Set(wanted.map(product => String(product.id)));
+
+        this.cards.forEach((card, productId) => {
+            if (!wantedIds.has(productId)) {
+                card.remove();
+                this.pool.push(card);
+                this.cards.delete(productId);
+            }
+        });
+
+        // Drop anything else, like a loading spinner
+        [...this.container.children].forEach(child => {
+            if (!this.cards.has(child.dataset.productId)) child.remove();
+        });
+
+        // Cards that stay are left in place so their animation does not replay
+        let previous = null;
+        wanted.forEach(product => {
+            let card = this.cards.get(String(product.id));
+
+            if (!card) {
+                card = this.pool.pop() || document.createElement('div');
+                this.fillCard(card, product);
+                this.cards.set(String(product.id), card);
+            } else if (this.cardProducts.get(card) !== product) {
+                // Same product with new data
+                this.fillCard(card, product);
+            }
+
+            if (card.parentNode !== this.container || card.previousElementSibling !== previous) {
+                if (previous) {
+                    previous.after(card);
+                } else {
+                    this.container.prepend(card);
+                }
+            }
+
+            previous = card;
+        });
+
+        this.range = { start, end };
+
+        initLazyLoading();
+    }
+
+    /**
+     * Turn a card element into the card for another product
+     * @param {HTMLElement} card - Card element
+     * @param {Object} product - Product
+     */
+    fillCard(card, product) {
+        // Parsed in this document (not a <template>) so inline handlers work
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = productManager.generateProductCard(product);
+        const fresh = wrapper.firstElementChild;
+
+        [...card.attributes].forEach(attribute => card.removeAttribute(attribute.name));
+        [...fresh.attributes].forEach(attribute => card.setAttribute(attribute.name, attribute.value));
+        card.replaceChildren(...fresh.childNodes);
+        this.cardProducts.set(card, product);
+    }
+
+    /**
+     * Update the page links or the load more button
+     */
+    renderControls() {
+        if (this.pagination) {
+            const show = this.mode === 'pagination' && this.getPageCount() > 1;
+            this.pagination.innerHTML = show ? this.generatePaginationHTML() : '';
+            this.pagination.style.display = show ? '' : 'none';
+        }
+
+        if (this.loadMoreButton) {
+            const more = this.mode === 'infinite' && this.loadedCount < this.products.length;
+            this.loadMoreButton.style.display = more ? '' : 'none';
+        }
+    }
+
+    /**
+     * Generate the page links: first, last and the pages around the open one
+     * @returns {string} HTML string
+     */
+    generatePaginationHTML() {
+        const pageCount = this.getPageCount();
+        const pages = [];
+
+        for (let page = 1; page <= pageCount; page++) {
+            if (page === 1 || page === pageCount || Math.abs(page - this.page) <= 1) {
+                pages.push(page);
+            } else if (pages[pages.length - 1] !== null) {
+                pages.push(null);
+            }
+        }
+
+        return `
+            <button type="button" class="page-btn page-prev" data-page="${this.page - 1}"
+                    aria-label="Previous page" ${this.page === 1 ? 'disabled' : ''}>
+                <i class="fas fa-chevron-left"></i>
+            </button>
+            ${pages.map(page => page === null ?
+                '<span class="page-ellipsis">…</span>' :
+                `<button type="button" class="page-btn ${page === this.page ? 'active' : ''}" data-page="${page}"
+                         ${page === this.page ? 'aria-current="page"' : ''}>${formatNumber(page)}</button>`
+            ).join('')}
+            <button type="button" class="page-btn page-next" data-page="${this.page + 1}"
+                    aria-label="Next page" ${this.page === pageCount ? 'disabled' : ''}>
+                <i class="fas fa-chevron-right"></i>
+            </button>
+        `;
+    }
+
+    /**
+     * Save the scroll position for when the shopper comes back
+     */
+    savePosition() {
+        try {
+            sessionStorage.setItem(this.restoreKey, JSON.stringify({
+                search: window.location.search,
+                loadedCount: this.loadedCount,
+                scrollY: window.scrollY
+            }));
+        } catch (error) {
+            console.error('Error saving grid position:', error);
+        }
+    }
+
+    /**
+     * Take the saved scroll position, if any
+     * @returns {Object|null} Saved position
+     */
+    getSavedPosition() {
+        try {
+            const saved = sessionStorage.getItem(this.restoreKey);
+            sessionStorage.removeItem(this.restoreKey);
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.error('Error loading grid position:', error);
+            return null;
+        }
+    }
+}
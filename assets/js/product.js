@@ -6,6 +6,11 @@ class ProductManager {
         this.selectedColor = null;
         this.selectedSize = null;
         this.quantity = 1;
+        this.viewRoot = null;
+        this.quickViewId = null;
+        this.quickViewState = null;
+        this.quickViewTrigger = null;
+        this.shopGrid = null;
         this.init();
     }
 
@@ -29,6 +34,46 @@ class ProductManager {
             if (this.isShopPage()) {
                 this.loadShopPage();
             }
+
+            // Deep link to a quick view
+            if (getUrlParam('quickview')) {
+                this.quickView(getUrlParam('quickview'), { updateHistory: false });
+            }
+        });
+
+        // Catalog changes picked up by a background sync
+        window.addEventListener('productsUpdated', () => {
+            if (this.isShopPage() && this.shopGrid) {
+                this.renderShopPage({ keepPosition: true });
+            }
+        });
+
+        // Browser back/forward opens or closes the quick view
+        window.addEventListener('popstate', () => {
+            const productId = getUrlParam('quickview');
+            if (productId) {
+                this.quickView(productId, { updateHistory: false });
+            } else {
+                this.closeQuickView({ updateHistory: false });
+            }
+        });
+
+        // Quick view close button and backdrop
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('#quick-view-modal .modal-close') || e.target.id === 'quick-view-modal') {
+                this.closeQuickView();
+            }
+        });
+
+        // Escape and focus trapping inside the quick view
+        document.addEventListener('keydown', (e) => {
+            if (!this.quickViewId) return;
+
+            if (e.key === 'Escape') {
+                this.closeQuickView();
+            } else if (e.key === 'Tab') {
+                this.trapQuickViewFocus(e);
+            }
         });
 
         // Color selection
@@ -54,12 +99,21 @@ class ProductManager {
             }
         });
 
-        // Add to cart from product page
+        // Add to cart from product page or quick view
         document.addEventListener('click', (e) => {
-            if (e.target.closest('.add-to-cart-btn') && this.isProductPage()) {
+            const button = e.target.closest('.add-to-cart-btn');
+            if (button && button.closest('.product-detail')) {
                 this.addToCartFromProductPage();
             }
         });
+
+        // Buy now skips the cart
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.buy-now-btn');
+            if (button && button.closest('.product-detail')) {
+                this.buyNow();
+            }
+        });
     }
 
     /**
@@ -118,9 +172,174 @@ class ProductManager {
         const container = document.getElementById('product-container');
         if (!container) return;
 
+        this.viewRoot = container;
         container.innerHTML = this.generateProductHTML(product);
         this.initImageGallery();
         this.initZoom();
+        this.initVariantSelection(product);
+    }
+
+    /**
+     * Generate size and color selectors for a product
+     * @param {Object} product - Product data
+     * @returns {string} HTML string
+     */
+    generateVariantSelectors(product) {
+        const sizes = product.sizes || [];
+        const colors = product.colors || [];
+
+        return `
+            <div class="variant-selectors">
+                ${sizes.length ? `
+                    <div class="variant-selector">
+                        <strong>সাইজ:</strong>
+                        <div class="size-options">
+                            ${sizes.map(size => `
+                                <button type="button" class="size-option" data-size="${sanitizeHTML(size)}">
+                                    ${sanitizeHTML(getAgeRange(size))}
+                                </button>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                ${colors.length ? `
+                    <div class="variant-selector">
+                        <strong>রং:</strong>
+                        <div class="color-options">
+                            ${colors.map(color => `
+                                <button type="button" class="color-option" data-color="${sanitizeHTML(color)}">
+                                    ${sanitizeHTML(color)}
+                                </button>
+                            `).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+                <div id="variant-stock" class="stock-status"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Reset variant selection for a newly rendered product
+     * @param {Object} product - Product data
+     */
+    initVariantSelection(product) {
+        const sizes = product.sizes || [];
+        const colors = product.colors || [];
+
+        // Nothing to choose when there is only one option
+        this.selectedSize = sizes.length === 1 ? sizes[0] : null;
+        this.selectedColor = colors.length === 1 ? colors[0] : null;
+        this.quantity = 1;
+
+        this.updateVariantOptions();
+    }
+
+    /**
+     * Check if any in-stock variant matches a partial selection
+     * @param {string|null} size - Size, or null for any
+     * @param {string|null} color - Color, or null for any
+     * @returns {boolean} True if available
+     */
+    hasAvailableVariant(size, color) {
+        if (!this.currentProduct || !this.currentProduct.variants) return true;
+
+        return this.currentProduct.variants.some(variant =>
+            (!size || variant.size === size) &&
+            (!color || variant.color === color) &&
+            dataManager.isVariantAvailable(variant)
+        );
+    }
+
+    /**
+     * Get the variant for the current selection
+     * @returns {Object|null} Selected variant, or null if selection is incomplete
+     */
+    getSelectedVariant() {
+        return dataManager.findVariant(this.currentProduct, this.selectedSize, this.selectedColor);
+    }
+
+    /**
+     * Disable unavailable combinations and refresh price and stock
+     */
+    updateVariantOptions() {
+        const root = this.getViewRoot();
+
+        root.querySelectorAll('.size-option').forEach(option => {
+            const available = this.hasAvailableVariant(option.dataset.size, this.selectedColor);
+            option.disabled = !available;
+            option.classList.toggle('unavailable', !available);
+            option.classList.toggle('selected', option.dataset.size === this.selectedSize);
+        });
+
+        root.querySelectorAll('.color-option').forEach(option => {
+            const available = this.hasAvailableVariant(this.selectedSize, option.dataset.color);
+            option.disabled = !available;
+            option.classList.toggle('unavailable', !available);
+            option.classList.toggle('selected', option.dataset.color === this.selectedColor);
+        });
+
+        this.updateVariantStatus();
+    }
+
+    /**
+     * Show price and stock for the selected variant
+     */
+    updateVariantStatus() {
+        const root = this.getViewRoot();
+        const stockElement = root.querySelector('#variant-stock');
+        const priceElement = root.querySelector('.product-detail .product-price');
+        const addButton = root.querySelector('.product-detail .add-to-cart-btn');
+        const variant = this.getSelectedVariant();
+
+        if (priceElement && this.currentProduct) {
+            priceElement.innerHTML = this.generatePriceHTML(
+                dataManager.getVariantPrice(this.currentProduct, this.selectedSize, this.selectedColor),
+                dataManager.getVariantCompareAtPrice(this.currentProduct, this.selectedSize, this.selectedColor)
+            );
+        }
+
+        const available = variant ? dataManager.isVariantAvailable(variant) : this.currentProduct?.inStock !== false;
+        if (addButton) {
+            addButton.disabled = !available;
+        }
+
+        if (!stockElement) return;
+
+        if (!variant) {
+            stockElement.innerHTML = this.currentProduct?.inStock === false ?
+                '<span class="out-of-stock"><i class="fas fa-times-circle"></i> স্টক শেষ</span>' :
+                '';
+        } else if (!available) {
+            stockElement.innerHTML = '<span class="out-of-stock"><i class="fas fa-times-circle"></i> এই সাইজ/রং স্টকে নেই</span>';
+        } else if (variant.stock !== null) {
+            stockElement.innerHTML = `<span class="in-stock"><i class="fas fa-check-circle"></i> স্টকে ${formatNumber(variant.stock)} টি আছে</span>`;
+        } else {
+            stockElement.innerHTML = '<span class="in-stock"><i class="fas fa-check-circle"></i> স্টক আছে</span>';
+        }
+
+        // Keep quantity within stock
+        const quantityInput = root.querySelector('#quantity');
+        const maxQuantity = this.getMaxQuantity();
+        if (quantityInput) {
+            quantityInput.max = maxQuantity;
+            if (parseInt(quantityInput.value) > maxQuantity) {
+                quantityInput.value = Math.max(1, maxQuantity);
+                this.quantity = Math.max(1, maxQuantity);
+            }
+        }
+    }
+
+    /**
+     * Get the most that can be ordered for the current selection
+     * @returns {number} Maximum quantity
+     */
+    getMaxQuantity() {
+        const variant = this.getSelectedVariant();
+        if (variant && variant.stock !== null) {
+            return Math.min(10, variant.stock);
+        }
+        return 10;
     }
 
     /**
@@ -133,25 +352,14 @@ class ProductManager {
         
         return `
             <div class="product-detail">
-                <div class="product-gallery">
-                    <div class="main-image">
-                        <img src="${product.mainImage}" alt="${product.name}" 
-                             onerror="this.src='assets/images/placeholder.jpg'">
-                    </div>
-                    <div class="image-thumbnails">
-                        ${product.images.map((img, index) => `
-                            <div class="thumbnail ${index === 0 ? 'active' : ''}">
-                                <img src="${img}" alt="${product.name} - Image ${index + 1}"
-                                     onerror="this.src='assets/images/placeholder.jpg'">
-                            </div>
-                        `).join('')}
-                    </div>
-                </div>
+                ${this.generateGalleryHTML(product)}
                 
                 <div class="product-info">
                     <div class="product-header">
                         <h1 class="product-title">${product.name}</h1>
-                        <div class="product-price">${formatPrice(product.price)}</div>
+                        <div class="product-price product-pricing">
+                            ${this.generatePriceHTML(product.price, product.compareAtPrice)}
+                        </div>
                     </div>
                     
                     <div class="product-meta">
@@ -163,26 +371,17 @@ class ProductManager {
                             <strong>বয়স রেঞ্জ:</strong>
                             <span>${ageRange}</span>
                         </div>
-                        <div class="product-colors">
-                            <strong>রং:</strong>
-                            <span>${product.color || 'N/A'}</span>
-                        </div>
                     </div>
                     
+                    ${this.generateVariantSelectors(product)}
+                    
                     <div class="product-description">
                         <h3>প্রোডাক্ট বিবরণ</h3>
                         <p>${formatDescription(product.description)}</p>
                     </div>
                     
                     <div class="product-actions">
-                        <div class="quantity-selector">
-                            <label for="quantity">পরিমাণ:</label>
-                            <div class="quantity-controls">
-                                <button type="button" class="quantity-minus">-</button>
-                                <input type="number" id="quantity" name="quantity" value="1" min="1" max="10">
-                                <button type="button" class="quantity-plus">+</button>
-                            </div>
-                        </div>
+                        ${this.generateQuantitySelectorHTML()}
                         
                         <button class="add-to-cart-btn btn-primary">
                             <i class="fas fa-shopping-cart"></i>
@@ -193,6 +392,8 @@ class ProductManager {
                             <i class="fas fa-bolt"></i>
                             এখনই কিনুন
                         </button>
+
+                        ${this.generateWishlistButtonHTML(product)}
                     </div>
                     
                     <div class="product-features">
@@ -218,12 +419,82 @@ class ProductManager {
         `;
     }
 
+    /**
+     * Generate the image gallery shared by the product page and quick view
+     * @param {Object} product - Product data
+     * @returns {string} HTML string
+     */
+    generateGalleryHTML(product) {
+        // Images that failed to load recently are left out
+        const images = product.images.filter(img => !dataManager.isImageBroken(img));
+
+        return `
+            <div class="product-gallery">
+                <div class="main-image">
+                    <img src="${dataManager.getProductImage(product)}" alt="${product.name}" 
+                         onerror="this.src='assets/images/placeholder.jpg'">
+                </div>
+                <div class="image-thumbnails">
+                    ${images.map((img, index) => `
+                        <div class="thumbnail ${index === 0 ? 'active' : ''}">
+                            <img src="${img}" alt="${product.name} - Image ${index + 1}"
+                                 onerror="this.src='assets/images/placeholder.jpg'">
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the quantity selector
+     * @returns {string} HTML string
+     */
+    generateQuantitySelectorHTML() {
+        return `
+            <div class="quantity-selector">
+                <label for="quantity">পরিমাণ:</label>
+                <div class="quantity-controls">
+                    <button type="button" class="quantity-minus">-</button>
+                    <input type="number" id="quantity" name="quantity" value="1" min="1" max="10">
+                    <button type="button" class="quantity-plus">+</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the wishlist toggle for a product's detail view
+     * @param {Object} product - Product data
+     * @returns {string} HTML string
+     */
+    generateWishlistButtonHTML(product) {
+        const wishlisted = wishlistManager.has(product.id);
+
+        return `
+            <button class="wishlist-btn btn-outline ${wishlisted ? 'active' : ''}" data-product-id="${product.id}"
+                    aria-label="Add to Wishlist" aria-pressed="${wishlisted}">
+                <i class="${wishlisted ? 'fas' : 'far'} fa-heart"></i>
+                উইশলিস্ট
+            </button>
+        `;
+    }
+
+    /**
+     * Get the element the current product is rendered in
+     * @returns {Element|Document} Product page container or quick view body
+     */
+    getViewRoot() {
+        return this.viewRoot || document;
+    }
+
     /**
      * Initialize image gallery
      */
     initImageGallery() {
-        const thumbnails = document.querySelectorAll('.thumbnail');
-        const mainImage = document.querySelector('.main-image img');
+        const root = this.getViewRoot();
+        const thumbnails = root.querySelectorAll('.thumbnail');
+        const mainImage = root.querySelector('.main-image img');
 
         thumbnails.forEach(thumb => {
             thumb.addEventListener('click', () => {
@@ -242,7 +513,7 @@ class ProductManager {
      * Initialize image zoom
      */
     initZoom() {
-        const mainImage = document.querySelector('.main-image img');
+        const mainImage = this.getViewRoot().querySelector('.main-image img');
         if (!mainImage) return;
 
         mainImage.addEventListener('mousemove', (e) => {
@@ -280,26 +551,34 @@ class ProductManager {
     }
 
     /**
-     * Render shop page with products
+     * Render shop page with the products matching the current filters
+     * @param {Object} options - `keepPosition` to stay where the shopper is
      */
-    renderShopPage() {
+    renderShopPage({ keepPosition = false } = {}) {
         const grid = document.getElementById('products-grid');
         if (!grid) return;
 
-        const category = getUrlParam('category');
-        const searchQuery = getUrlParam('search');
-        
-        let products = dataManager.products;
-        
-        if (category) {
-            products = dataManager.getProductsByCategory(category);
+        const products = shopFilterManager.getFilteredProducts();
+        const noProducts = document.getElementById('no-products');
+
+        shopFilterManager.renderFacets(products.length);
+
+        if (noProducts) {
+            noProducts.style.display = products.length === 0 ? 'block' : 'none';
         }
-        
-        if (searchQuery) {
-            products = dataManager.searchProducts(searchQuery);
+
+        if (!this.shopGrid) {
+            this.shopGrid = new ProductGrid(grid, {
+                pagination: document.getElementById('products-pagination'),
+                loadMoreButton: document.getElementById('load-more'),
+                pageParam: 'page',
+                restoreKey: 'shop'
+            });
         }
 
-        if (products.length === 0) {
+        this.shopGrid.setProducts(products, { page: Number(getUrlParam('page')) || 1, keepPosition });
+
+        if (products.length === 0 && !noProducts) {
             grid.innerHTML = `
                 <div class="no-products">
                     <i class="fas fa-search"></i>
@@ -308,11 +587,7 @@ class ProductManager {
                     <a href="shop.html" class="btn-primary">সকল প্রোডাক্ট দেখুন</a>
                 </div>
             `;
-            return;
         }
-
-        grid.innerHTML = products.map(product => this.generateProductCard(product)).join('');
-        initLazyLoading();
     }
 
     /**
@@ -322,13 +597,14 @@ class ProductManager {
      */
     generateProductCard(product) {
         const ageRange = getAgeRange(product.size);
+        const wishlisted = wishlistManager.has(product.id);
         
         return `
             <div class="product-card stagger-item" data-product-id="${product.id}">
                 <div class="product-image-container">
                     <a href="product.html?id=${product.id}" class="product-image-link">
                         <img 
-                            src="${product.mainImage}" 
+                            src="${dataManager.getProductImage(product)}" 
                             alt="${product.name}" 
                             class="product-image"
                             loading="lazy"
@@ -341,8 +617,9 @@ class ProductManager {
                     </div>
 
                     <div class="product-actions">
-                        <button class="action-btn wishlist-btn" aria-label="Add to Wishlist">
-                            <i class="far fa-heart"></i>
+                        <button class="action-btn wishlist-btn ${wishlisted ? 'active' : ''}" aria-label="Add to Wishlist"
+                                aria-pressed="${wishlisted}">
+                            <i class="${wishlisted ? 'fas' : 'far'} fa-heart"></i>
                         </button>
                         <button class="action-btn quick-view-btn" aria-label="Quick View" 
                                 onclick="productManager.quickView('${product.id}')">
@@ -350,7 +627,8 @@ class ProductManager {
                         </button>
                     </div>
 
-                    <button class="add-to-cart-btn" onclick="productManager.addToCart('${product.id}')">
+                    <button class="add-to-cart-btn" onclick="productManager.addToCart('${product.id}')"
+                            ${product.inStock === false ? 'disabled' : ''}>
                         <i class="fas fa-shopping-cart"></i>
                         কার্টে যোগ করুন
                     </button>
@@ -379,7 +657,7 @@ class ProductManager {
                     </div>
 
                     <div class="product-pricing">
-                        <div class="current-price">${formatPrice(product.price)}</div>
+                        ${this.generatePriceHTML(product.price, product.compareAtPrice)}
                     </div>
 
                     <div class="product-rating">
@@ -394,16 +672,42 @@ class ProductManager {
                     </div>
 
                     <div class="stock-status">
+                        ${product.inStock === false ? `
+                        <span class="out-of-stock">
+                            <i class="fas fa-times-circle"></i>
+                            স্টক শেষ
+                        </span>
+                        ` : `
                         <span class="in-stock">
                             <i class="fas fa-check-circle"></i>
                             স্টক আছে
                         </span>
+                        `}
                     </div>
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Generate price markup, striking through the compare-at price when discounted
+     * @param {number} price - Selling price
+     * @param {number|null} compareAtPrice - Original price
+     * @returns {string} HTML string
+     */
+    generatePriceHTML(price, compareAtPrice) {
+        const hasDiscount = compareAtPrice && compareAtPrice > price;
+        const percentOff = hasDiscount ? Math.round((1 - price / compareAtPrice) * 100) : 0;
+
+        return `
+            <span class="current-price">${formatPrice(price)}</span>
+            ${hasDiscount ? `
+                <span class="original-price">${formatPrice(compareAtPrice)}</span>
+                <span class="discount-percent">-${formatNumber(percentOff)}%</span>
+            ` : ''}
+        `;
+    }
+
     /**
      * Get badge text
      * @param {string} badge - Badge type
@@ -435,12 +739,16 @@ class ProductManager {
      * @param {Element} colorOption - Selected color element
      */
     handleColorSelect(colorOption) {
-        document.querySelectorAll('.color-option').forEach(option => {
-            option.classList.remove('selected');
-        });
-        
-        colorOption.classList.add('selected');
+        if (colorOption.disabled) return;
+
         this.selectedColor = colorOption.dataset.color;
+
+        // Drop a size that does not come in this color
+        if (this.selectedSize && !this.hasAvailableVariant(this.selectedSize, this.selectedColor)) {
+            this.selectedSize = null;
+        }
+
+        this.updateVariantOptions();
     }
 
     /**
@@ -448,19 +756,23 @@ class ProductManager {
      * @param {Element} sizeOption - Selected size element
      */
     handleSizeSelect(sizeOption) {
-        document.querySelectorAll('.size-option').forEach(option => {
-            option.classList.remove('selected');
-        });
-        
-        sizeOption.classList.add('selected');
+        if (sizeOption.disabled) return;
+
         this.selectedSize = sizeOption.dataset.size;
+
+        // Drop a color that is not available in this size
+        if (this.selectedColor && !this.hasAvailableVariant(this.selectedSize, this.selectedColor)) {
+            this.selectedColor = null;
+        }
+
+        this.updateVariantOptions();
     }
 
     /**
      * Decrease quantity
      */
     decreaseQuantity() {
-        const quantityInput = document.getElementById('quantity');
+        const quantityInput = this.getViewRoot().querySelector('#quantity');
         if (quantityInput) {
             const currentValue = parseInt(quantityInput.value);
             if (currentValue > 1) {
@@ -474,10 +786,10 @@ class ProductManager {
      * Increase quantity
      */
     increaseQuantity() {
-        const quantityInput = document.getElementById('quantity');
+        const quantityInput = this.getViewRoot().querySelector('#quantity');
         if (quantityInput) {
             const currentValue = parseInt(quantityInput.value);
-            if (currentValue < 10) {
+            if (currentValue < this.getMaxQuantity()) {
                 quantityInput.value = currentValue + 1;
                 this.quantity = currentValue + 1;
             }
@@ -488,27 +800,81 @@ class ProductManager {
      * Add to cart from product page
      */
     addToCartFromProductPage() {
-        if (!this.currentProduct) return;
+        const cartItem = this.getSelectedCartItem();
+        if (!cartItem) return;
 
-        const quantity = parseInt(document.getElementById('quantity')?.value) || 1;
-        
-        const cartItem = {
+        // You'll need to implement addToCart function in cart.js
+        if (typeof addToCart === 'function') {
+            if (!addToCart(cartItem)) return;
+            showNotification('প্রোডাক্ট কার্টে যোগ করা হয়েছে!', 'success');
+        } else {
+            console.warn('addToCart function not available');
+        }
+    }
+
+    /**
+     * Check out the current selection on its own, without touching the cart
+     */
+    buyNow() {
+        const item = this.getSelectedCartItem();
+        if (!item) return;
+
+        if (!cartManager.checkStock(item.id, item.size, item.color, item.quantity)) return;
+
+        checkoutManager.startBuyNow(item);
+    }
+
+    /**
+     * Build a cart item from the current product, variant and quantity
+     * @returns {Object|null} Cart item, or null if the selection is incomplete
+     */
+    getSelectedCartItem() {
+        if (!this.currentProduct) return null;
+
+        const quantity = parseInt(this.getViewRoot().querySelector('#quantity')?.value) || 1;
+
+        if (!this.validateVariantSelection()) return null;
+
+        const variant = this.getSelectedVariant();
+
+        return {
             id: this.currentProduct.id,
             name: this.currentProduct.name,
-            price: this.currentProduct.price,
+            price: dataManager.getVariantPrice(this.currentProduct, this.selectedSize, this.selectedColor),
+            compareAtPrice: dataManager.getVariantCompareAtPrice(this.currentProduct, this.selectedSize, this.selectedColor),
+            category: this.currentProduct.category,
             image: this.currentProduct.mainImage,
             quantity: quantity,
             color: this.selectedColor,
-            size: this.selectedSize
+            size: this.selectedSize,
+            sku: variant ? variant.sku : null
         };
+    }
 
-        // You'll need to implement addToCart function in cart.js
-        if (typeof addToCart === 'function') {
-            addToCart(cartItem);
-            showNotification('প্রোডাক্ট কার্টে যোগ করা হয়েছে!', 'success');
-        } else {
-            console.warn('addToCart function not available');
+    /**
+     * Make sure a size and color are chosen where the product offers them
+     * @returns {boolean} True if the selection is complete and in stock
+     */
+    validateVariantSelection() {
+        const product = this.currentProduct;
+
+        if ((product.sizes || []).length > 0 && !this.selectedSize) {
+            showNotification('অনুগ্রহ করে সাইজ নির্বাচন করুন।', 'warning');
+            return false;
+        }
+
+        if ((product.colors || []).length > 0 && !this.selectedColor) {
+            showNotification('অনুগ্রহ করে রং নির্বাচন করুন।', 'warning');
+            return false;
+        }
+
+        const variant = this.getSelectedVariant();
+        if (product.variants && !dataManager.isVariantAvailable(variant)) {
+            showNotification('দুঃখিত, এই সাইজ/রং স্টকে নেই।', 'error');
+            return false;
         }
+
+        return true;
     }
 
     /**
@@ -519,16 +885,31 @@ class ProductManager {
         const product = dataManager.getProductById(productId);
         if (!product) return;
 
+        // Products with a choice of size or color are added from their own page
+        const variants = product.variants || [];
+        if (variants.length > 1) {
+            showNotification('সাইজ ও রং নির্বাচন করুন।', 'info');
+            window.location.href = `product.html?id=${encodeURIComponent(product.id)}`;
+            return;
+        }
+
+        const variant = variants[0] || null;
+
         const cartItem = {
             id: product.id,
             name: product.name,
-            price: product.price,
+            price: dataManager.getVariantPrice(product, variant?.size, variant?.color),
+            compareAtPrice: dataManager.getVariantCompareAtPrice(product, variant?.size, variant?.color),
+            category: product.category,
             image: product.mainImage,
-            quantity: 1
+            quantity: 1,
+            color: variant ? variant.color : null,
+            size: variant ? variant.size : null,
+            sku: variant ? variant.sku : null
         };
 
         if (typeof addToCart === 'function') {
-            addToCart(cartItem);
+            if (!addToCart(cartItem)) return;
             showNotification('প্রোডাক্ট কার্টে যোগ করা হয়েছে!', 'success');
         } else {
             console.warn('addToCart function not available');
@@ -536,13 +917,181 @@ class ProductManager {
     }
 
     /**
-     * Quick view product
+     * Open the quick view modal for a product
      * @param {string} productId - Product ID
+     * @param {Object} options - `{ updateHistory }`, false when following the URL
+     */
+    async quickView(productId, { updateHistory = true } = {}) {
+        const modal = document.getElementById('quick-view-modal');
+        const body = document.getElementById('quick-view-body');
+        if (!modal || !body || !productId) return;
+
+        productId = String(productId);
+        if (this.quickViewId === productId) return;
+
+        // Keep the product page's own selection to restore on close
+        if (!this.quickViewId) {
+            this.quickViewState = {
+                currentProduct: this.currentProduct,
+                selectedSize: this.selectedSize,
+                selectedColor: this.selectedColor,
+                quantity: this.quantity,
+                viewRoot: this.viewRoot
+            };
+            this.quickViewTrigger = document.activeElement;
+        }
+
+        this.quickViewId = productId;
+
+        if (updateHistory && getUrlParam('quickview') !== productId) {
+            setUrlParam('quickview', productId);
+        }
+
+        document.getElementById('quick-view-title').textContent = 'প্রোডাক্ট কুইক ভিউ';
+        showLoading('quick-view-body');
+        modal.classList.add('active');
+        modal.setAttribute('aria-hidden', 'false');
+        document.body.classList.add('modal-open');
+        modal.querySelector('.modal-close').focus();
+
+        try {
+            const product = await dataManager.fetchProductById(productId);
+
+            // Closed or switched to another product while loading
+            if (this.quickViewId !== productId) return;
+
+            // fetchProductById has already told the customer
+            if (!product) {
+                this.closeQuickView();
+                return;
+            }
+
+            this.renderQuickView(product);
+        } catch (error) {
+            console.error('Error loading quick view:', error);
+            if (this.quickViewId === productId) {
+                showNotification('প্রোডাক্ট লোড করতে সমস্যা হচ্ছে।', 'error');
+                this.closeQuickView();
+            }
+        }
+    }
+
+    /**
+     * Render a product into the quick view modal
+     * @param {Object} product - Product data
+     */
+    renderQuickView(product) {
+        const body = document.getElementById('quick-view-body');
+
+        this.currentProduct = product;
+        this.viewRoot = body;
+
+        document.getElementById('quick-view-title').textContent = product.name;
+        body.innerHTML = this.generateQuickViewHTML(product);
+
+        this.initImageGallery();
+        this.initZoom();
+        this.initVariantSelection(product);
+
+        const firstOption = body.querySelector('.size-option:not(:disabled), .color-option:not(:disabled)');
+        (firstOption || body.querySelector('.add-to-cart-btn')).focus();
+    }
+
+    /**
+     * Generate quick view HTML from the product page's building blocks
+     * @param {Object} product - Product data
+     * @returns {string} HTML string
+     */
+    generateQuickViewHTML(product) {
+        return `
+            <div class="product-detail quick-view-detail">
+                ${this.generateGalleryHTML(product)}
+
+                <div class="product-info">
+                    <div class="product-header">
+                        <div class="product-price product-pricing">
+                            ${this.generatePriceHTML(product.price, product.compareAtPrice)}
+                        </div>
+                    </div>
+
+                    <p class="product-short-description">${this.getShortDescription(product.description)}</p>
+
+                    ${this.generateVariantSelectors(product)}
+
+                    <div class="product-actions">
+                        ${this.generateQuantitySelectorHTML()}
+
+                        <button class="add-to-cart-btn btn-primary">
+                            <i class="fas fa-shopping-cart"></i>
+                            কার্টে যোগ করুন
+                        </button>
+
+                        ${this.generateWishlistButtonHTML(product)}
+                    </div>
+
+                    <a href="product.html?id=${encodeURIComponent(product.id)}" class="quick-view-details-link">
+                        সম্পূর্ণ বিবরণ দেখুন
+                        <i class="fas fa-arrow-right"></i>
+                    </a>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Close the quick view modal
+     * @param {Object} options - `{ updateHistory }`, false when following the URL
      */
-    async quickView(productId) {
-        // Implement quick view modal
-        console.log('Quick view for product:', productId);
-        // You can implement a modal here to show product details quickly
+    closeQuickView({ updateHistory = true } = {}) {
+        const modal = document.getElementById('quick-view-modal');
+        if (!modal || !this.quickViewId) return;
+
+        this.quickViewId = null;
+
+        modal.classList.remove('active');
+        modal.setAttribute('aria-hidden', 'true');
+        document.body.classList.remove('modal-open');
+        document.getElementById('quick-view-body').innerHTML = '';
+
+        if (this.quickViewState) {
+            Object.assign(this, this.quickViewState);
+            this.quickViewState = null;
+        }
+
+        if (updateHistory && getUrlParam('quickview')) {
+            removeUrlParam('quickview');
+        }
+
+        if (this.quickViewTrigger && document.contains(this.quickViewTrigger)) {
+            this.quickViewTrigger.focus();
+        }
+        this.quickViewTrigger = null;
+    }
+
+    /**
+     * Keep Tab and Shift+Tab cycling inside the quick view modal
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    trapQuickViewFocus(e) {
+        const modal = document.getElementById('quick-view-modal');
+        const focusable = [...modal.querySelectorAll(
+            'a[href], button:not(:disabled), input:not(:disabled), select:not(:disabled), [tabindex]:not([tabindex="-1"])'
+        )];
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (!modal.contains(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
     }
 }
 
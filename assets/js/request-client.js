@@ -0,0 +1,207 @@
+// ===== TinyStepsBD Request Layer =====
+
+/**
+ * Base class of the errors thrown for failed backend requests. Callers can
+ * tell the kinds apart with `instanceof`:
+ *
+ *  - NetworkError: the backend could not be reached (TimeoutError when it
+ *    did not answer in time)
+ *  - HttpError: it answered with an error status (`status`)
+ *  - BackendError: it answered `success: false` (`code`, `envelope`)
+ */
+class RequestError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.url = details.url || null;
+    }
+}
+
+/**
+ * The request never got an answer (offline, DNS, CORS, connection reset)
+ */
+class NetworkError extends RequestError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.cause = details.cause || null;
+    }
+}
+
+/**
+ * The backend did not answer within the timeout
+ */
+class TimeoutError extends NetworkError {
+    constructor(timeout, details = {}) {
+        super(`Request timed out after ${timeout}ms`, details);
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * The backend answered with an HTTP error status
+ */
+class HttpError extends RequestError {
+    constructor(response, details = {}) {
+        super(`HTTP error! status: ${response.status}`, { url: response.url, ...details });
+        this.status = response.status;
+        // Seconds to wait, when a 429 or 503 says so
+        this.retryAfter = parseInt(response.headers && response.headers.get('Retry-After')) || null;
+    }
+}
+
+/**
+ * The backend understood the request and refused it (`success: false`)
+ */
+class BackendError extends RequestError {
+    constructor(message, envelope = {}) {
+        super(message || envelope.error || 'Request failed');
+        this.code = envelope.code || null;
+        this.envelope = envelope;
+    }
+}
+
+/**
+ * Shared `fetch` wrapper for the backend adapters.
+ *
+ * Every request is aborted after a timeout. GET and HEAD requests are safe
+ * to repeat, so they are retried with exponential backoff on network errors
+ * and on 408, 429 and 5xx answers, and identical ones already in flight share
+ * a single request. Other methods are sent exactly once.
+ */
+class RequestClient {
+    constructor(config = APP_CONFIG.requests) {
+        this.timeout = config.timeout;
+        this.retries = config.retries;
+        this.retryDelay = config.retryDelay;
+        this.inFlight = new Map();
+    }
+
+    /**
+     * Send a request
+     * @param {string} url - Request URL
+     * @param {Object} options - `fetch` options, plus `timeout` (ms) and `retries`
+     * @returns {Promise<Response>} Response with a status below 400
+     * @throws {NetworkError|TimeoutError|HttpError} When the request fails
+     */
+    request(url, options = {}) {
+        if (!this.isIdempotent(options)) {
+            return this.send(url, options);
+        }
+
+        const key = this.getRequestKey(url, options);
+        let shared = this.inFlight.get(key);
+
+        if (!shared) {
+            shared = this.sendWithRetries(url, options).finally(() => this.inFlight.delete(key));
+            this.inFlight.set(key, shared);
+        }
+
+        // Each caller reads its own copy of the body
+        return shared.then(response => response.clone());
+    }
+
+    /**
+     * Check if a request can safely be repeated
+     * @param {Object} options - `fetch` options
+     * @returns {boolean} True for GET and HEAD
+     */
+    isIdempotent(options) {
+        return ['GET', 'HEAD'].includes((options.method || 'GET').toUpperCase());
+    }
+
+    /**
+     * Identify requests that would get the same answer
+     * @param {string} url - Request URL
+     * @param {Object} options - `fetch` options
+     * @returns {string} Key for the in-flight map
+     */
+    getRequestKey(url, options) {
+        return JSON.stringify([
+            (options.method || 'GET').toUpperCase(),
+            url,
+            options.headers || {},
+            options.cache || ''
+        ]);
+    }
+
+    /**
+     * Send a request, retrying failures that may clear up
+     * @param {string} url - Request URL
+     * @param {Object} options - Request options
+     * @returns {Promise<Response>} Response
+     */
+    async sendWithRetries(url, options) {
+        const retries = options.retries ?? this.retries;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(url, options);
+            } catch (error) {
+                if (attempt >= retries || !this.isRetryable(error)) throw error;
+
+                await new Promise(resolve => setTimeout(resolve, this.getRetryDelay(attempt, error)));
+            }
+        }
+    }
+
+    /**
+     * Send a request once, aborting it if the response headers take too long
+     * @param {string} url - Request URL
+     * @param {Object} options - Request options
+     * @returns {Promise<Response>} Response
+     */
+    async send(url, options = {}) {
+        const { timeout = this.timeout, retries, ...init } = options;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        let response;
+
+        try {
+            response = await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                throw new TimeoutError(timeout, { url });
+            }
+            throw new NetworkError(error.message || 'Failed to fetch', { url, cause: error });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (response.status >= 400) {
+            throw new HttpError(response, { url });
+        }
+
+        return response;
+    }
+
+    /**
+     * Check if a failed request is worth trying again
+     * @param {Error} error - Error from `send`
+     * @returns {boolean} True for transient failures
+     */
+    isRetryable(error) {
+        // Offline, every attempt would fail the same way
+        if (error instanceof NetworkError) return navigator.onLine;
+        if (error instanceof HttpError) return [408, 429].includes(error.status) || error.status >= 500;
+        return false;
+    }
+
+    /**
+     * How long to wait before the next attempt: doubling each time, with
+     * jitter so many clients do not retry in step
+     * @param {number} attempt - Number of the attempt that failed, from 0
+     * @param {Error} error - Error of that attempt
+     * @returns {number} Delay in ms
+     */
+    getRetryDelay(attempt, error) {
+        if (error.retryAfter) {
+            return Math.min(error.retryAfter * 1000, this.timeout);
+        }
+
+        const delay = this.retryDelay * 2 ** attempt;
+        return delay / 2 + Math.random() * delay / 2;
+    }
+}
+
+// Create global request client instance
+const requestClient = new RequestClient();
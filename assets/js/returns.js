@@ -0,0 +1,550 @@
+// ===== TinyStepsBD Returns & Exchanges =====
+
+/**
+ * Return request statuses, tracked separately from the order status
+ */
+const RETURN_STATUSES = {
+    requested: { label: 'রিটার্ন অনুরোধ পাঠানো হয়েছে', open: true },
+    approved: { label: 'রিটার্ন অনুমোদিত', open: true },
+    picked_up: { label: 'প্রোডাক্ট সংগ্রহ করা হয়েছে', open: true },
+    rejected: { label: 'রিটার্ন অনুরোধ বাতিল', open: false },
+    refunded: { label: 'টাকা ফেরত দেওয়া হয়েছে', open: false },
+    exchanged: { label: 'এক্সচেঞ্জ সম্পন্ন', open: false }
+};
+
+/**
+ * Return and exchange requests for delivered orders.
+ *
+ * A delivered order can have one return request while it is within the
+ * return window. The request lives on the order (`order.returnRequest`) and
+ * its status is refreshed together with the order's.
+ */
+class ReturnsManager {
+    constructor(config = APP_CONFIG.returns) {
+        this.windowDays = config.windowDays;
+        this.reasons = config.reasons || [];
+        this.maxPhotos = config.maxPhotos;
+        this.maxPhotoSizeMB = config.maxPhotoSizeMB;
+        this.photoMaxDimension = config.photoMaxDimension;
+        this.photos = [];
+        this.bindEvents();
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.addEventListener('click', (e) => {
+            const returnButton = e.target.closest('.return-order-btn');
+            const removePhotoButton = e.target.closest('.remove-return-photo');
+
+            if (returnButton) {
+                this.openReturnModal(returnButton.dataset.orderId);
+            } else if (removePhotoButton) {
+                this.removePhoto(Number(removePhotoButton.dataset.index));
+            } else if (e.target.closest('#return-modal .modal-close') || e.target.id === 'return-modal') {
+                this.closeReturnModal();
+            }
+        });
+
+        document.addEventListener('change', (e) => {
+            const form = e.target.closest && e.target.closest('#return-form');
+            if (!form) return;
+
+            if (e.target.name === 'return_photos') {
+                this.addPhotos(e.target);
+            } else if (e.target.name === 'return_type' || String(e.target.name).startsWith('return_item_')) {
+                this.updateItemFields(form);
+            }
+        });
+
+        document.addEventListener('submit', (e) => {
+            if (e.target.id === 'return-form') {
+                e.preventDefault();
+                this.handleReturnSubmit(e.target);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeReturnModal();
+            }
+        });
+    }
+
+    /**
+     * Check if a return request is still being handled
+     * @param {Object|undefined} returnRequest - Return request
+     * @returns {boolean} True while open
+     */
+    isOpen(returnRequest) {
+        return Boolean(returnRequest && RETURN_STATUSES[returnRequest.status] &&
+            RETURN_STATUSES[returnRequest.status].open);
+    }
+
+    /**
+     * Get when an order was delivered
+     * @param {Object} order - Order
+     * @returns {Date|null} Delivery date, or null if not delivered
+     */
+    getDeliveredAt(order) {
+        if (order.status !== 'delivered' || !order.statusUpdatedAt) return null;
+        return new Date(order.statusUpdatedAt);
+    }
+
+    /**
+     * Get the last day a return can be requested
+     * @param {Object} order - Order
+     * @returns {Date|null} Deadline, or null if not delivered
+     */
+    getReturnDeadline(order) {
+        const deliveredAt = this.getDeliveredAt(order);
+        if (!deliveredAt) return null;
+
+        return new Date(deliveredAt.getTime() + this.windowDays * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Check if a return can be requested for an order
+     * @param {Object} order - Order
+     * @returns {boolean} True for delivered orders inside the window without a request
+     */
+    canRequestReturn(order) {
+        const deadline = this.getReturnDeadline(order);
+        return Boolean(deadline) && Date.now() <= deadline.getTime() && !order.returnRequest;
+    }
+
+    /**
+     * Convert a return request from the backend to the shape kept on the order
+     * @param {Object} remote - Backend return request
+     * @returns {Object} Return request
+     */
+    fromRemoteReturn(remote) {
+        return {
+            returnId: String(remote.return_id),
+            type: remote.type === 'exchange' ? 'exchange' : 'return',
+            status: RETURN_STATUSES[remote.status] ? remote.status : 'requested',
+            items: Array.isArray(remote.items) ? remote.items : [],
+            note: remote.resolution_note || '',
+            createdAt: remote.created_at || new Date().toISOString(),
+            updatedAt: remote.updated_at || remote.created_at || new Date().toISOString()
+        };
+    }
+
+    /**
+     * Store the backend's view of an order's return request on the order
+     * @param {Object} order - Order (changed in place)
+     * @param {Object|null} remote - Backend return request
+     * @returns {boolean} True if anything changed
+     */
+    applyRemoteReturn(order, remote) {
+        if (!remote) return false;
+
+        const returnRequest = this.fromRemoteReturn(remote);
+        const current = order.returnRequest;
+
+        if (current && current.returnId === returnRequest.returnId && current.status === returnRequest.status) {
+            return false;
+        }
+
+        order.returnRequest = returnRequest;
+        return true;
+    }
+
+    /**
+     * Create the return status block shown on an order card
+     * @param {Object} order - Order
+     * @returns {string} HTML, empty when there is nothing to show
+     */
+    createReturnSummary(order) {
+        const returnRequest = order.returnRequest;
+
+        if (returnRequest) {
+            const status = RETURN_STATUSES[returnRequest.status];
+
+            return `
+                <div class="order-return-status ${this.isOpen(returnRequest) ? 'open' : ''}">
+                    <i class="fas fa-undo"></i>
+                    ${returnRequest.type === 'exchange' ? 'এক্সচেঞ্জ' : 'রিটার্ন'} #${sanitizeHTML(returnRequest.returnId)}:
+                    <strong>${status.label}</strong>
+                    ${returnRequest.note ? `<div class="form-help">${sanitizeHTML(returnRequest.note)}</div>` : ''}
+                </div>
+            `;
+        }
+
+        if (this.canRequestReturn(order)) {
+            return `
+                <div class="order-return-status">
+                    <i class="fas fa-undo"></i>
+                    ${formatDate(this.getReturnDeadline(order))} পর্যন্ত রিটার্ন বা এক্সচেঞ্জ করা যাবে
+                </div>
+            `;
+        }
+
+        return '';
+    }
+
+    /**
+     * Create the return button shown on an order card
+     * @param {Object} order - Order
+     * @returns {string} Button HTML, empty when a return cannot be requested
+     */
+    createReturnButton(order) {
+        if (!this.canRequestReturn(order)) return '';
+
+        return `
+            <button type="button" class="btn btn-secondary return-order-btn" data-order-id="${sanitizeHTML(order.orderId)}">
+                <i class="fas fa-undo"></i> রিটার্ন/এক্সচেঞ্জ
+            </button>
+        `;
+    }
+
+    /**
+     * Open the return form for an order
+     * @param {string} orderId - Order ID
+     */
+    async openReturnModal(orderId) {
+        const order = ordersManager.getOrder(orderId);
+        const modal = document.getElementById('return-modal');
+        const form = document.getElementById('return-form');
+        if (!order || !modal || !form) return;
+
+        if (!this.canRequestReturn(order)) {
+            showNotification(`ডেলিভারির ${formatNumber(this.windowDays)} দিনের মধ্যে রিটার্ন করা যায়।`, 'error');
+            return;
+        }
+
+        this.photos = [];
+        form.dataset.orderId = order.orderId;
+        form.innerHTML = this.createReturnForm(order, await this.getExchangeSizes(order));
+        this.updateItemFields(form);
+
+        modal.classList.add('active');
+        document.body.classList.add('modal-open');
+    }
+
+    /**
+     * Get the sizes each item could be exchanged for
+     * @param {Object} order - Order
+     * @returns {Promise<Array>} Per item, in-stock sizes other than the one ordered
+     *     (empty when the product's sizes are unknown)
+     */
+    async getExchangeSizes(order) {
+        if (!dataManager.isProductsLoaded()) {
+            await dataManager.fetchAllProducts();
+        }
+
+        return (order.items || []).map(item => {
+            const product = dataManager.getProductById(item.product_id);
+            if (!product || !product.variants) return [];
+
+            return product.sizes.filter(size =>
+                size !== item.size &&
+                dataManager.isVariantAvailable(dataManager.findVariant(product, size, item.color || null))
+            );
+        });
+    }
+
+    /**
+     * Create the return form
+     * @param {Object} order - Order
+     * @param {Array} exchangeSizes - Sizes per item from getExchangeSizes
+     * @returns {string} Form HTML
+     */
+    createReturnForm(order, exchangeSizes) {
+        const items = order.items || [];
+
+        return `
+            <p>অর্ডার #${sanitizeHTML(order.orderId)} - ${formatDate(this.getReturnDeadline(order))} পর্যন্ত রিটার্ন করা যাবে।</p>
+
+            <div class="form-group">
+                <label>আপনি কী চান? *</label>
+                <label class="payment-amount-option">
+                    <input type="radio" name="return_type" value="return" checked>
+                    রিটার্ন (টাকা ফেরত)
+                </label>
+                <label class="payment-amount-option">
+                    <input type="radio" name="return_type" value="exchange">
+                    এক্সচেঞ্জ (অন্য সাইজ)
+                </label>
+            </div>
+
+            <div class="return-items">
+                ${items.map((item, index) => `
+                    <div class="return-item">
+                        <label class="payment-amount-option">
+                            <input type="checkbox" name="return_item_${index}" value="1" ${items.length === 1 ? 'checked' : ''}>
+                            ${sanitizeHTML(item.product_name)}${item.size ? ` (${sanitizeHTML(item.size)})` : ''}
+                        </label>
+                        <div class="return-item-fields">
+                            <select name="return_quantity_${index}" class="form-control" aria-label="পরিমাণ">
+                                ${Array.from({ length: item.quantity }, (_, i) => i + 1).map(quantity => `
+                                    <option value="${quantity}" ${quantity === item.quantity ? 'selected' : ''}>${formatNumber(quantity)} টি</option>
+                                `).join('')}
+                            </select>
+                            ${exchangeSizes[index] && exchangeSizes[index].length > 0 ? `
+                                <select name="exchange_size_${index}" class="form-control exchange-size" aria-label="নতুন সাইজ">
+                                    <option value="">নতুন সাইজ নির্বাচন করুন</option>
+                                    ${exchangeSizes[index].map(size => `<option value="${sanitizeHTML(size)}">${sanitizeHTML(size)}</option>`).join('')}
+                                </select>
+                            ` : `
+                                <input type="text" name="exchange_size_${index}" class="form-control exchange-size" placeholder="নতুন সাইজ লিখুন">
+                            `}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+
+            <div class="form-group">
+                <label for="return-reason">কারণ *</label>
+                <select id="return-reason" name="reason" class="form-control" required>
+                    <option value="">কারণ নির্বাচন করুন</option>
+                    ${this.reasons.map(reason => `<option value="${reason}">${reason}</option>`).join('')}
+                </select>
+            </div>
+
+            <div class="form-group">
+                <label for="return-note">বিস্তারিত (ঐচ্ছিক)</label>
+                <textarea id="return-note" name="note" class="form-control" rows="2"></textarea>
+            </div>
+
+            <div class="form-group">
+                <label for="return-photos">ছবি (ঐচ্ছিক, সর্বোচ্চ ${formatNumber(this.maxPhotos)}টি)</label>
+                <input type="file" id="return-photos" name="return_photos" accept="image/*" multiple>
+                <div class="return-photo-list"></div>
+            </div>
+
+            <div class="field-error return-error" style="display: none;"></div>
+            <button type="submit" class="btn btn-primary return-submit">অনুরোধ পাঠান</button>
+        `;
+    }
+
+    /**
+     * Show quantity and size fields only for selected items, and size fields only for exchanges
+     * @param {HTMLFormElement} form - Return form
+     */
+    updateItemFields(form) {
+        const exchange = this.getReturnType(form) === 'exchange';
+
+        form.querySelectorAll('.return-item').forEach(item => {
+            const selected = item.querySelector('input[type="checkbox"]').checked;
+            item.querySelector('.return-item-fields').style.display = selected ? '' : 'none';
+            item.querySelector('.exchange-size').style.display = exchange ? '' : 'none';
+        });
+    }
+
+    /**
+     * Get the requested type
+     * @param {HTMLFormElement} form - Return form
+     * @returns {string} 'return' or 'exchange'
+     */
+    getReturnType(form) {
+        const selected = form.querySelector('input[name="return_type"]:checked');
+        return selected ? selected.value : 'return';
+    }
+
+    /**
+     * Read the selected items from the form
+     * @param {HTMLFormElement} form - Return form
+     * @param {Object} order - Order
+     * @returns {Array} `{ product_id, product_name, size, color, quantity, exchange_size }`
+     */
+    getSelectedItems(form, order) {
+        const formData = new FormData(form);
+        const exchange = this.getReturnType(form) === 'exchange';
+
+        return (order.items || [])
+            .map((item, index) => formData.get(`return_item_${index}`) ? {
+                product_id: item.product_id,
+                product_name: item.product_name,
+                size: item.size || null,
+                color: item.color || null,
+                quantity: Math.min(item.quantity, parseInt(formData.get(`return_quantity_${index}`)) || 1),
+                exchange_size: exchange ? String(formData.get(`exchange_size_${index}`) || '').trim() : null
+            } : null)
+            .filter(Boolean);
+    }
+
+    /**
+     * Validate the return form
+     * @param {HTMLFormElement} form - Return form
+     * @param {Object} order - Order
+     * @returns {string} Error message, empty if valid
+     */
+    validateReturnForm(form, order) {
+        const items = this.getSelectedItems(form, order);
+
+        if (items.length === 0) {
+            return 'অন্তত একটি প্রোডাক্ট নির্বাচন করুন';
+        }
+
+        if (this.getReturnType(form) === 'exchange' && items.some(item => !item.exchange_size)) {
+            return 'এক্সচেঞ্জের জন্য নতুন সাইজ নির্বাচন করুন';
+        }
+
+        if (!new FormData(form).get('reason')) {
+            return 'কারণ নির্বাচন করুন';
+        }
+
+        return '';
+    }
+
+    /**
+     * Add photos chosen in the file input, shrinking them for upload
+     * @param {HTMLInputElement} input - File input
+     */
+    async addPhotos(input) {
+        const files = Array.from(input.files || []);
+        input.value = '';
+
+        for (const file of files) {
+            if (this.photos.length >= this.maxPhotos) {
+                showNotification(`সর্বোচ্চ ${formatNumber(this.maxPhotos)}টি ছবি দেওয়া যাবে।`, 'warning');
+                break;
+            }
+
+            if (!file.type.startsWith('image/') || file.size > this.maxPhotoSizeMB * 1024 * 1024) {
+                showNotification(`শুধু ${formatNumber(this.maxPhotoSizeMB)} MB পর্যন্ত ছবি দেওয়া যাবে।`, 'error');
+                continue;
+            }
+
+            try {
+                this.photos.push(await this.compressPhoto(file));
+            } catch (error) {
+                console.error('Error reading photo:', error);
+                showNotification('ছবিটি পড়া যায়নি। অন্য ছবি দিন।', 'error');
+            }
+        }
+
+        this.renderPhotos();
+    }
+
+    /**
+     * Scale a photo down and re-encode it as JPEG
+     * @param {File} file - Image file
+     * @returns {Promise<string>} JPEG data URL
+     */
+    compressPhoto(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onerror = () => reject(reader.error);
+            reader.onload = () => {
+                const image = new Image();
+
+                image.onerror = () => reject(new Error('Invalid image'));
+                image.onload = () => {
+                    const scale = Math.min(1, this.photoMaxDimension / Math.max(image.width, image.height));
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.round(image.width * scale);
+                    canvas.height = Math.round(image.height * scale);
+                    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                    resolve(canvas.toDataURL('image/jpeg', 0.8));
+                };
+                image.src = reader.result;
+            };
+
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Remove a chosen photo
+     * @param {number} index - Photo index
+     */
+    removePhoto(index) {
+        this.photos.splice(index, 1);
+        this.renderPhotos();
+    }
+
+    /**
+     * Render previews of the chosen photos
+     */
+    renderPhotos() {
+        const list = document.querySelector('#return-form .return-photo-list');
+        if (!list) return;
+
+        list.innerHTML = this.photos.map((photo, index) => `
+            <div class="return-photo">
+                <img src="${photo}" alt="ছবি ${formatNumber(index + 1)}">
+                <button type="button" class="remove-return-photo" data-index="${index}" aria-label="ছবি সরান">&times;</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Send a return or exchange request
+     * @param {HTMLFormElement} form - Return form
+     */
+    async handleReturnSubmit(form) {
+        const order = ordersManager.getOrder(form.dataset.orderId);
+        if (!order) return;
+
+        const error = this.validateReturnForm(form, order);
+        this.showReturnError(form, error);
+        if (error) return;
+
+        const formData = new FormData(form);
+        const request = {
+            order_id: order.orderId,
+            phone: order.phone,
+            type: this.getReturnType(form),
+            reason: formData.get('reason'),
+            note: String(formData.get('note') || '').trim(),
+            items: this.getSelectedItems(form, order),
+            photos: this.photos
+        };
+
+        const submitBtn = form.querySelector('.return-submit');
+        const originalText = submitBtn.innerHTML;
+        submitBtn.innerHTML = '<div class="spinner"></div> পাঠানো হচ্ছে...';
+        submitBtn.disabled = true;
+
+        try {
+            const remote = await dataManager.submitReturnRequest(request);
+
+            ordersManager.updateOrder(order.orderId, {
+                returnRequest: this.fromRemoteReturn({ ...remote, type: request.type, items: request.items })
+            });
+            this.closeReturnModal();
+            ordersManager.renderOrders();
+
+            showNotification('আপনার অনুরোধ পাঠানো হয়েছে। আমরা শীঘ্রই যোগাযোগ করব।', 'success');
+
+        } catch (error) {
+            console.error('Return request error:', error);
+            this.showReturnError(form, error.message || 'অনুরোধ পাঠাতে সমস্যা হয়েছে। আবার চেষ্টা করুন।');
+        } finally {
+            submitBtn.innerHTML = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show or clear the return form's error message
+     * @param {HTMLFormElement} form - Return form
+     * @param {string} message - Error message, empty to clear
+     */
+    showReturnError(form, message) {
+        const element = form.querySelector('.return-error');
+        if (!element) return;
+
+        element.textContent = message;
+        element.style.display = message ? '' : 'none';
+    }
+
+    /**
+     * Close the return modal
+     */
+    closeReturnModal() {
+        const modal = document.getElementById('return-modal');
+        if (!modal || !modal.classList.contains('active')) return;
+
+        this.photos = [];
+        modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+}
+
+// Create global returns manager instance
+const returnsManager = new ReturnsManager();
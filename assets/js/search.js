@@ -0,0 +1,365 @@
+// ===== TinyStepsBD Product Search =====
+
+/**
+ * How much a match in each product field counts towards relevance
+ */
+const SEARCH_FIELD_WEIGHTS = {
+    name: 3,
+    category: 2,
+    color: 1.5,
+    size: 1,
+    description: 1
+};
+
+/**
+ * Romanization of Bangla letters and signs. Consonants carry no inherent
+ * vowel, which is close to how Bangla words are typed in English ("juta").
+ */
+const BANGLA_TO_LATIN = {
+    'অ': 'o', 'আ': 'a', 'ই': 'i', 'ঈ': 'i', 'উ': 'u', 'ঊ': 'u', 'ঋ': 'ri',
+    'এ': 'e', 'ঐ': 'oi', 'ও': 'o', 'ঔ': 'ou',
+    'া': 'a', 'ি': 'i', 'ী': 'i', 'ু': 'u', 'ূ': 'u', 'ৃ': 'ri',
+    'ে': 'e', 'ৈ': 'oi', 'ো': 'o', 'ৌ': 'ou',
+    'ক': 'k', 'খ': 'kh', 'গ': 'g', 'ঘ': 'gh', 'ঙ': 'ng',
+    'চ': 'ch', 'ছ': 'chh', 'জ': 'j', 'ঝ': 'jh', 'ঞ': 'n',
+    'ট': 't', 'ঠ': 'th', 'ড': 'd', 'ঢ': 'dh', 'ণ': 'n',
+    'ত': 't', 'থ': 'th', 'দ': 'd', 'ধ': 'dh', 'ন': 'n',
+    'প': 'p', 'ফ': 'f', 'ব': 'b', 'ভ': 'bh', 'ম': 'm',
+    'য': 'j', 'র': 'r', 'ল': 'l', 'শ': 'sh', 'ষ': 'sh', 'স': 's', 'হ': 'h',
+    '\u09DC': 'r', '\u09DD': 'rh', '\u09DF': 'y', 'ৎ': 't', 'ং': 'ng', 'ঃ': 'h', 'ঁ': '', '্': ''
+};
+
+class SearchEngine {
+    constructor(config = APP_CONFIG.search) {
+        this.minQueryLength = config.minQueryLength || 2;
+        this.maxSuggestions = config.maxSuggestions || 5;
+        this.synonyms = this.buildSynonyms(config.synonyms || []);
+        this.indexedProducts = null;
+        this.terms = new Map();
+        this.descriptions = new Map();
+    }
+
+    /**
+     * Map every synonym to the other words in its group
+     * @param {Array} groups - Arrays of words that mean the same thing
+     * @returns {Map} Token to Set of synonym tokens
+     */
+    buildSynonyms(groups) {
+        const synonyms = new Map();
+
+        groups.forEach(group => {
+            const tokens = group.flatMap(word => this.tokenize(word));
+            tokens.forEach(token => {
+                const related = synonyms.get(token) || new Set();
+                tokens.forEach(other => {
+                    if (other !== token) related.add(other);
+                });
+                synonyms.set(token, related);
+            });
+        });
+
+        return synonyms;
+    }
+
+    /**
+     * Split text into lowercase search tokens
+     * @param {*} text - Text (missing values give no tokens)
+     * @returns {Array} Tokens
+     */
+    tokenize(text) {
+        return this.normalize(text)
+            .split(/[^\p{L}\p{M}\p{N}]+/u)
+            .filter(token => token !== '');
+    }
+
+    /**
+     * Normalize text for matching: Unicode form, case and Bangla digits
+     * @param {*} text - Text
+     * @returns {string} Normalized text
+     */
+    normalize(text) {
+        return String(text ?? '')
+            .normalize('NFC')
+            // NFC splits ড়, ঢ় and য় into letter + nukta; keep each as one letter
+            .replace(/\u09A1\u09BC/g, '\u09DC')
+            .replace(/\u09A2\u09BC/g, '\u09DD')
+            .replace(/\u09AF\u09BC/g, '\u09DF')
+            .replace(/[\u09E6-\u09EF]/g, digit => String(digit.charCodeAt(0) - 0x09E6))
+            .toLowerCase();
+    }
+
+    /**
+     * Romanize a Bangla token; other tokens are returned unchanged
+     * @param {string} token - Token
+     * @returns {string} Latin spelling
+     */
+    transliterate(token) {
+        if (!/[\u0980-\u09FF]/.test(token)) return token;
+
+        let latin = '';
+        [...token].forEach((char, index, chars) => {
+            // য after a hasanta is the ya-phala ("স্যা" is "sa", not "sja")
+            if (char === 'য' && chars[index - 1] === '্') return;
+            latin += BANGLA_TO_LATIN[char] ?? char;
+        });
+
+        return latin;
+    }
+
+    /**
+     * Reduce a Latin spelling to its consonant skeleton so variant spellings
+     * ("sandal", "sendel", "স্যান্ডেল") share a key
+     * @param {string} latin - Latin spelling
+     * @returns {string} Phonetic key
+     */
+    phoneticKey(latin) {
+        const consonants = latin
+            .replace(/chh|ch/g, 'c')
+            .replace(/([kgjtdbs])h/g, '$1')
+            .replace(/ph/g, 'f')
+            .replace(/v/g, 'b')
+            .replace(/z/g, 'j')
+            .replace(/q/g, 'k');
+
+        if (!consonants) return '';
+
+        return (consonants[0] + consonants.slice(1).replace(/[aeiouyw]/g, ''))
+            .replace(/(.)\1+/g, '$1');
+    }
+
+    /**
+     * Get the forms of a token used for matching
+     * @param {string} token - Normalized token
+     * @returns {Object} `{ text, latin, key }`
+     */
+    describe(token) {
+        let description = this.descriptions.get(token);
+
+        if (!description) {
+            const latin = this.transliterate(token);
+            description = { text: token, latin: latin, key: this.phoneticKey(latin) };
+            this.descriptions.set(token, description);
+        }
+
+        return description;
+    }
+
+    /**
+     * Build the inverted index (token -> product -> field weight)
+     * @param {Array} products - Processed products
+     */
+    buildIndex(products) {
+        this.terms = new Map();
+
+        products.forEach(product => {
+            Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+                this.tokenize(product[field]).forEach(token => {
+                    const postings = this.terms.get(token) || new Map();
+                    postings.set(product.id, Math.max(postings.get(product.id) || 0, weight));
+                    this.terms.set(token, postings);
+                });
+            });
+        });
+
+        this.indexedProducts = products;
+    }
+
+    /**
+     * Rebuild the index when the product list has been replaced
+     * @param {Array} products - Processed products
+     */
+    ensureIndex(products) {
+        if (this.indexedProducts !== products) {
+            this.buildIndex(products);
+        }
+    }
+
+    /**
+     * Get a query token and its synonyms, with how much each counts
+     * @param {string} token - Query token
+     * @returns {Array} `[{ token, factor }]`
+     */
+    expand(token) {
+        const variants = [{ token: token, factor: 1 }];
+        const description = this.describe(token);
+
+        // Synonyms of the token itself, or of the Bangla word it romanizes
+        this.synonyms.forEach((related, word) => {
+            if (word !== token && this.describe(word).latin !== description.latin) return;
+
+            if (word !== token) {
+                variants.push({ token: word, factor: 0.95 });
+            }
+            related.forEach(synonym => {
+                if (synonym !== token) variants.push({ token: synonym, factor: 0.9 });
+            });
+        });
+
+        return variants;
+    }
+
+    /**
+     * Compare two spellings
+     * @param {string} query - Query spelling
+     * @param {string} term - Indexed spelling
+     * @returns {number} Score from 0 (no match) to 1 (exact)
+     */
+    compare(query, term) {
+        if (query === term) return 1;
+        if (query.length >= 2 && term.startsWith(query)) return 0.8;
+
+        // Allow one typo from 4 letters and two from 8
+        const allowed = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0;
+        if (allowed === 0) return 0;
+
+        const distance = this.editDistance(query, term, allowed);
+        return distance <= allowed ? 0.7 - 0.15 * (distance - 1) : 0;
+    }
+
+    /**
+     * Score how well a query token matches an indexed token
+     * @param {string} query - Query token
+     * @param {string} term - Indexed token
+     * @returns {number} Score from 0 to 1
+     */
+    scoreTerm(query, term) {
+        const q = this.describe(query);
+        const t = this.describe(term);
+
+        let score = this.compare(q.text, t.text);
+
+        // Bangla written in English letters, or the other way round
+        if (score < 1 && (q.latin !== q.text || t.latin !== t.text)) {
+            score = Math.max(score, this.compare(q.latin, t.latin) * 0.95);
+        }
+
+        if (score === 0 && q.key.length >= 2 && q.key === t.key) {
+            score = 0.5;
+        }
+
+        return score;
+    }
+
+    /**
+     * Restricted Damerau-Levenshtein distance, giving up past a limit
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} limit - Largest distance of interest
+     * @returns {number} Distance, or limit + 1 when larger
+     */
+    editDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+
+                nextRow.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > limit) return limit + 1;
+
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    }
+
+    /**
+     * Score a query token against every indexed product
+     * @param {string} token - Query token
+     * @returns {Map} Product ID to best score
+     */
+    scoreProducts(token) {
+        const scores = new Map();
+        const variants = this.expand(token);
+
+        this.terms.forEach((postings, term) => {
+            const score = Math.max(...variants.map(variant => this.scoreTerm(variant.token, term) * variant.factor));
+            if (score === 0) return;
+
+            postings.forEach((weight, productId) => {
+                scores.set(productId, Math.max(scores.get(productId) || 0, score * weight));
+            });
+        });
+
+        return scores;
+    }
+
+    /**
+     * Search products, best matches first. Every query word has to match
+     * some field, allowing for typos, synonyms and transliteration.
+     * @param {string} query - Search query
+     * @param {Array} products - Processed products
+     * @returns {Array} Matching products
+     */
+    search(query, products) {
+        const tokens = [...new Set(this.tokenize(query))];
+        if (tokens.length === 0) return products.slice();
+
+        this.ensureIndex(products);
+
+        let totals = null;
+        tokens.forEach(token => {
+            const scores = this.scoreProducts(token);
+
+            if (totals === null) {
+                totals = scores;
+                return;
+            }
+
+            totals.forEach((total, productId) => {
+                if (scores.has(productId)) {
+                    totals.set(productId, total + scores.get(productId));
+                } else {
+                    totals.delete(productId);
+                }
+            });
+        });
+
+        return products
+            .filter(product => totals.has(product.id))
+            .sort((a, b) => totals.get(b.id) - totals.get(a.id));
+    }
+
+    /**
+     * Wrap the words of a text that match a query in `<mark>`
+     * @param {string} text - Text to show
+     * @param {string} query - Search query
+     * @returns {string} Escaped HTML
+     */
+    highlight(text, query) {
+        const source = String(text ?? '');
+        const variants = [...new Set(this.tokenize(query))].flatMap(token => this.expand(token));
+        if (variants.length === 0) return sanitizeHTML(source);
+
+        let html = '';
+        let last = 0;
+
+        for (const match of source.matchAll(/[\p{L}\p{M}\p{N}]+/gu)) {
+            const word = this.normalize(match[0]);
+            if (!variants.some(variant => this.scoreTerm(variant.token, word) > 0)) continue;
+
+            html += sanitizeHTML(source.slice(last, match.index)) + `<mark>${sanitizeHTML(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+
+        return html + sanitizeHTML(source.slice(last));
+    }
+}
+
+// Create global search engine instance
+const searchEngine = new SearchEngine();
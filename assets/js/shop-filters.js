@@ -0,0 +1,513 @@
+// ===== TinyStepsBD Shop Filters =====
+
+/**
+ * URL parameter that holds each filter
+ */
+const FILTER_PARAMS = {
+    category: 'category',
+    search: 'search',
+    price: 'price',
+    ages: 'age',
+    colors: 'color',
+    inStock: 'in_stock',
+    sort: 'sort'
+};
+
+class ShopFilterManager {
+    constructor(config = APP_CONFIG.filters) {
+        this.priceRanges = config.priceRanges || [];
+        this.state = this.readState();
+        this.init();
+    }
+
+    /**
+     * Initialize shop filter manager
+     */
+    init() {
+        this.bindEvents();
+
+        document.addEventListener('DOMContentLoaded', () => {
+            this.syncControls();
+        });
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Browser back/forward restores the filters in the URL
+        window.addEventListener('popstate', () => {
+            const state = this.readState();
+            if (this.serializeState(state) === this.serializeState(this.state)) return;
+
+            this.state = state;
+            this.syncControls();
+            this.refresh();
+        });
+
+        // Category and sort selects
+        document.addEventListener('change', (e) => {
+            if (e.target.id === 'category-select') {
+                this.setFilter('category', e.target.value);
+            } else if (e.target.id === 'sort-select') {
+                this.setFilter('sort', e.target.value);
+            }
+        });
+
+        // Shop search box
+        const search = debounce((value) => this.setFilter('search', value.trim()), 300);
+        document.addEventListener('input', (e) => {
+            if (e.target.id === 'product-search') {
+                search(e.target.value);
+            }
+        });
+
+        // Facet checkboxes and radios
+        document.addEventListener('change', (e) => {
+            const input = e.target.closest('#shop-facets input');
+            if (!input) return;
+
+            const facet = input.closest('[data-facet]').dataset.facet;
+
+            if (facet === 'price') {
+                this.setFilter('price', input.value);
+            } else if (facet === 'inStock') {
+                this.setFilter('inStock', input.checked);
+            } else {
+                const values = this.state[facet].filter(value => value !== input.value);
+                this.setFilter(facet, input.checked ? [...values, input.value] : values);
+            }
+        });
+
+        // Reset buttons
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('#reset-filters, .facet-reset')) {
+                this.reset();
+            }
+        });
+    }
+
+    /**
+     * Read the filters from the current URL
+     * @returns {Object} Filter state
+     */
+    readState() {
+        return {
+            category: getUrlParam(FILTER_PARAMS.category) || '',
+            search: getUrlParam(FILTER_PARAMS.search) || '',
+            price: getUrlParam(FILTER_PARAMS.price) || '',
+            ages: this.splitParam(getUrlParam(FILTER_PARAMS.ages)),
+            colors: this.splitParam(getUrlParam(FILTER_PARAMS.colors)),
+            inStock: getUrlParam(FILTER_PARAMS.inStock) === '1',
+            sort: getUrlParam(FILTER_PARAMS.sort) || 'default'
+        };
+    }
+
+    /**
+     * Split a comma-separated URL value
+     * @param {string|null} value - URL value
+     * @returns {Array} Values
+     */
+    splitParam(value) {
+        return value ? value.split(',').map(item => item.trim()).filter(item => item !== '') : [];
+    }
+
+    /**
+     * Convert one filter to its URL value
+     * @param {string} name - Filter name
+     * @param {*} value - Filter value
+     * @returns {string} URL value (empty when the filter is off)
+     */
+    serializeFilter(name, value) {
+        if (Array.isArray(value)) return value.join(',');
+        if (typeof value === 'boolean') return value ? '1' : '';
+        if (name === 'sort' && value === 'default') return '';
+        return value || '';
+    }
+
+    /**
+     * Convert a filter state to a comparable string
+     * @param {Object} state - Filter state
+     * @returns {string} Serialized state
+     */
+    serializeState(state) {
+        return Object.keys(FILTER_PARAMS)
+            .map(name => `${name}=${this.serializeFilter(name, state[name])}`)
+            .join('&');
+    }
+
+    /**
+     * Change one filter, record it in the URL and re-render the shop
+     * @param {string} name - Filter name
+     * @param {*} value - New value
+     */
+    setFilter(name, value) {
+        const serialized = this.serializeFilter(name, value);
+        if (serialized === this.serializeFilter(name, this.state[name])) return;
+
+        // A search gets one history entry, not one per keystroke
+        const replace = name === 'search' && Boolean(this.state.search);
+        this.state = { ...this.state, [name]: value };
+
+        // A new filter starts again from the first page
+        setUrlParam({ [FILTER_PARAMS[name]]: serialized || null, page: null }, null, replace);
+
+        this.syncControls();
+        this.refresh();
+    }
+
+    /**
+     * Clear every filter
+     */
+    reset() {
+        const params = [...Object.values(FILTER_PARAMS), 'page'].filter(param => getUrlParam(param) !== null);
+
+        if (params.length > 0) {
+            removeUrlParam(params);
+        }
+
+        this.state = this.readState();
+        this.syncControls();
+        this.refresh();
+    }
+
+    /**
+     * Re-render the shop grid once products are loaded
+     */
+    refresh() {
+        if (productManager.isShopPage() && dataManager.isProductsLoaded()) {
+            productManager.renderShopPage();
+        }
+    }
+
+    /**
+     * Check if any filter other than sorting is applied
+     * @returns {boolean} True if filtered
+     */
+    isFiltered() {
+        return Object.keys(FILTER_PARAMS)
+            .some(name => name !== 'sort' && this.serializeFilter(name, this.state[name]) !== '');
+    }
+
+    /**
+     * Parse a price range such as "500-1000" or "2000-"
+     * @param {string} value - Range
+     * @returns {Object|null} `{ min, max }`, max null when open-ended
+     */
+    parsePriceRange(value) {
+        const match = String(value || '').match(/^(\d*)-(\d*)$/);
+        if (!match || (match[1] === '' && match[2] === '')) return null;
+
+        return {
+            min: match[1] === '' ? 0 : Number(match[1]),
+            max: match[2] === '' ? null : Number(match[2])
+        };
+    }
+
+    /**
+     * Check if a price falls inside a range (the upper bound is excluded)
+     * @param {number} price - Price
+     * @param {string} value - Range
+     * @returns {boolean} True if inside
+     */
+    isInPriceRange(price, value) {
+        const range = this.parsePriceRange(value);
+        if (!range) return true;
+
+        return price >= range.min && (range.max === null || price < range.max);
+    }
+
+    /**
+     * Get the configured price ranges as facet options
+     * @returns {Array} `[{ value, label }]`
+     */
+    getPriceOptions() {
+        return this.priceRanges.map(range => {
+            const min = range.min || 0;
+            const max = range.max ?? null;
+            let label = `${formatPrice(min)} - ${formatPrice(max)}`;
+
+            if (min === 0) {
+                label = `${formatPrice(max)} এর কম`;
+            } else if (max === null) {
+                label = `${formatPrice(min)} বা বেশি`;
+            }
+
+            return { value: `${min}-${max ?? ''}`, label: label };
+        });
+    }
+
+    /**
+     * Get the age ranges a product's sizes fit
+     * @param {Object} product - Processed product
+     * @returns {Array} Age ranges
+     */
+    getProductAges(product) {
+        const sizes = product.sizes && product.sizes.length ? product.sizes : dataManager.splitList(product.size);
+        return dataManager.uniqueValues(sizes.map(size => getAgeRange(size)));
+    }
+
+    /**
+     * Get a product's colors
+     * @param {Object} product - Processed product
+     * @returns {Array} Colors
+     */
+    getProductColors(product) {
+        return product.colors && product.colors.length ? product.colors : dataManager.splitList(product.color);
+    }
+
+    /**
+     * Check if a product passes the current filters
+     * @param {Object} product - Processed product
+     * @param {string|null} skip - Facet to ignore, for counting its options
+     * @returns {boolean} True if the product passes
+     */
+    matchesFilters(product, skip = null) {
+        const { category, price, ages, colors, inStock } = this.state;
+
+        if (skip !== 'category' && category &&
+            String(product.category || '').toLowerCase() !== category.toLowerCase()) {
+            return false;
+        }
+
+        if (skip !== 'price' && price && !this.isInPriceRange(product.price, price)) {
+            return false;
+        }
+
+        if (skip !== 'ages' && ages.length > 0 &&
+            !this.getProductAges(product).some(age => ages.includes(age))) {
+            return false;
+        }
+
+        if (skip !== 'colors' && colors.length > 0 &&
+            !this.getProductColors(product).some(color => colors.includes(color))) {
+            return false;
+        }
+
+        if (skip !== 'inStock' && inStock && product.inStock === false) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the products matching the search box, before the facets apply
+     * @returns {Array} Products
+     */
+    getSearchResults() {
+        return dataManager.searchProducts(this.state.search);
+    }
+
+    /**
+     * Get the products to show, filtered and sorted
+     * @returns {Array} Products
+     */
+    getFilteredProducts() {
+        return this.sortProducts(this.getSearchResults().filter(product => this.matchesFilters(product)));
+    }
+
+    /**
+     * Sort products by the selected order. The default keeps the sheet
+     * order, or relevance order while searching.
+     * @param {Array} products - Products
+     * @returns {Array} Sorted products
+     */
+    sortProducts(products) {
+        const time = product => product.createdAt ? new Date(product.createdAt).getTime() : -Infinity;
+        const compare = {
+            'price-low': (a, b) => a.price - b.price,
+            'price-high': (a, b) => b.price - a.price,
+            'name': (a, b) => String(a.name).localeCompare(String(b.name), 'bn'),
+            'newest': (a, b) => time(b) - time(a)
+        }[this.state.sort];
+
+        if (!compare) return products;
+
+        // Ties keep their original order
+        return products
+            .map((product, index) => ({ product, index }))
+            .sort((a, b) => compare(a.product, b.product) || a.index - b.index)
+            .map(entry => entry.product);
+    }
+
+    /**
+     * Count how many products would match each option of a facet, with
+     * every other filter applied
+     * @param {string} facet - Facet name
+     * @param {Function} getValues - Product to the option values it matches
+     * @returns {Map} Option value to count
+     */
+    countFacet(facet, getValues) {
+        const counts = new Map();
+
+        this.getSearchResults()
+            .filter(product => this.matchesFilters(product, facet))
+            .forEach(product => {
+                getValues(product).forEach(value => {
+                    counts.set(value, (counts.get(value) || 0) + 1);
+                });
+            });
+
+        return counts;
+    }
+
+    /**
+     * Build the options of every facet with their live counts
+     * @returns {Object} Facets by name
+     */
+    getFacets() {
+        const products = dataManager.products;
+        const priceOptions = this.getPriceOptions();
+
+        const ageValues = dataManager.uniqueValues(products.flatMap(product => this.getProductAges(product)))
+            .sort((a, b) => (parseFloat(a) || Infinity) - (parseFloat(b) || Infinity) || a.localeCompare(b));
+        const colorValues = dataManager.uniqueValues(products.flatMap(product => this.getProductColors(product)));
+
+        const categoryCounts = this.countFacet('category', product =>
+            product.category ? [product.category.toLowerCase()] : []);
+        const priceCounts = this.countFacet('price', product =>
+            priceOptions.filter(option => this.isInPriceRange(product.price, option.value)).map(option => option.value));
+        const ageCounts = this.countFacet('ages', product => this.getProductAges(product));
+        const colorCounts = this.countFacet('colors', product => this.getProductColors(product));
+        const inStockCounts = this.countFacet('inStock', product => product.inStock === false ? [] : ['1']);
+
+        return {
+            category: categoryCounts,
+            price: priceOptions.map(option => ({ ...option, count: priceCounts.get(option.value) || 0 })),
+            ages: ageValues.map(value => ({ value: value, label: value, count: ageCounts.get(value) || 0 })),
+            colors: colorValues.map(value => ({ value: value, label: value, count: colorCounts.get(value) || 0 })),
+            inStock: inStockCounts.get('1') || 0
+        };
+    }
+
+    /**
+     * Render the facet panel, result count and category counts
+     * @param {number} resultCount - Number of products shown
+     */
+    renderFacets(resultCount) {
+        const facets = this.getFacets();
+
+        this.updateCategoryCounts(facets.category);
+
+        const countElement = document.getElementById('shop-result-count');
+        if (countElement) {
+            countElement.textContent = `${formatNumber(resultCount)} টি প্রোডাক্ট`;
+        }
+
+        document.querySelectorAll('.facet-reset').forEach(button => {
+            button.style.display = this.isFiltered() ? '' : 'none';
+        });
+
+        const container = document.getElementById('shop-facets');
+        if (!container) return;
+
+        // Keep keyboard focus on the option that was just toggled
+        const focused = container.contains(document.activeElement) ? document.activeElement : null;
+
+        container.innerHTML = [
+            this.generateFacetGroupHTML('price', 'দাম', 'radio', [
+                { value: '', label: 'যেকোনো দাম', count: null },
+                ...facets.price
+            ], [this.state.price]),
+            this.generateFacetGroupHTML('ages', 'বয়স / সাইজ', 'checkbox', facets.ages, this.state.ages),
+            this.generateFacetGroupHTML('colors', 'রং', 'checkbox', facets.colors, this.state.colors),
+            this.generateFacetGroupHTML('inStock', 'স্টক', 'checkbox', [
+                { value: '1', label: 'শুধু স্টকে আছে', count: facets.inStock }
+            ], this.state.inStock ? ['1'] : [])
+        ].join('');
+
+        if (focused) {
+            const input = [...container.querySelectorAll('input')]
+                .find(element => element.name === focused.name && element.value === focused.value);
+            if (input) input.focus();
+        }
+    }
+
+    /**
+     * Generate the markup for one facet
+     * @param {string} facet - Facet name
+     * @param {string} title - Heading
+     * @param {string} type - Input type (radio or checkbox)
+     * @param {Array} options - `[{ value, label, count }]`, count null to hide it
+     * @param {Array} selected - Selected values
+     * @returns {string} HTML string
+     */
+    generateFacetGroupHTML(facet, title, type, options, selected) {
+        if (options.length === 0) return '';
+
+        return `
+            <fieldset class="facet-group" data-facet="${facet}">
+                <legend class="facet-title">${title}</legend>
+                ${options.map(option => {
+                    const checked = selected.includes(option.value);
+                    const disabled = option.count === 0 && !checked;
+
+                    return `
+                        <label class="facet-option ${disabled ? 'disabled' : ''}">
+                            <input type="${type}" name="facet-${facet}" value="${sanitizeHTML(option.value)}"
+                                   ${checked ? 'checked' : ''} ${disabled ? 'disabled' : ''}>
+                            <span class="facet-label">${sanitizeHTML(option.label)}</span>
+                            ${option.count === null ? '' : `<span class="facet-count">(${formatNumber(option.count)})</span>`}
+                        </label>
+                    `;
+                }).join('')}
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Show live counts in the category select, adding categories that only
+     * exist in the product sheet
+     * @param {Map} counts - Lowercase category to count
+     */
+    updateCategoryCounts(counts) {
+        const select = document.getElementById('category-select');
+        if (!select) return;
+
+        const known = new Set([...select.options].map(option => option.value.toLowerCase()));
+        dataManager.getCategories().forEach(category => {
+            if (!known.has(category.toLowerCase())) {
+                select.add(new Option(category, category));
+                known.add(category.toLowerCase());
+            }
+        });
+
+        [...select.options].forEach(option => {
+            if (!option.value) return;
+
+            option.dataset.label = option.dataset.label || option.textContent;
+            option.textContent = `${option.dataset.label} (${formatNumber(counts.get(option.value.toLowerCase()) || 0)})`;
+        });
+
+        select.value = this.state.category;
+    }
+
+    /**
+     * Show the current filters in the shop controls
+     */
+    syncControls() {
+        const category = document.getElementById('category-select');
+        if (category) {
+            if (this.state.category && ![...category.options].some(option => option.value === this.state.category)) {
+                category.add(new Option(this.state.category, this.state.category));
+            }
+            category.value = this.state.category;
+        }
+
+        const sort = document.getElementById('sort-select');
+        if (sort) {
+            sort.value = this.state.sort;
+            if (sort.selectedIndex === -1) sort.value = 'default';
+        }
+
+        // Leave the search box alone while the shopper is typing in it
+        const search = document.getElementById('product-search');
+        if (search && document.activeElement !== search) {
+            search.value = this.state.search;
+        }
+    }
+}
+
+// Create global shop filter manager instance
+const shopFilterManager = new ShopFilterManager();
@@ -28,6 +28,15 @@ function validatePhone(phone) {
     return phoneRegex.test(phone.replace(/\s+/g, ''));
 }
 
+/**
+ * Normalize a Bangladeshi phone number to its local 11-digit form
+ * @param {string} phone - Phone number, with or without +88
+ * @returns {string} Number such as 01712345678
+ */
+function normalizePhone(phone) {
+    return String(phone || '').replace(/\D/g, '').replace(/^88(?=01)/, '');
+}
+
 /**
  * Validate email address
  * @param {string} email - Email to validate
@@ -85,22 +94,37 @@ function getUrlParam(param) {
 
 /**
  * Set URL parameter without page reload
- * @param {string} param - Parameter name
+ * @param {string|Object} param - Parameter name, or names to values to change
+ *     several in one history entry (a null value removes that parameter)
  * @param {string} value - Parameter value
+ * @param {boolean} replace - Update the current history entry instead of adding one
  */
-function setUrlParam(param, value) {
+function setUrlParam(param, value, replace = false) {
     const url = new URL(window.location);
-    url.searchParams.set(param, value);
-    window.history.pushState({}, '', url);
+    const params = typeof param === 'object' ? param : { [param]: value };
+
+    Object.entries(params).forEach(([name, paramValue]) => {
+        if (paramValue === null) {
+            url.searchParams.delete(name);
+        } else {
+            url.searchParams.set(name, paramValue);
+        }
+    });
+
+    if (replace) {
+        window.history.replaceState({}, '', url);
+    } else {
+        window.history.pushState({}, '', url);
+    }
 }
 
 /**
  * Remove URL parameter
- * @param {string} param - Parameter name to remove
+ * @param {string|Array} param - Parameter name(s) to remove in one history entry
  */
 function removeUrlParam(param) {
     const url = new URL(window.location);
-    url.searchParams.delete(param);
+    [].concat(param).forEach(name => url.searchParams.delete(name));
     window.history.pushState({}, '', url);
 }
 
@@ -328,22 +352,32 @@ function formatDate(date) {
     });
 }
 
+/**
+ * Format date and time in Bengali
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date and time string
+ */
+function formatDateTime(date) {
+    return date.toLocaleString('bn-BD', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
 /**
  * Calculate delivery fee based on address
  * @param {string} address - Customer address
+ * @param {Object} options - Extra quote options (`items`, `subtotal`, `speed`, `location`)
  * @returns {number} Delivery fee
  */
-function calculateDeliveryFee(address) {
-    if (!address) return 150;
-    
-    const dhakaAreas = ['ঢাকা', 'Dhaka', 'DHAKA', 'মিরপুর', 'উত্তরা', 'গুলশান', 'বনানী', 'ধানমন্ডি', 'মোহাম্মদপুর', 'ফার্মগেট', 'শাহবাগ', 'যাত্রাবাড়ী', 'রামপুরা', 'বাড্ডা'];
-    const addressLower = address.toLowerCase();
-    
-    const isInsideDhaka = dhakaAreas.some(area => 
-        addressLower.includes(area.toLowerCase())
-    );
-    
-    return isInsideDhaka ? 80 : 150;
+function calculateDeliveryFee(address, options = {}) {
+    return deliveryZones.quote({
+        ...options,
+        location: { address: address, ...(options.location || {}) }
+    }).fee;
 }
 
 /**
@@ -0,0 +1,408 @@
+// ===== TinyStepsBD Wishlist Management =====
+
+class WishlistManager {
+    constructor() {
+        this.items = [];
+        this.storageKey = 'tinystepsbd_wishlist';
+        this.init();
+    }
+
+    /**
+     * Initialize wishlist manager
+     */
+    init() {
+        this.loadWishlist();
+        this.bindEvents();
+
+        document.addEventListener('DOMContentLoaded', () => {
+            this.updateWishlistDisplay();
+        });
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Flag price drops and stock-outs once current products are known
+        window.addEventListener('productsLoaded', () => {
+            this.validateWishlistItems();
+        });
+
+        window.addEventListener('productsUpdated', (e) => {
+            if (e.detail.ids.some(id => this.has(id))) {
+                this.validateWishlistItems();
+            }
+        });
+
+        // Listen for storage changes (other tabs)
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.loadWishlist();
+                this.updateWishlistDisplay();
+            }
+        });
+
+        // Heart buttons on product cards and the product page
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('.wishlist-btn');
+            if (!button) return;
+
+            const productId = button.dataset.productId ||
+                button.closest('[data-product-id]')?.dataset.productId;
+
+            if (productId) {
+                e.preventDefault();
+                this.toggle(productId);
+            }
+        });
+
+        // Wishlist page actions
+        document.addEventListener('click', (e) => {
+            const moveButton = e.target.closest('.wishlist-move-btn');
+            const removeButton = e.target.closest('.wishlist-remove-btn');
+
+            if (moveButton) {
+                this.moveToCart(moveButton.dataset.productId);
+            } else if (removeButton) {
+                this.removeFromWishlist(removeButton.dataset.productId);
+            }
+        });
+    }
+
+    /**
+     * Load wishlist from localStorage
+     */
+    loadWishlist() {
+        try {
+            const savedWishlist = localStorage.getItem(this.storageKey);
+            this.items = savedWishlist ? JSON.parse(savedWishlist) : [];
+        } catch (error) {
+            console.error('Error loading wishlist:', error);
+            this.items = [];
+        }
+    }
+
+    /**
+     * Save wishlist to localStorage
+     */
+    saveWishlist() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.items));
+        } catch (error) {
+            console.error('Error saving wishlist:', error);
+        }
+    }
+
+    /**
+     * Check if a product is in the wishlist
+     * @param {string} productId - Product ID
+     * @returns {boolean} True if wishlisted
+     */
+    has(productId) {
+        return this.items.some(item => item.id === String(productId));
+    }
+
+    /**
+     * Get a wishlist item
+     * @param {string} productId - Product ID
+     * @returns {Object|undefined} Wishlist item
+     */
+    getItem(productId) {
+        return this.items.find(item => item.id === String(productId));
+    }
+
+    /**
+     * Add or remove a product
+     * @param {string} productId - Product ID
+     */
+    toggle(productId) {
+        if (this.has(productId)) {
+            this.removeFromWishlist(productId);
+            showNotification('উইশলিস্ট থেকে সরানো হয়েছে।', 'info');
+        } else if (this.addToWishlist(productId)) {
+            showNotification('উইশলিস্টে যোগ করা হয়েছে!', 'success');
+        }
+    }
+
+    /**
+     * Add a product to the wishlist
+     * @param {string} productId - Product ID
+     * @returns {boolean} True if the product was added
+     */
+    addToWishlist(productId) {
+        const product = dataManager.getProductById(productId);
+        if (!product) {
+            console.error('Invalid product:', productId);
+            return false;
+        }
+
+        if (this.has(product.id)) return true;
+
+        this.items.unshift({
+            id: String(product.id),
+            name: product.name,
+            price: product.price,
+            savedPrice: product.price,
+            compareAtPrice: product.compareAtPrice || null,
+            category: product.category || null,
+            image: product.mainImage,
+            inStock: product.inStock !== false,
+            addedAt: new Date().toISOString()
+        });
+
+        this.saveWishlist();
+        this.updateWishlistDisplay();
+        this.dispatchWishlistUpdate();
+        return true;
+    }
+
+    /**
+     * Remove a product from the wishlist
+     * @param {string} productId - Product ID
+     */
+    removeFromWishlist(productId) {
+        const index = this.items.findIndex(item => item.id === String(productId));
+        if (index === -1) return;
+
+        this.items.splice(index, 1);
+        this.saveWishlist();
+        this.updateWishlistDisplay();
+        this.dispatchWishlistUpdate();
+    }
+
+    /**
+     * Move a wishlisted product into the cart
+     * @param {string} productId - Product ID
+     */
+    moveToCart(productId) {
+        const product = dataManager.getProductById(productId);
+        if (!product || product.inStock === false) {
+            showNotification('দুঃখিত, এই প্রোডাক্টটি স্টকে নেই।', 'error');
+            return;
+        }
+
+        // Products with a choice of size or color are added from their own page
+        const variants = product.variants || [];
+        if (variants.length > 1) {
+            showNotification('সাইজ ও রং নির্বাচন করুন।', 'info');
+            window.location.href = `product.html?id=${encodeURIComponent(product.id)}`;
+            return;
+        }
+
+        const variant = variants[0] || null;
+
+        const added = cartManager.addToCart({
+            id: product.id,
+            name: product.name,
+            price: dataManager.getVariantPrice(product, variant?.size, variant?.color),
+            compareAtPrice: dataManager.getVariantCompareAtPrice(product, variant?.size, variant?.color),
+            category: product.category,
+            image: product.mainImage,
+            quantity: 1,
+            color: variant ? variant.color : null,
+            size: variant ? variant.size : null,
+            sku: variant ? variant.sku : null
+        });
+
+        if (!added) return;
+
+        this.removeFromWishlist(product.id);
+        showNotification('প্রোডাক্ট কার্টে সরানো হয়েছে!', 'success');
+    }
+
+    /**
+     * Get wishlist item count
+     * @returns {number} Item count
+     */
+    getItemCount() {
+        return this.items.length;
+    }
+
+    /**
+     * Check if a wishlisted item now sells below the price it was saved at
+     * @param {Object} item - Wishlist item
+     * @returns {boolean} True if the price dropped
+     */
+    hasPriceDrop(item) {
+        return item.inStock && item.price < item.savedPrice;
+    }
+
+    /**
+     * Update wishlist display in UI
+     */
+    updateWishlistDisplay() {
+        this.updateWishlistIcon();
+        this.updateWishlistButtons();
+        this.updateWishlistPage();
+    }
+
+    /**
+     * Update wishlist icon badge
+     */
+    updateWishlistIcon() {
+        const itemCount = this.getItemCount();
+
+        document.querySelectorAll('.wishlist-count').forEach(element => {
+            element.textContent = itemCount;
+            element.style.display = itemCount > 0 ? 'flex' : 'none';
+        });
+    }
+
+    /**
+     * Fill the heart on every button whose product is wishlisted
+     */
+    updateWishlistButtons() {
+        document.querySelectorAll('.wishlist-btn').forEach(button => {
+            const productId = button.dataset.productId ||
+                button.closest('[data-product-id]')?.dataset.productId;
+            const active = Boolean(productId) && this.has(productId);
+            const icon = button.querySelector('i');
+
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+            if (icon) {
+                icon.classList.toggle('fas', active);
+                icon.classList.toggle('far', !active);
+            }
+        });
+    }
+
+    /**
+     * Update wishlist page if open
+     */
+    updateWishlistPage() {
+        const container = document.getElementById('wishlist-items');
+        if (!container) return;
+
+        const countElement = document.getElementById('wishlist-item-count');
+        if (countElement) {
+            countElement.textContent = `${formatNumber(this.items.length)} টি প্রোডাক্ট`;
+        }
+
+        if (this.items.length === 0) {
+            container.innerHTML = `
+                <div class="empty-cart">
+                    <i class="far fa-heart"></i>
+                    <h3>আপনার উইশলিস্ট খালি</h3>
+                    <p>পছন্দের প্রোডাক্টে <i class="far fa-heart"></i> চাপ দিয়ে এখানে সেভ করুন</p>
+                    <a href="shop.html" class="btn-primary">প্রোডাক্ট ব্রাউজ করুন</a>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.items.map(item => this.createWishlistItem(item)).join('');
+    }
+
+    /**
+     * Create the markup for one wishlist item
+     * @param {Object} item - Wishlist item
+     * @returns {string} HTML string
+     */
+    createWishlistItem(item) {
+        const priceDrop = this.hasPriceDrop(item);
+
+        return `
+            <div class="cart-item wishlist-item ${item.inStock ? '' : 'unavailable'}" data-product-id="${item.id}">
+                <div class="item-image">
+                    <img src="${item.image}" alt="${sanitizeHTML(item.name)}"
+                         onerror="this.src='assets/images/placeholder.jpg'">
+                </div>
+                <div class="item-details">
+                    <h4 class="item-name">
+                        <a href="product.html?id=${encodeURIComponent(item.id)}">${sanitizeHTML(item.name)}</a>
+                    </h4>
+                    <div class="item-price">
+                        ${formatPrice(item.price)}
+                        ${priceDrop ? `<span class="original-price">${formatPrice(item.savedPrice)}</span>` : ''}
+                    </div>
+                    <div class="wishlist-flags">
+                        ${priceDrop ? `
+                            <span class="wishlist-flag price-drop">
+                                <i class="fas fa-arrow-down"></i>
+                                দাম কমেছে ${formatPrice(item.savedPrice - item.price)}
+                            </span>
+                        ` : ''}
+                        ${item.inStock ? '' : `
+                            <span class="wishlist-flag out-of-stock">
+                                <i class="fas fa-times-circle"></i>
+                                স্টক শেষ
+                            </span>
+                        `}
+                    </div>
+                    <div class="item-variant">সেভ করা হয়েছে: ${formatDate(new Date(item.addedAt))}</div>
+                </div>
+                <div class="item-controls">
+                    <button type="button" class="btn-primary wishlist-move-btn"
+                            data-product-id="${item.id}" ${item.inStock ? '' : 'disabled'}>
+                        <i class="fas fa-shopping-cart"></i>
+                        কার্টে নিন
+                    </button>
+                    <button type="button" class="remove-btn wishlist-remove-btn"
+                            data-product-id="${item.id}" aria-label="Remove from Wishlist">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Dispatch wishlist update event
+     */
+    dispatchWishlistUpdate() {
+        window.dispatchEvent(new CustomEvent('wishlistUpdated', {
+            detail: { wishlist: this.items }
+        }));
+    }
+
+    /**
+     * Refresh wishlist items from current products and flag the ones that
+     * went out of stock or dropped in price since they were last seen
+     */
+    validateWishlistItems() {
+        if (!dataManager.isProductsLoaded()) return;
+
+        let priceDrops = 0;
+        let stockOuts = 0;
+
+        this.items = this.items.map(item => {
+            const product = dataManager.getProductById(item.id);
+            const inStock = Boolean(product) && product.inStock !== false;
+
+            if (item.inStock && !inStock) {
+                stockOuts++;
+            }
+
+            if (!product) {
+                return { ...item, inStock: false };
+            }
+
+            if (inStock && product.price < item.price) {
+                priceDrops++;
+            }
+
+            return {
+                ...item,
+                name: product.name,
+                price: product.price,
+                compareAtPrice: product.compareAtPrice || null,
+                category: product.category || null,
+                image: product.mainImage,
+                inStock: inStock
+            };
+        });
+
+        this.saveWishlist();
+        this.updateWishlistDisplay();
+
+        if (priceDrops > 0) {
+            showNotification(`আপনার উইশলিস্টের ${formatNumber(priceDrops)} টি প্রোডাক্টের দাম কমেছে!`, 'success');
+        } else if (stockOuts > 0) {
+            showNotification(`আপনার উইশলিস্টের ${formatNumber(stockOuts)} টি প্রোডাক্ট এখন স্টকে নেই।`, 'warning');
+        }
+    }
+}
+
+// Create global wishlist manager instance
+const wishlistManager = new WishlistManager();
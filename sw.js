@@ -0,0 +1,273 @@
+// ===== TinyStepsBD Service Worker =====
+
+importScripts('assets/js/order-queue.js');
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `tinystepsbd-shell-${CACHE_VERSION}`;
+const CATALOG_CACHE = `tinystepsbd-catalog-${CACHE_VERSION}`;
+const IMAGE_CACHE = `tinystepsbd-images-${CACHE_VERSION}`;
+
+const SHELL_ASSETS = [
+    './',
+    'index.html',
+    'shop.html',
+    'product.html',
+    'cart.html',
+    'checkout.html',
+    'success.html',
+    'orders.html',
+    'wishlist.html',
+    'about.html',
+    'contact.html',
+    'assets/css/style.css',
+    'assets/css/responsive.css',
+    'assets/css/animations.css',
+    'assets/js/utils.js',
+    'assets/js/config.js',
+    'assets/js/request-client.js',
+    'assets/js/backend-adapters.js',
+    'assets/js/order-queue.js',
+    'assets/js/cache-db.js',
+    'assets/js/data-manager.js',
+    'assets/js/search.js',
+    'assets/js/product.js',
+    'assets/js/product-grid.js',
+    'assets/js/shop-filters.js',
+    'assets/js/cart.js',
+    'assets/js/wishlist.js',
+    'assets/js/coupons.js',
+    'assets/js/delivery-zones.js',
+    'assets/js/bd-locations.js',
+    'assets/js/address-picker.js',
+    'assets/js/payments.js',
+    'assets/js/checkout.js',
+    'assets/js/orders.js',
+    'assets/js/returns.js',
+    'assets/js/invoice.js',
+    'assets/js/app.js',
+    'assets/images/logo.png',
+    'assets/images/banner.jpg',
+    'assets/images/placeholder.jpg'
+];
+
+const PRODUCT_IMAGE_FIELDS = ['Main Image', 'Image1', 'Image2', 'Image3', 'Image4', 'Image5', 'Image6'];
+
+// ===== Lifecycle =====
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_ASSETS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [SHELL_CACHE, CATALOG_CACHE, IMAGE_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('tinystepsbd-') && !currentCaches.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ===== Fetch Routing =====
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (isCatalogRequest(url)) {
+        event.respondWith(networkFirstCatalog(request, url));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+/**
+ * Check if a request reads the product catalog, whichever backend serves it
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for catalog reads
+ */
+function isCatalogRequest(url) {
+    const action = url.searchParams.get('action');
+    return action === 'products' ||
+        action === 'product' ||
+        /\/products(\/[^/]+)?\/?$/.test(url.pathname) ||
+        /\/products\.json$/.test(url.pathname);
+}
+
+/**
+ * Cache key for catalog requests, without the cache-busting `t` param
+ * @param {URL} url - Request URL
+ * @returns {string} Cache key
+ */
+function catalogCacheKey(url) {
+    const key = new URL(url);
+    key.searchParams.delete('t');
+    return key.toString();
+}
+
+/**
+ * Serve the catalog from the network, falling back to the last good copy
+ * @param {Request} request - Catalog request
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirstCatalog(request, url) {
+    const cache = await caches.open(CATALOG_CACHE);
+    const key = catalogCacheKey(url);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            // A delta is no use as an offline catalog, but its images are
+            if (!url.searchParams.has('since')) {
+                await cache.put(key, response.clone());
+            }
+            precacheProductImages(response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+
+        return new Response(JSON.stringify({ success: false, error: 'Offline and no cached catalog' }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+/**
+ * Cache every product image referenced by a catalog response
+ * @param {Response} response - Catalog response
+ */
+async function precacheProductImages(response) {
+    try {
+        const json = await response.json();
+        const rows = Array.isArray(json) ? json : [].concat(json.data || []);
+        const urls = new Set();
+
+        rows.forEach(row => {
+            PRODUCT_IMAGE_FIELDS.forEach(field => {
+                const value = row && row[field];
+                if (value && String(value).trim() !== '') {
+                    urls.add(new URL(String(value).trim(), self.location.href).toString());
+                }
+            });
+        });
+
+        const cache = await caches.open(IMAGE_CACHE);
+        const cachedKeys = new Set((await cache.keys()).map(req => req.url));
+
+        for (const url of urls) {
+            if (cachedKeys.has(url)) continue;
+
+            try {
+                const imageRequest = new Request(url, { mode: 'no-cors' });
+                const imageResponse = await fetch(imageRequest);
+                await cache.put(imageRequest, imageResponse);
+            } catch (error) {
+                // Skip images that cannot be fetched right now
+            }
+        }
+    } catch (error) {
+        console.warn('Product image precache failed:', error);
+    }
+}
+
+/**
+ * Serve pages from the network, falling back to the cached copy
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirstPage(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true })) ||
+            (await cache.match('index.html'));
+    }
+}
+
+/**
+ * Serve from cache, fetching and storing on a miss
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await caches.match('assets/images/placeholder.jpg')) || Response.error();
+    }
+}
+
+/**
+ * Serve from cache immediately and refresh the cached copy in the background
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}
+
+// ===== Background Sync =====
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === orderQueue.syncTag) {
+        event.waitUntil(replayQueuedOrders());
+    }
+});
+
+/**
+ * Send queued orders and tell open pages what happened. The outcomes are
+ * also kept in the queue database, so pages opened later still apply them.
+ */
+async function replayQueuedOrders() {
+    const outcomes = await orderQueue.replay();
+    if (outcomes.length === 0) return;
+
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    clients.forEach(client => client.postMessage({ type: 'ordersSynced', outcomes }));
+}